@@ -0,0 +1,292 @@
+/**
+ * callback-queue.js — Durable outbound delivery queue for task callbacks
+ *
+ * Every status change a requester should hear about (completed, rejected,
+ * failed, ...) is written to data/callbacks/<delivery_id>.json before any
+ * network I/O happens, so pending deliveries survive a restart.
+ *
+ * Retry policy (SPEC §4, §8): exponential backoff, max 5 attempts.
+ *   attempt 1 → immediately
+ *   attempt 2 → +30s, attempt 3 → +60s, attempt 4 → +120s, attempt 5 → +240s
+ * After the last failed attempt the delivery is dead-lettered and stays on
+ * disk until an operator retries it. Delivered records are deleted a day
+ * after delivery.
+ *
+ * Delivery states: pending → delivered | dead
+ *
+ * Callback URLs come from requesters, so they are checked twice (SPEC §8,
+ * Callback Attacks): /inbox refuses anything but https to a public host, and
+ * every attempt resolves the host again and refuses loopback, private and
+ * link-local addresses. Redirects are not followed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { writeJsonAtomic } = require('./store');
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 30_000;
+const REQUEST_TIMEOUT_MS = 10_000;
+const POLL_INTERVAL_MS = 5_000;
+const DELIVERED_RETENTION_MS = 86_400_000;
+
+// Where callbacks may not go: unspecified, private, CGNAT, loopback,
+// link-local (cloud metadata), benchmarking, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+const BLOCKED_NAMES = /(^|\.)(localhost|local|internal)$/i;
+
+function blockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function callbackHost(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+/**
+ * Static check of a requester's callback_url: https, and not a loopback,
+ * private or link-local host name or literal address
+ * @returns {string|null} Why the URL is refused, or null if it is acceptable
+ */
+function callbackUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'callback_url is not a valid URL';
+  }
+  if (parsed.protocol !== 'https:') return 'callback_url must be an https URL';
+  const host = callbackHost(url);
+  if (BLOCKED_NAMES.test(host) || blockedAddress(host)) {
+    return `callback_url host ${host} is loopback, private or link-local`;
+  }
+  return null;
+}
+
+/**
+ * callbackUrlError, plus every address the host resolves to right now
+ * @throws {Error} if the URL is refused
+ */
+async function checkCallbackUrl(url) {
+  const error = callbackUrlError(url);
+  if (error) throw new Error(error);
+  const host = callbackHost(url);
+  if (net.isIP(host)) return;
+  const addresses = await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(a => blockedAddress(a.address));
+  if (blocked) throw new Error(`callback_url host ${host} resolves to non-public address ${blocked.address}`);
+}
+
+class CallbackQueue {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, 'data', 'callbacks');
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.baseDelayMs = options.baseDelayMs || BASE_DELAY_MS;
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.retentionMs = options.retentionMs || DELIVERED_RETENTION_MS;
+    this.checkUrl = options.checkUrl || checkCallbackUrl;
+    this.timer = null;
+    this.inFlight = new Set();
+    // In memory so a poll doesn't read every file: when each pending delivery
+    // is next due, and when each delivered one was delivered (for pruning)
+    this.pending = new Map();   // delivery_id → next_attempt (ms)
+    this.delivered = new Map(); // delivery_id → delivered (ms)
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const delivery of this.list()) this.track(delivery);
+  }
+
+  /**
+   * Queue a signed body for delivery to a callback URL
+   * @param {string} taskId - Task the delivery belongs to
+   * @param {string} url - Requester's callback_url
+   * @param {string} event - Status event name (e.g. 'completed', 'rejected')
+   * @param {Object} body - Signed JSON body, sent verbatim on every attempt
+   * @returns {Object} The persisted delivery record
+   */
+  enqueue(taskId, url, event, body) {
+    const now = new Date().toISOString();
+    const delivery = {
+      delivery_id: crypto.randomUUID(),
+      task_id: taskId,
+      url,
+      event,
+      body,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      next_attempt: now,
+      last_error: null,
+      created: now,
+      updated: now,
+      delivered: null
+    };
+    this.save(delivery);
+    console.log(`[CALLBACK] Queued ${event} for task ${taskId} → ${url}`);
+
+    // Kick an immediate first attempt rather than waiting for the next poll
+    if (this.timer) this.attempt(delivery.delivery_id).catch(() => {});
+    return delivery;
+  }
+
+  load(deliveryId) {
+    const file = path.join(this.dir, `${deliveryId}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  save(delivery) {
+    writeJsonAtomic(path.join(this.dir, `${delivery.delivery_id}.json`), delivery);
+    this.track(delivery);
+  }
+
+  track(delivery) {
+    const id = delivery.delivery_id;
+    this.pending.delete(id);
+    this.delivered.delete(id);
+    if (delivery.status === 'pending') this.pending.set(id, new Date(delivery.next_attempt).getTime());
+    if (delivery.status === 'delivered') this.delivered.set(id, new Date(delivery.delivered).getTime());
+  }
+
+  /**
+   * Delete delivered records older than the retention period
+   * @returns {number} Records deleted
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    let pruned = 0;
+    for (const [id, delivered] of this.delivered) {
+      if (delivered > cutoff) continue;
+      fs.rmSync(path.join(this.dir, `${id}.json`), { force: true });
+      this.delivered.delete(id);
+      pruned++;
+    }
+    return pruned;
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} filter - {status, task_id}
+   * @returns {Array} Delivery records
+   */
+  list(filter = {}) {
+    let deliveries = fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8')));
+
+    if (filter.status) deliveries = deliveries.filter(d => d.status === filter.status);
+    if (filter.task_id) deliveries = deliveries.filter(d => d.task_id === filter.task_id);
+    return deliveries.sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+
+  /**
+   * Operator retry: reset a stuck or dead-lettered delivery to a fresh
+   * attempt budget and schedule it immediately
+   * @param {string} deliveryId
+   * @returns {Object|null} Updated delivery, or null if not found
+   */
+  retry(deliveryId) {
+    const delivery = this.load(deliveryId);
+    if (!delivery) return null;
+    if (delivery.status === 'delivered') return delivery;
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.next_attempt = new Date().toISOString();
+    delivery.updated = delivery.next_attempt;
+    this.save(delivery);
+    console.log(`[CALLBACK] Manual retry of ${deliveryId} (task ${delivery.task_id})`);
+
+    if (this.timer) this.attempt(deliveryId).catch(() => {});
+    return delivery;
+  }
+
+  backoffMs(attempts) {
+    return this.baseDelayMs * 2 ** (attempts - 1);
+  }
+
+  async attempt(deliveryId) {
+    if (this.inFlight.has(deliveryId)) return;
+    this.inFlight.add(deliveryId);
+
+    try {
+      // Re-read under the in-flight guard: the record may have been delivered
+      // by a concurrent attempt since the caller listed it
+      const delivery = this.load(deliveryId);
+      if (!delivery) this.pending.delete(deliveryId);
+      if (!delivery || delivery.status !== 'pending') return;
+
+      delivery.attempts += 1;
+      try {
+        await this.checkUrl(delivery.url);
+        const res = await fetch(delivery.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-AIP-Event': delivery.event },
+          body: JSON.stringify(delivery.body),
+          redirect: 'manual', // a redirect could point anywhere; counts as a failure
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+        delivery.status = 'delivered';
+        delivery.delivered = new Date().toISOString();
+        delivery.last_error = null;
+        console.log(`[CALLBACK] ✓ Delivered ${delivery.event} for task ${delivery.task_id}`);
+      } catch (err) {
+        delivery.last_error = err.message;
+        if (delivery.attempts >= delivery.max_attempts) {
+          delivery.status = 'dead';
+          console.log(`[CALLBACK] ✗ Dead-lettered ${delivery.delivery_id} after ${delivery.attempts} attempts: ${err.message}`);
+        } else {
+          const delay = this.backoffMs(delivery.attempts);
+          delivery.next_attempt = new Date(Date.now() + delay).toISOString();
+          console.log(`[CALLBACK] ✗ Attempt ${delivery.attempts}/${delivery.max_attempts} for ${delivery.delivery_id} failed (${err.message}), retry in ${delay / 1000}s`);
+        }
+      }
+      delivery.updated = new Date().toISOString();
+      this.save(delivery);
+    } finally {
+      this.inFlight.delete(deliveryId);
+    }
+  }
+
+  /**
+   * Attempt every pending delivery whose next_attempt is due, then prune
+   * old delivered records
+   */
+  async processDue() {
+    const now = Date.now();
+    const due = [...this.pending].filter(([, next]) => next <= now).map(([id]) => id);
+    for (const deliveryId of due) {
+      await this.attempt(deliveryId);
+    }
+    this.prune();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.processDue().catch(err => console.error('[CALLBACK] Queue error:', err.message));
+    }, this.pollIntervalMs);
+    // Pick up anything left pending from before a restart
+    this.processDue().catch(err => console.error('[CALLBACK] Queue error:', err.message));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { CallbackQueue, MAX_ATTEMPTS, callbackUrlError, checkCallbackUrl };
@@ -1,69 +1,318 @@
 /**
  * AIP Client — Send signed task requests to any AIP inbox
- * Usage: node client.js <inbox_url> <task_type> "<description>"
+ * Usage: node client.js [--pay-l402] [--agent <agent_id>] <inbox_url> <task_type> "<description>"
  */
 
-const nacl = require('tweetnacl');
-const { decodeBase64, encodeBase64 } = require('tweetnacl-util');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { receiptSigningData, hashResult } = require('./verify');
+const { versioned, signMessage, verifySignature } = require('./signing');
+const { verifyManifest } = require('./identity');
+const { quoteSigningData } = require('./pricing');
+const { requestOverNostr } = require('./nostr-inbox');
 
 const KEYS_FILE = path.join(__dirname, 'agent-keys.json');
 
-async function sendTask(inboxUrl, taskType, description, opts = {}) {
+/**
+ * Ask an agent to price a task before submitting it
+ * @param {string} baseUrl - Agent base URL, e.g. http://localhost:3141
+ * @param {string} taskType - Capability
+ * @param {string} description - Task description (the quote is bound to it)
+ * @param {Object} [opts] - {params, deadline}, also bound to the quote
+ * @returns {Object} Agent-signed quote; pass it to sendTask() as opts.quote
+ * @throws {Error} if the agent refuses or the quote's signature doesn't verify
+ */
+async function requestQuote(baseUrl, taskType, description, opts = {}) {
   const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
 
+  const message = versioned({
+    requester_id: keys.publicKey,
+    task_type: taskType,
+    description,
+    params: opts.params || null,
+    deadline: opts.deadline || null,
+    nonce: crypto.randomUUID(),
+    timestamp: new Date().toISOString()
+  });
+
+  const res = await fetch(`${baseUrl}/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...message, signature: signMessage(message, keys.secretKey) })
+  });
+  const quote = await res.json();
+  if (!res.ok) throw new Error(`Quote refused (${res.status}): ${quote.message || quote.error}`);
+  if (!verifySignature(quoteSigningData(quote), quote.signature, opts.agent_id || quote.agent_id)) {
+    throw new Error('Quote signature does not verify');
+  }
+  return quote;
+}
+
+/**
+ * Fetch an agent's manifest and check its signature before anything in it is used
+ * @param {string} baseUrl - Agent base URL, e.g. http://localhost:3141
+ * @param {Object} [opts]
+ * @param {string} [opts.agent_id] - Pinned agent key (e.g. from a verified Nostr manifest)
+ * @param {number} [opts.min_sequence] - Last manifest sequence seen, to refuse rollbacks
+ * @returns {Object} Verified manifest
+ * @throws {Error} if the manifest is unsigned, altered, stale or from another agent
+ */
+async function fetchManifest(baseUrl, opts = {}) {
+  const res = await fetch(`${baseUrl}/.well-known/agent.json`);
+  if (!res.ok) throw new Error(`Manifest request failed (${res.status})`);
+  const manifest = await res.json();
+  const { valid, error } = verifyManifest(manifest, { agentId: opts.agent_id, minSequence: opts.min_sequence });
+  if (!valid) throw new Error(`Untrusted manifest from ${baseUrl}: ${error}`);
+  return manifest;
+}
+
+// Signed /inbox request body (sent as-is over HTTP or a Nostr DM)
+function buildTaskRequest(keys, taskType, description, opts) {
   const taskId = crypto.randomUUID();
   const nonce = crypto.randomUUID();
   const timestamp = new Date().toISOString();
 
-  const message = {
+  const message = versioned({
     task_id: taskId,
     requester_id: keys.publicKey,
     task_type: taskType,
     description,
     params: opts.params || null,
-    payment_offer: opts.payment_offer || { amount: 1000, currency: 'sats', type: 'lightning' },
+    payment_offer: opts.payment_offer || (opts.quote
+      ? { amount: opts.quote.amount, currency: opts.quote.currency, type: 'lightning' }
+      : { amount: 1000, currency: 'sats', type: 'lightning' }),
     callback_url: opts.callback_url || null,
     deadline: opts.deadline || null,
+    // A quote from requestQuote(); description, params and deadline must match it
+    quote_id: opts.quote ? opts.quote.quote_id : undefined,
     nonce,
     timestamp
-  };
+  });
 
-  // Sign
-  const msgBytes = new TextEncoder().encode(JSON.stringify(message));
-  const secretKey = decodeBase64(keys.secretKey);
-  const sig = nacl.sign.detached(msgBytes, secretKey);
-  message.signature = encodeBase64(sig);
+  message.signature = signMessage(message, keys.secretKey);
+  return message;
+}
 
-  console.log(`Sending task ${taskId} to ${inboxUrl}...`);
+async function sendTask(inboxUrl, taskType, description, opts = {}) {
+  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+
+  // Pinned agent: the signed manifest must list this inbox and the capability
+  if (opts.agent_id) {
+    const manifest = await fetchManifest(new URL(inboxUrl).origin, opts);
+    if (manifest.inbox_url && manifest.inbox_url !== inboxUrl) {
+      throw new Error(`Agent's signed manifest lists inbox ${manifest.inbox_url}, not ${inboxUrl}`);
+    }
+    if (!(manifest.capabilities || []).some(c => c.type === taskType)) {
+      throw new Error(`Agent's signed manifest does not offer ${taskType}`);
+    }
+  }
+
+  const message = buildTaskRequest(keys, taskType, description, opts);
+
+  console.log(`Sending task ${message.task_id} to ${inboxUrl}...`);
   console.log(`  Type: ${taskType}`);
   console.log(`  Description: ${description.slice(0, 100)}`);
 
-  const res = await fetch(inboxUrl, {
+  let res = await fetch(inboxUrl, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(message)
   });
+  let data = await res.json();
+
+  // L402 paywall: pay the invoice, then resubmit the same signed request with the token
+  if (res.status === 402 && data.l402 && opts.pay_l402) {
+    const { payInvoice } = require('./lightning.js');
+    console.log(`  L402: paying ${data.l402.amount_sats} sats...`);
+    const paid = await payInvoice(data.l402.invoice);
+    res = await fetch(inboxUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `L402 ${data.l402.macaroon}:${paid.preimage}`
+      },
+      body: JSON.stringify(message)
+    });
+    data = await res.json();
+  }
 
-  const data = await res.json();
   console.log(`  Response (${res.status}):`, JSON.stringify(data, null, 2));
   return data;
 }
 
+/**
+ * Send a task request as a NIP-59 gift-wrapped DM, for agents that advertise
+ * manifest.nostr_inbox (e.g. behind NAT, with no public inbox_url)
+ * @param {Object} manifest - The agent's verified manifest (fetchManifest() or Nostr discovery)
+ * @param {string} taskType - Capability
+ * @param {string} description
+ * @param {Object} [opts] - As for sendTask(), plus:
+ *   nostr_secret_key (hex or Uint8Array): key the response and status DMs go to (default: a fresh key),
+ *   authorization: L402 authorization, timeout_ms
+ * @returns {Object} The agent's /inbox response body
+ */
+async function sendTaskDM(manifest, taskType, description, opts = {}) {
+  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+  const inbox = manifest.nostr_inbox;
+  if (!inbox || !inbox.enabled || !inbox.pubkey) throw new Error('Agent does not take tasks over Nostr DMs');
+  if (!(manifest.capabilities || []).some(c => c.type === taskType)) {
+    throw new Error(`Agent's signed manifest does not offer ${taskType}`);
+  }
+
+  const message = buildTaskRequest(keys, taskType, description, opts);
+  console.log(`Sending task ${message.task_id} to ${inbox.pubkey.slice(0, 16)}... over Nostr DM...`);
+  const { status, body } = await requestOverNostr({
+    recipient: inbox.pubkey,
+    relays: inbox.relays || (manifest.nostr && manifest.nostr.relays) || [],
+    request: message,
+    secretKey: opts.nostr_secret_key,
+    authorization: opts.authorization,
+    timeoutMs: opts.timeout_ms
+  });
+  console.log(`  Response (${status}):`, JSON.stringify(body, null, 2));
+  return body;
+}
+
+/**
+ * Accept or decline the agent's counter-offer on a task we submitted
+ * @param {string} baseUrl - Server base URL, e.g. http://localhost:3141
+ * @param {string} taskId - Task ID
+ * @param {number} revision - counter_offer.revision being answered
+ * @param {string} decision - 'accept' or 'decline'
+ * @returns {Object} Parsed JSON response
+ */
+async function respondToOffer(baseUrl, taskId, revision, decision) {
+  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+
+  const message = versioned({
+    task_id: taskId,
+    revision,
+    decision,
+    nonce: crypto.randomUUID(),
+    timestamp: new Date().toISOString()
+  });
+
+  const res = await fetch(`${baseUrl}/tasks/${taskId}/respond`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...message, signature: signMessage(message, keys.secretKey) })
+  });
+  return res.json();
+}
+
+/**
+ * Cancel a task we submitted
+ * @param {string} baseUrl - Server base URL, e.g. http://localhost:3141
+ * @param {string} taskId - Task ID
+ * @param {string} [reason] - Optional reason shown to the agent
+ * @returns {Object} Parsed JSON response
+ */
+async function cancelTask(baseUrl, taskId, reason = null) {
+  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+
+  const message = versioned({
+    task_id: taskId,
+    action: 'cancel',
+    reason,
+    nonce: crypto.randomUUID(),
+    timestamp: new Date().toISOString()
+  });
+
+  const res = await fetch(`${baseUrl}/tasks/${taskId}/cancel`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...message, signature: signMessage(message, keys.secretKey) })
+  });
+  return res.json();
+}
+
+/**
+ * Countersign the receipt for a completed task we submitted.
+ * Refuses to sign unless the receipt's result_hash matches the delivered
+ * result and the agent's signature verifies.
+ * @param {string} baseUrl - Server base URL, e.g. http://localhost:3141
+ * @param {string} taskId - Task ID
+ * @param {*} [result] - Result we received (defaults to the one in the status response)
+ * @returns {Object} Parsed JSON response
+ */
+async function countersignReceipt(baseUrl, taskId, result) {
+  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+
+  const status = await (await fetch(`${baseUrl}/tasks/${taskId}/status`)).json();
+  const receipt = status.receipt;
+  if (!receipt) throw new Error(`Task ${taskId} has no receipt (status: ${status.status})`);
+  if (receipt.requester_id !== keys.publicKey) throw new Error('Receipt is not addressed to our requester_id');
+
+  const delivered = result !== undefined ? result : status.result;
+  const resultHash = hashResult(delivered);
+  if (resultHash !== receipt.result_hash) {
+    throw new Error(`result_hash mismatch: receipt ${receipt.result_hash}, delivered ${resultHash}`);
+  }
+
+  const receiptData = receiptSigningData(receipt);
+  if (!verifySignature(receiptData, receipt.agent_signature, receipt.agent_id)) {
+    throw new Error('agent_signature does not verify');
+  }
+
+  // Same scheme as the agent's signature (the receipt's sig_alg/sig_version)
+  const res = await fetch(`${baseUrl}/tasks/${taskId}/countersign`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ requester_signature: signMessage(receiptData, keys.secretKey) })
+  });
+  return res.json();
+}
+
+/**
+ * Call an operator endpoint (complete/reject/list) with a signed request
+ * @param {string} baseUrl - Server base URL, e.g. http://localhost:3141
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path including query string, e.g. /tasks?status=pending
+ * @param {Object} [body] - JSON body (omit for GET)
+ * @returns {Object} Parsed JSON response
+ */
+async function operatorRequest(baseUrl, method, urlPath, body = null) {
+  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+  const nonce = crypto.randomUUID();
+  const timestamp = new Date().toISOString();
+
+  const message = versioned({ operator_id: keys.publicKey, method, path: urlPath, body, nonce, timestamp });
+
+  const headers = {
+    'X-AIP-Operator': keys.publicKey,
+    'X-AIP-Nonce': nonce,
+    'X-AIP-Timestamp': timestamp,
+    'X-AIP-Sig-Alg': message.sig_alg,
+    'X-AIP-Sig-Version': String(message.sig_version),
+    'X-AIP-Signature': signMessage(message, keys.secretKey)
+  };
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const res = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return res.json();
+}
+
 // CLI usage
 if (require.main === module) {
-  const [,, inboxUrl, taskType, ...descParts] = process.argv;
+  const args = process.argv.slice(2);
+  const payL402 = args[0] === '--pay-l402';
+  if (payL402) args.shift();
+  const agentId = args[0] === '--agent' ? args.splice(0, 2)[1] : undefined;
+  const [inboxUrl, taskType, ...descParts] = args;
   const description = descParts.join(' ');
 
   if (!inboxUrl || !taskType || !description) {
-    console.log('Usage: node client.js <inbox_url> <task_type> <description>');
+    console.log('Usage: node client.js [--pay-l402] [--agent <agent_id>] <inbox_url> <task_type> <description>');
     console.log('Example: node client.js http://localhost:3141/inbox research.web "Find recent news about AIP protocol"');
     process.exit(1);
   }
 
-  sendTask(inboxUrl, taskType, description).catch(console.error);
+  sendTask(inboxUrl, taskType, description, { pay_l402: payL402, agent_id: agentId }).catch(console.error);
 }
 
-module.exports = { sendTask };
+module.exports = { fetchManifest, requestQuote, sendTask, sendTaskDM, respondToOffer, cancelTask, countersignReceipt, operatorRequest };
@@ -5,124 +5,311 @@
  * to AIP tasks. When tasks complete, publishes results back as NIP-90
  * job results with Lightning payment requests.
  * 
- * Supported kinds:
- *   5050 — Text Generation (security analysis, code review, etc.)
- *   5001 — Summarization
- *   5000 — Text Extraction
- * 
+ * Which jobs we take comes from manifest.dvm.capabilities, keyed by AIP
+ * task_type:
+ *
+ *   "dvm": {
+ *     "enabled": true,
+ *     "capabilities": {
+ *       "writing.technical": { "kinds": [5050, 5001], "params": { "model": null } },
+ *       "code.review": { "kinds": [5050], "params": { "focus_area": "focus" } },
+ *       "data.analysis": { "kinds": [5000] }
+ *     }
+ *   }
+ *
+ * A job becomes the first task_type listed for its kind unless it names
+ * another one with ["param", "task_type", "<type>"]. `params` renames NIP-90
+ * param tags to AIP params (null drops the param); other params keep their
+ * names. Results are published as kind + 1000. Only mapped kinds are
+ * subscribed to, and one NIP-89 handler announcement (kind 31990) lists them.
+ *
+ * Encrypted jobs carry an ["encrypted"] tag and a ["p", <our pubkey>] tag;
+ * their `i` and `param` tags are a JSON array in the content, encrypted to us
+ * with NIP-04 or NIP-44 (told apart by NIP-04's "?iv=" suffix). They are
+ * decrypted before the task is created. Feedback and results go back
+ * encrypted with the same scheme: the content is ciphertext, the status tag
+ * carries no extra text, and the result echoes no `i` tags. The `request` tag
+ * is left out if the job also has plaintext inputs, so nothing the customer
+ * sent is repeated in the clear.
+ *
+ * Relays are the pool's (manifest.nostr.relays) unless dvm.relays is set.
+ * Feedback, results and the announcement go through the pool's outbox, so a
+ * relay that is down gets them once it is back.
+ *
  * This bridges the Nostr DVM ecosystem with AIP's task lifecycle,
  * letting any Nostr client request services from our agent.
+ *
+ * Job lifecycle (the server passes a `tasks` adapter, see server.js):
+ *   job request   → AIP task (requester_id "nostr:<pubkey>", task.dvm keeps
+ *                   the event id, pubkey and request)
+ *                   bid present: `payment-required` feedback with an invoice
+ *                   for our price (a bid below it gets `error`)
+ *                   no bid: `processing` feedback
+ *   completed     → job result (kind 6xxx) carrying the task result and the invoice
+ *   rejected, declined, failed, cancelled, expired → `error` feedback with the reason
  */
 
 const { finalizeEvent, getPublicKey } = require('nostr-tools/pure');
-const { Relay } = require('nostr-tools/relay');
+const nip04 = require('nostr-tools/nip04');
+const nip44 = require('nostr-tools/nip44');
+const { createInvoice } = require('./lightning');
+const { priceTask } = require('./pricing');
+const { sharedPool } = require('./relay-pool');
 
-// DVM Kind mapping
-const SUPPORTED_KINDS = {
-  5050: { name: 'Text Generation', resultKind: 6050 },
-  5001: { name: 'Summarization', resultKind: 6001 },
-  5000: { name: 'Text Extraction', resultKind: 6000 },
+// NIP-90 job kind names, for logs
+const KIND_NAMES = {
+  5000: 'Text Extraction',
+  5001: 'Summarization',
+  5002: 'Translation',
+  5050: 'Text Generation',
+  5100: 'Image Generation',
+  5250: 'Text-to-Speech',
 };
 
-// Our capabilities as a DVM
-const DVM_CAPABILITIES = {
-  5050: {
-    description: 'Security analysis, code review, vulnerability assessment',
-    pricing: { amount: 500, unit: 'msats' }, // 0.5 sats per request
-    params: ['model', 'max_tokens', 'focus_area'],
-  },
-};
+// NIP-89 handler information
+const HANDLER_KIND = 31990;
+const HANDLER_D_TAG = 'aip-dvm';
+
+// Task states reported back to the customer as `error` feedback
+const ERROR_STATES = ['rejected', 'declined', 'failed', 'cancelled', 'expired'];
+
+const kindName = kind => KIND_NAMES[kind] || `kind ${kind}`;
+
+/**
+ * How a job request is encrypted
+ * @returns {string|null} 'nip04', 'nip44', or null for a plaintext job
+ */
+function encryptionOf(event) {
+  if (!event.tags.some(t => t[0] === 'encrypted')) return null;
+  return event.content.includes('?iv=') ? 'nip04' : 'nip44';
+}
+
+/**
+ * Job kinds we serve, from manifest.dvm.capabilities. Task types the
+ * manifest doesn't offer are skipped.
+ * @returns {Map<number, Object[]>} kind → [{task_type, params}], default task type first
+ */
+function jobKinds(manifest) {
+  const offered = new Set((manifest.capabilities || []).map(c => c.type));
+  const kinds = new Map();
+  for (const [taskType, entry] of Object.entries((manifest.dvm && manifest.dvm.capabilities) || {})) {
+    if (!offered.has(taskType)) continue;
+    for (const kind of entry.kinds || []) {
+      if (!kinds.has(kind)) kinds.set(kind, []);
+      kinds.get(kind).push({ task_type: taskType, params: entry.params || {} });
+    }
+  }
+  return kinds;
+}
 
 class DVMBridge {
-  constructor(secretKey, relays) {
+  /**
+   * @param {Uint8Array} secretKey - Nostr secret key
+   * @param {string[]} [relays] - Default: the relay pool's
+   * @param {Object} [options]
+   * @param {Object} [options.manifest] - Agent manifest; kinds and announcement come from it
+   * @param {Object} [options.pool] - RelayPool (default: sharedPool())
+   * @param {Object} [options.tasks] - Task system adapter (without it jobs are only logged):
+   *   price(draft) → {amount, currency}
+   *   submit(job, price) → {task, created}; throws if the job can't become a task
+   *   update(taskId, dvm) merges fields into task.dvm
+   */
+  constructor(secretKey, relays, options = {}) {
     this.secretKey = secretKey;
+    this.tasks = options.tasks || null;
+    this.manifest = null;
+    this.kinds = new Map();
+    this.subscription = null;
+    this.started = false;
+    this.announced = null; // content + tags of the last announcement
     this.pubkey = getPublicKey(secretKey);
-    this.relays = relays || [
-      'wss://relay.damus.io',
-      'wss://nos.lol',
-      'wss://relay.primal.net',
-    ];
-    this.connections = [];
+    this.pool = options.pool || sharedPool();
+    this.relays = relays || this.pool.relays;
+    if (options.manifest) this.configure(options.manifest);
+  }
+
+  /**
+   * Take a new manifest: resubscribe if the mapped kinds changed and
+   * re-announce if the announcement did
+   */
+  configure(manifest) {
+    const before = [...this.kinds.keys()].join(',');
+    this.manifest = manifest;
+    this.kinds = jobKinds(manifest);
+    if (!this.started) return;
+    if ([...this.kinds.keys()].join(',') !== before) this.subscribe();
+    this.announceCapabilities().catch(err => console.error(`[DVM] Announcement failed: ${err.message}`));
   }
 
   /**
    * Start listening for DVM job requests
    */
   async start() {
-    console.log(`[DVM] Starting bridge for pubkey ${this.pubkey.slice(0, 16)}...`);
-    console.log(`[DVM] Supported kinds: ${Object.keys(SUPPORTED_KINDS).join(', ')}`);
-
-    for (const url of this.relays) {
-      try {
-        const relay = await Relay.connect(url);
-        console.log(`[DVM] Connected to ${url}`);
-
-        // Subscribe to job requests mentioning us or broadcast
-        relay.subscribe([
-          {
-            kinds: Object.keys(SUPPORTED_KINDS).map(Number),
-            '#p': [this.pubkey], // Jobs specifically for us
-            since: Math.floor(Date.now() / 1000) - 60, // Last minute
-          },
-          {
-            kinds: Object.keys(SUPPORTED_KINDS).map(Number),
-            since: Math.floor(Date.now() / 1000) - 60, // All recent jobs
-            limit: 10,
-          },
-        ], {
-          onevent: (event) => this.handleJobRequest(event, relay),
-          oneose: () => console.log(`[DVM] Subscription active on ${url}`),
-        });
-
-        this.connections.push(relay);
-      } catch (err) {
-        console.error(`[DVM] Failed to connect to ${url}:`, err.message);
-      }
-    }
+    console.log(`[DVM] Starting bridge for pubkey ${this.pubkey.slice(0, 16)}... on ${this.relays.join(', ')}`);
+    this.started = true;
+    this.subscribe();
+    await this.announceCapabilities();
   }
 
   /**
-   * Handle incoming NIP-90 job request
+   * (Re)subscribe every relay to the kinds we serve
    */
-  async handleJobRequest(event, relay) {
-    const kindInfo = SUPPORTED_KINDS[event.kind];
-    if (!kindInfo) return;
+  subscribe() {
+    if (this.subscription) this.subscription.close();
+    this.subscription = null;
 
-    console.log(`[DVM] Job request: kind=${event.kind} (${kindInfo.name})`);
-    console.log(`[DVM]   From: ${event.pubkey.slice(0, 16)}...`);
+    const kinds = [...this.kinds.keys()];
+    if (!kinds.length) return console.warn('[DVM] No job kinds mapped in manifest.dvm.capabilities; not listening');
+    console.log(`[DVM] Job kinds: ${kinds.map(k => `${k} (${this.kinds.get(k).map(e => e.task_type).join(', ')})`).join('; ')}`);
+
+    const since = Math.floor(Date.now() / 1000) - 60; // Last minute
+    // Subscribe to job requests mentioning us or broadcast
+    this.subscription = this.pool.subscribe([
+      { kinds, '#p': [this.pubkey], since }, // Jobs specifically for us
+      { kinds, since, limit: 10 }, // All recent jobs
+    ], {
+      onevent: (event) => this.handleJobRequest(event)
+        .catch(err => console.error(`[DVM] Job ${event.id.slice(0, 8)}: ${err.message}`)),
+      oneose: (url) => console.log(`[DVM] Subscription active on ${url}`),
+    }, { relays: this.relays });
+  }
+
+  /**
+   * Handle incoming NIP-90 job request: create the AIP task and tell the
+   * customer what happens next
+   */
+  async handleJobRequest(event) {
+    const entries = this.kinds.get(event.kind);
+    if (!entries) return;
+
+    // Jobs addressed to other service providers aren't ours to take
+    const providers = event.tags.filter(t => t[0] === 'p').map(t => t[1]);
+    if (providers.length && !providers.includes(this.pubkey)) return;
 
-    // Extract input
-    const inputs = event.tags.filter(t => t[0] === 'i');
-    const params = event.tags.filter(t => t[0] === 'param');
     const bid = event.tags.find(t => t[0] === 'bid');
+    const bidMsats = bid ? Number(bid[1]) : null;
 
-    console.log(`[DVM]   Inputs: ${inputs.length}`);
-    console.log(`[DVM]   Params: ${params.length}`);
+    console.log(`[DVM] Job request: kind=${event.kind} (${kindName(event.kind)})`);
+    console.log(`[DVM]   From: ${event.pubkey.slice(0, 16)}...`);
     if (bid) console.log(`[DVM]   Bid: ${bid[1]} msats`);
+    if (!this.tasks) return;
+
+    let task, price;
+    try {
+      const job = parseJob(event, entries, this.jobTags(event));
+      price = this.tasks.price(job);
+      if (bidMsats !== null && !(bidMsats >= price.amount * 1000)) {
+        throw new Error(`Bid of ${bid[1]} msats is below our price of ${price.amount * 1000} msats`);
+      }
+      const submitted = this.tasks.submit(job, price);
+      if (!submitted.created) return; // seen on another relay or subscription
+      task = submitted.task;
+    } catch (err) {
+      console.log(`[DVM] Job ${event.id.slice(0, 8)} refused: ${err.message}`);
+      return this.sendFeedback(event, 'error', err.message);
+    }
+
+    const taskId = task.task_id;
+    console.log(`[DVM] Job ${event.id.slice(0, 8)} is task ${taskId}`);
+    if (bidMsats === null) {
+      return this.sendFeedback(event, 'processing', `Queued as task ${taskId}`);
+    }
+
+    let invoice;
+    try {
+      invoice = await createInvoice(price.amount, `DVM job ${event.id.slice(0, 8)} (task ${taskId})`);
+    } catch (err) {
+      console.error(`[DVM] Could not create invoice for task ${taskId}: ${err.message}`);
+      return this.sendFeedback(event, 'processing', `Queued as task ${taskId}`);
+    }
+    const amountMsats = price.amount * 1000;
+    this.tasks.update(taskId, {
+      invoice: { bolt11: invoice.bolt11, payment_hash: invoice.payment_hash, amount_msats: amountMsats }
+    });
+    await this.sendFeedback(event, 'payment-required', `Pay ${price.amount} sats for task ${taskId}`,
+      invoice.bolt11, amountMsats);
+  }
+
+  /**
+   * Tags of a job request, with the encrypted `i` and `param` tags of an
+   * encrypted job decrypted
+   */
+  jobTags(event) {
+    const scheme = encryptionOf(event);
+    if (!scheme) return event.tags;
+    if (!event.tags.some(t => t[0] === 'p' && t[1] === this.pubkey)) throw new Error('Encrypted job is not addressed to us');
+    let hidden;
+    try {
+      hidden = JSON.parse(this.decrypt(scheme, event.pubkey, event.content));
+    } catch {
+      throw new Error(`Could not decrypt job (${scheme})`);
+    }
+    if (!Array.isArray(hidden) || !hidden.every(t => Array.isArray(t) && (t[0] === 'i' || t[0] === 'param'))) {
+      throw new Error('Encrypted job content must be a JSON array of i and param tags');
+    }
+    return [...event.tags, ...hidden];
+  }
 
-    // Send processing feedback
-    await this.sendFeedback(event, relay, 'processing', 'Analyzing request...');
+  decrypt(scheme, pubkey, ciphertext) {
+    if (scheme === 'nip04') return nip04.decrypt(this.secretKey, pubkey, ciphertext);
+    return nip44.decrypt(ciphertext, nip44.getConversationKey(this.secretKey, pubkey));
+  }
+
+  encrypt(scheme, pubkey, plaintext) {
+    if (scheme === 'nip04') return nip04.encrypt(this.secretKey, pubkey, plaintext);
+    return nip44.encrypt(plaintext, nip44.getConversationKey(this.secretKey, pubkey));
+  }
 
-    // TODO: Actually process the request through AIP task system
-    // For now, this is a framework that shows the integration pattern
+  /**
+   * Report a task status change back to the job's customer
+   * @param {Object} task - Task with task.dvm set
+   */
+  async taskUpdated(task) {
+    const dvm = task.dvm;
+    if (task.status === 'completed' && !dvm.result_event_id) {
+      const amountMsats = Number(task.payment_offer && task.payment_offer.amount) * 1000 || 0;
+      let invoice = dvm.invoice;
+      if (!invoice && amountMsats) {
+        const created = await createInvoice(amountMsats / 1000, `DVM job ${dvm.event_id.slice(0, 8)} (task ${task.task_id})`);
+        invoice = { bolt11: created.bolt11, payment_hash: created.payment_hash, amount_msats: amountMsats };
+      }
+      const content = typeof task.result === 'string' ? task.result : JSON.stringify(task.result);
+      const event = await this.sendResult(dvm.request, content, invoice ? invoice.bolt11 : '',
+        invoice ? invoice.amount_msats : null);
+      this.tasks.update(task.task_id, { invoice: invoice || null, result_event_id: event.id });
+    } else if (ERROR_STATES.includes(task.status) && !dvm.error_reported) {
+      const reason = ((task.history || []).at(-1) || {}).reason || task.rejection_reason;
+      await this.sendFeedback(dvm.request, 'error', reason ? `Task ${task.status}: ${reason}` : `Task ${task.status}`);
+      this.tasks.update(task.task_id, { error_reported: task.status });
+    }
+  }
 
-    // Send payment-required feedback with invoice
-    // const invoice = await createInvoice(500, `DVM job ${event.id.slice(0, 8)}`);
-    // await this.sendFeedback(event, relay, 'payment-required', '', invoice.bolt11);
+  /**
+   * Publish to our relays through the pool's outbox
+   */
+  async publish(event) {
+    await this.pool.publish(event, { relays: this.relays });
+    return event;
   }
 
   /**
    * Send NIP-90 job feedback
+   * @param {number} [amountMsats] - Amount the bolt11 invoice is for
    */
-  async sendFeedback(jobEvent, relay, status, content = '', bolt11 = '') {
+  async sendFeedback(jobEvent, status, content = '', bolt11 = '', amountMsats = null) {
+    const scheme = encryptionOf(jobEvent);
     const tags = [
-      ['status', status, content],
+      scheme ? ['status', status] : ['status', status, content],
       ['e', jobEvent.id],
       ['p', jobEvent.pubkey],
     ];
 
     if (bolt11) {
-      tags.push(['amount', '500', bolt11]);
+      tags.push(['amount', String(amountMsats), bolt11]);
+    }
+    if (scheme) {
+      tags.push(['encrypted']);
+      content = this.encrypt(scheme, jobEvent.pubkey, content);
     }
 
     const event = finalizeEvent({
@@ -132,84 +319,169 @@ class DVMBridge {
       created_at: Math.floor(Date.now() / 1000),
     }, this.secretKey);
 
-    await relay.publish(event);
+    await this.publish(event);
     console.log(`[DVM] Sent feedback: ${status}`);
+    return event;
   }
 
   /**
    * Send NIP-90 job result
+   * @param {number} [amountMsats] - Amount the bolt11 invoice is for
    */
-  async sendResult(jobEvent, relay, result, bolt11 = '') {
-    const kindInfo = SUPPORTED_KINDS[jobEvent.kind];
+  async sendResult(jobEvent, result, bolt11 = '', amountMsats = null) {
+    const resultKind = jobEvent.kind + 1000;
+    const scheme = encryptionOf(jobEvent);
+    const inputs = jobEvent.tags.filter(t => t[0] === 'i');
     const tags = [
-      ['request', JSON.stringify(jobEvent)],
       ['e', jobEvent.id],
       ['p', jobEvent.pubkey],
     ];
 
-    // Include original inputs
-    const inputs = jobEvent.tags.filter(t => t[0] === 'i');
-    for (const input of inputs) {
-      tags.push(input);
+    if (!scheme) {
+      // Include original request and inputs
+      tags.unshift(['request', JSON.stringify(jobEvent)]);
+      for (const input of inputs) {
+        tags.push(input);
+      }
+    } else if (!inputs.length && !jobEvent.tags.some(t => t[0] === 'param')) {
+      tags.unshift(['request', JSON.stringify(jobEvent)]); // ciphertext only
+    } else {
+      console.warn(`[DVM] Encrypted job ${jobEvent.id.slice(0, 8)} also has plaintext inputs; leaving out the request tag`);
     }
 
     if (bolt11) {
-      tags.push(['amount', '500', bolt11]);
+      tags.push(['amount', String(amountMsats), bolt11]);
+    }
+    if (scheme) {
+      tags.push(['encrypted']);
+      result = this.encrypt(scheme, jobEvent.pubkey, result);
     }
 
     const event = finalizeEvent({
-      kind: kindInfo.resultKind,
+      kind: resultKind,
       content: result,
       tags,
       created_at: Math.floor(Date.now() / 1000),
     }, this.secretKey);
 
-    await relay.publish(event);
-    console.log(`[DVM] Sent result: kind=${kindInfo.resultKind}`);
+    await this.publish(event);
+    console.log(`[DVM] Sent result: kind=${resultKind}`);
+    return event;
   }
 
   /**
-   * Publish DVM announcement (kind 31990)
+   * NIP-89 handler information for the kinds we serve: one replaceable event,
+   * a `k` tag per kind and a `t` tag per task type. Prices are the engine's
+   * price for an empty task (see pricing.js).
+   * @returns {Object} Unsigned event template
+   */
+  announcement() {
+    const manifest = this.manifest;
+    const taskTypes = [...new Set([...this.kinds.values()].flat().map(e => e.task_type))];
+    const capabilities = taskTypes.map(taskType => {
+      const cap = manifest.capabilities.find(c => c.type === taskType);
+      const price = priceTask(manifest, { task_type: taskType, description: '' });
+      return {
+        task_type: taskType,
+        description: cap.description || null,
+        kinds: [...this.kinds].filter(([, entries]) => entries.some(e => e.task_type === taskType)).map(([kind]) => kind),
+        pricing: { amount: price.amount * 1000, unit: 'msats' }
+      };
+    });
+    const prices = capabilities.map(c => c.pricing.amount);
+
+    return {
+      kind: HANDLER_KIND,
+      content: JSON.stringify({
+        name: manifest.agent_name,
+        about: manifest.agent_description || '',
+        pricing: prices.length ? { amount: Math.min(...prices), unit: 'msats' } : null,
+        capabilities,
+      }),
+      tags: [
+        ['d', HANDLER_D_TAG],
+        ...[...this.kinds.keys()].map(kind => ['k', String(kind)]),
+        ...taskTypes.map(taskType => ['t', taskType]),
+        ['agent_id', manifest.agent_id],
+      ],
+    };
+  }
+
+  /**
+   * Publish the NIP-89 announcement (kind 31990) if it changed
    */
   async announceCapabilities() {
-    for (const [kind, cap] of Object.entries(DVM_CAPABILITIES)) {
-      const event = finalizeEvent({
-        kind: 31990,
-        content: JSON.stringify({
-          name: 'Metatron Security DVM',
-          about: cap.description,
-          pricing: cap.pricing,
-        }),
-        tags: [
-          ['d', `metatron-dvm-${kind}`],
-          ['k', kind],
-        ],
-        created_at: Math.floor(Date.now() / 1000),
-      }, this.secretKey);
-
-      for (const relay of this.connections) {
-        try {
-          await relay.publish(event);
-        } catch (err) {
-          // ignore
-        }
-      }
-    }
-    console.log('[DVM] Capabilities announced');
+    if (!this.manifest) return;
+    const template = this.announcement();
+    const key = JSON.stringify([template.content, template.tags]);
+    if (key === this.announced) return;
+
+    const event = finalizeEvent({ ...template, created_at: Math.floor(Date.now() / 1000) }, this.secretKey);
+    await this.publish(event);
+    this.announced = key;
+    console.log(`[DVM] Capabilities announced: kinds ${[...this.kinds.keys()].join(', ') || 'none'}`);
   }
 
   async stop() {
-    for (const relay of this.connections) {
-      relay.close();
-    }
+    if (this.subscription) this.subscription.close();
+    this.subscription = null;
+    this.started = false;
     console.log('[DVM] Bridge stopped');
   }
 }
 
-module.exports = { DVMBridge, SUPPORTED_KINDS };
+/**
+ * Read a job request into an AIP draft task
+ *   ['i', data, type]         inputs, joined into the description (non-text inputs as "type: data")
+ *   ['param', 'task_type', t] one of the task types mapped to the job's kind (default: the first)
+ *   ['param', k, v]           params[k] = v, JSON-decoded where possible, renamed per the mapping
+ * @param {Object} event - Job request
+ * @param {Object[]} entries - [{task_type, params}] mapped to its kind (see jobKinds)
+ * @param {Array[]} [tags] - The job's tags, decrypted (default event.tags)
+ * @returns {Object} {event, task_type, description, params}
+ */
+function parseJob(event, entries, tags = event.tags) {
+  const inputs = tags.filter(t => t[0] === 'i' && t[1]);
+  if (!inputs.length) throw new Error('Job has no inputs');
+
+  const paramTags = tags.filter(t => t[0] === 'param' && t[1]);
+  const requested = paramTags.find(t => t[1] === 'task_type');
+  const entry = requested ? entries.find(e => e.task_type === requested[2]) : entries[0];
+  if (!entry) {
+    throw new Error(`Task type ${requested[2]} is not offered for kind ${event.kind} (offered: ${entries.map(e => e.task_type).join(', ')})`);
+  }
+
+  let params = null;
+  for (const [, key, value] of paramTags.filter(t => t[1] !== 'task_type')) {
+    const name = key in entry.params ? entry.params[key] : key;
+    if (name === null) continue;
+    params = params || {};
+    try {
+      params[name] = JSON.parse(value);
+    } catch {
+      params[name] = value;
+    }
+  }
+
+  return {
+    event,
+    task_type: entry.task_type,
+    description: inputs.map(([, data, type]) => (!type || type === 'text' ? data : `${type}: ${data}`)).join('\n'),
+    params
+  };
+}
+
+module.exports = { DVMBridge, HANDLER_KIND, jobKinds, parseJob, encryptionOf };
 
 if (require.main === module) {
+  const manifest = JSON.parse(require('fs').readFileSync(require('path').join(__dirname, 'manifest.json'), 'utf8'));
+  const kinds = jobKinds(manifest);
   console.log('NIP-90 DVM Bridge for AIP');
-  console.log('Supported kinds:', Object.entries(SUPPORTED_KINDS).map(([k, v]) => `${k}: ${v.name}`).join(', '));
-  console.log('\nTo start: instantiate DVMBridge with your Nostr secret key and call start()');
+  console.log(`Enabled: ${Boolean(manifest.dvm && manifest.dvm.enabled)}`);
+  console.log('Job kinds (manifest.dvm.capabilities):');
+  if (!kinds.size) console.log('  none');
+  for (const [kind, entries] of kinds) {
+    console.log(`  ${kind} ${kindName(kind)} → ${entries.map(e => e.task_type).join(', ')} (results: ${kind + 1000})`);
+  }
+  console.log('\nThe server runs the bridge when manifest.dvm.enabled is true and nostr-keys.json exists.');
 }
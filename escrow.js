@@ -0,0 +1,176 @@
+/**
+ * escrow.js — Hold-invoice escrow for accepted tasks (SPEC §7)
+ *
+ * When manifest.escrow.required is true, accepting a task issues a hold
+ * invoice for the agreed fee. The agent generates the preimage and keeps it
+ * in data/escrow/<task_id>.json; the requester only sees the payment hash.
+ *
+ * Escrow states (task.escrow.status):
+ *   unpaid     — invoice issued, requester hasn't paid
+ *   held       — requester's HTLC is locked; neither side can take the funds
+ *   settled    — task completed; agent revealed the preimage and was paid
+ *   cancelled  — task rejected, failed, cancelled or expired; HTLC released
+ *                back to the requester
+ *
+ * The settled preimage is the receipt's payment_proof: sha256(preimage) ===
+ * escrow.payment_hash proves the requester paid for exactly this task.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const lightning = require('./lightning.js');
+const { writeJsonAtomic } = require('./store');
+
+const DEFAULT_INVOICE_EXPIRY_S = 3600;
+const DEFAULT_CLTV_EXPIRY = 144; // blocks (~1 day) the requester's funds can stay locked
+
+class EscrowManager {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, 'data', 'escrow');
+    this.lightning = options.lightning || lightning;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * @param {Object} task - Task about to be accepted
+   * @param {Object} manifest - Current agent manifest
+   * @returns {number} Escrow amount in sats, or 0 if the task needs none
+   *                   (escrow off, or already paid up front over L402)
+   */
+  requiredAmount(task, manifest) {
+    const escrow = manifest.escrow;
+    if (!escrow || !escrow.required || task.payment) return 0;
+    const offered = task.payment_offer && Number(task.payment_offer.amount);
+    return offered || (manifest.pricing && manifest.pricing.min_task_fee) || 0;
+  }
+
+  loadSecret(taskId) {
+    const file = path.join(this.dir, `${taskId}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  saveSecret(secret) {
+    // Losing the preimage means losing the escrowed payment: never write it half-way
+    writeJsonAtomic(path.join(this.dir, `${secret.task_id}.json`), secret, { mode: 0o600 });
+  }
+
+  /**
+   * Issue the hold invoice and attach it to the task
+   * @param {Object} task - Task record (mutated)
+   * @param {number} amount - Sats
+   * @param {Object} opts - {expiry, cltv_expiry} from manifest.escrow
+   * @returns {Object} task.escrow
+   */
+  async open(task, amount, opts = {}) {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+
+    const invoice = await this.lightning.createHoldInvoice(amount, paymentHash, `AIP task escrow: ${task.task_id}`, {
+      expiry: opts.expiry || DEFAULT_INVOICE_EXPIRY_S,
+      cltv_expiry: opts.cltv_expiry || DEFAULT_CLTV_EXPIRY
+    });
+    this.saveSecret({ task_id: task.task_id, payment_hash: paymentHash, preimage, created: new Date().toISOString() });
+
+    task.escrow = {
+      amount_sats: amount,
+      payment_hash: paymentHash,
+      bolt11: invoice.bolt11,
+      status: 'unpaid',
+      expires_at: invoice.expires_at,
+      held_at: null,
+      settled_at: null,
+      cancelled_at: null,
+      preimage: null,
+      error: null
+    };
+    console.log(`[ESCROW] Issued ${amount} sat hold invoice for task ${task.task_id}`);
+    return task.escrow;
+  }
+
+  /**
+   * Pick up the invoice's state from the node (HTLC locked, or cancelled/expired)
+   * @returns {string|null} task.escrow.status
+   */
+  async refresh(task) {
+    const escrow = task.escrow;
+    if (!escrow) return null;
+    if (escrow.status !== 'unpaid' && escrow.status !== 'held') return escrow.status;
+
+    const invoice = await this.lightning.checkInvoice(escrow.payment_hash);
+    if (invoice.status === 'held' && escrow.status === 'unpaid') {
+      escrow.status = 'held';
+      escrow.held_at = new Date().toISOString();
+      console.log(`[ESCROW] Task ${task.task_id} funds locked`);
+    } else if (invoice.status === 'cancelled' || invoice.status === 'expired') {
+      escrow.status = 'cancelled';
+      escrow.cancelled_at = new Date().toISOString();
+      console.log(`[ESCROW] Task ${task.task_id} hold invoice ${invoice.status} on the node`);
+    }
+    return escrow.status;
+  }
+
+  /**
+   * Settle a held invoice with our preimage
+   * @returns {string} The preimage (payment proof)
+   * @throws {Error} if the escrow isn't held or the node refuses
+   */
+  async settle(task) {
+    const escrow = task.escrow;
+    if (!escrow || escrow.status !== 'held') throw new Error(`Escrow is ${escrow ? escrow.status : 'missing'}, not held`);
+    const secret = this.loadSecret(task.task_id);
+    if (!secret) throw new Error('Escrow preimage missing');
+
+    await this.lightning.settleHoldInvoice(secret.preimage);
+    escrow.status = 'settled';
+    escrow.settled_at = new Date().toISOString();
+    escrow.preimage = secret.preimage;
+    escrow.error = null;
+    console.log(`[ESCROW] Task ${task.task_id} settled (${escrow.amount_sats} sats)`);
+    return secret.preimage;
+  }
+
+  /**
+   * Cancel the hold invoice, releasing the requester's HTLC. No-op once the
+   * escrow is settled or cancelled. Failures are recorded on task.escrow.error
+   * rather than thrown: the node also cancels on its own at CLTV expiry.
+   * @returns {string|null} task.escrow.status
+   */
+  async cancel(task) {
+    const escrow = task.escrow;
+    if (!escrow || (escrow.status !== 'unpaid' && escrow.status !== 'held')) return escrow ? escrow.status : null;
+
+    try {
+      await this.lightning.cancelHoldInvoice(escrow.payment_hash);
+      escrow.status = 'cancelled';
+      escrow.cancelled_at = new Date().toISOString();
+      escrow.error = null;
+      console.log(`[ESCROW] Task ${task.task_id} hold invoice cancelled`);
+    } catch (err) {
+      escrow.error = err.message;
+      console.log(`[ESCROW] ✗ Could not cancel hold invoice for task ${task.task_id}: ${err.message}`);
+    }
+    return escrow.status;
+  }
+
+  /**
+   * Release the escrow if the task's (new) status means the agent won't be
+   * paid: rejected, failed, cancelled, declined or expired.
+   * @returns {Promise<string|null>} task.escrow.status
+   */
+  async closeFor(task) {
+    switch (task.status) {
+      case 'rejected':
+      case 'failed':
+      case 'cancelled':
+      case 'declined':
+      case 'expired':
+        return this.cancel(task);
+      default:
+        return task.escrow ? task.escrow.status : null;
+    }
+  }
+}
+
+module.exports = { EscrowManager };
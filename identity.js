@@ -0,0 +1,308 @@
+/**
+ * identity.js — Agent key rotation, revocation, Nostr binding and manifest
+ * signatures (SPEC §2, §6, §8)
+ *
+ * Rotation statement: the old key hands over to the new one. Both keys sign
+ * the same data, so holding only one of them isn't enough to forge a link:
+ *
+ *   {type: "aip-key-rotation", old_agent_id, new_agent_id, reason, timestamp,
+ *    sig_alg, sig_version, old_signature, new_signature}
+ *
+ * Revocation: signed by the revoked key itself. Whoever holds the key (even
+ * a thief) can revoke it, but nobody can take a revocation back:
+ *
+ *   {type: "aip-key-revocation", agent_id, reason, compromised_since,
+ *    timestamp, sig_alg, sig_version, signature}
+ *
+ * Signatures by a revoked key dated at or after compromised_since are not to
+ * be trusted; with compromised_since null, none are. Older receipts stay
+ * valid under the key that signed them.
+ *
+ * Both are kept in the manifest (key_history, revoked_keys). Revocations are
+ * also published to Nostr (nostr-publish.js).
+ *
+ * Nostr binding (manifest.identity): ties the Ed25519 agent key to the
+ * secp256k1 Nostr key that publishes for it. Each key signs the other:
+ *
+ *   {type: "aip-nostr-binding", agent_id, nostr_pubkey, timestamp, sig_alg,
+ *    sig_version, agent_signature, nostr_proof}
+ *
+ * agent_signature is the agent key's signature over the fields before it;
+ * nostr_proof is a Nostr event (kind 30082) signed by nostr_pubkey whose
+ * content is agent_id. Without it anyone could republish our manifest under
+ * their own npub.
+ *
+ * Signed manifest: the agent key signs the canonical form of every manifest
+ * field except `signature`, including a `sequence` that goes up with each
+ * change. Clients pin agent_id and remember the last sequence they saw, so an
+ * altered or replayed manifest (e.g. through a compromised tunnel) is
+ * detected.
+ */
+
+const nacl = require('tweetnacl');
+const { encodeBase64 } = require('tweetnacl-util');
+const { finalizeEvent, verifyEvent, getPublicKey } = require('nostr-tools');
+const { versioned, isLegacy, signMessage, verifySignature } = require('./signing');
+
+const ROTATION_TYPE = 'aip-key-rotation';
+const REVOCATION_TYPE = 'aip-key-revocation';
+const BINDING_TYPE = 'aip-nostr-binding';
+const AIP_BINDING_KIND = 30082;
+
+/**
+ * Fresh Ed25519 agent keypair, in agent-keys.json format
+ */
+function generateKeys() {
+  const keypair = nacl.sign.keyPair();
+  return {
+    publicKey: encodeBase64(keypair.publicKey),
+    secretKey: encodeBase64(keypair.secretKey),
+    created: new Date().toISOString(),
+    note: 'AIP agent identity keypair (Ed25519). Keep secretKey private.'
+  };
+}
+
+function rotationSigningData(stmt) {
+  return {
+    type: stmt.type,
+    old_agent_id: stmt.old_agent_id,
+    new_agent_id: stmt.new_agent_id,
+    reason: stmt.reason,
+    timestamp: stmt.timestamp,
+    sig_alg: stmt.sig_alg,
+    sig_version: stmt.sig_version
+  };
+}
+
+/**
+ * Link an old key to its successor
+ * @param {Object} oldKeys - {publicKey, secretKey}
+ * @param {Object} newKeys - {publicKey, secretKey}
+ * @param {string} [reason]
+ * @returns {Object} Rotation statement signed by both keys
+ */
+function createRotation(oldKeys, newKeys, reason = null) {
+  const data = versioned(rotationSigningData({
+    type: ROTATION_TYPE,
+    old_agent_id: oldKeys.publicKey,
+    new_agent_id: newKeys.publicKey,
+    reason,
+    timestamp: new Date().toISOString()
+  }));
+  return {
+    ...data,
+    old_signature: signMessage(data, oldKeys.secretKey),
+    new_signature: signMessage(data, newKeys.secretKey)
+  };
+}
+
+/**
+ * @returns {boolean} true if both keys signed the statement
+ */
+function verifyRotation(stmt) {
+  if (!stmt || stmt.type !== ROTATION_TYPE) return false;
+  const data = rotationSigningData(stmt);
+  return verifySignature(data, stmt.old_signature, stmt.old_agent_id) &&
+    verifySignature(data, stmt.new_signature, stmt.new_agent_id);
+}
+
+function revocationSigningData(stmt) {
+  return {
+    type: stmt.type,
+    agent_id: stmt.agent_id,
+    reason: stmt.reason,
+    compromised_since: stmt.compromised_since,
+    timestamp: stmt.timestamp,
+    sig_alg: stmt.sig_alg,
+    sig_version: stmt.sig_version
+  };
+}
+
+/**
+ * Revoke a key
+ * @param {Object} keys - {publicKey, secretKey} of the key being revoked
+ * @param {Object} opts
+ * @param {string} [opts.reason]
+ * @param {string} [opts.compromisedSince] - ISO-8601; null distrusts every signature by the key
+ * @returns {Object} Revocation statement signed by the revoked key
+ */
+function createRevocation(keys, { reason = null, compromisedSince = null } = {}) {
+  const data = versioned(revocationSigningData({
+    type: REVOCATION_TYPE,
+    agent_id: keys.publicKey,
+    reason,
+    compromised_since: compromisedSince,
+    timestamp: new Date().toISOString()
+  }));
+  return { ...data, signature: signMessage(data, keys.secretKey) };
+}
+
+/**
+ * @returns {boolean} true if the revoked key signed the statement
+ */
+function verifyRevocation(stmt) {
+  if (!stmt || stmt.type !== REVOCATION_TYPE) return false;
+  return verifySignature(revocationSigningData(stmt), stmt.signature, stmt.agent_id);
+}
+
+/**
+ * The first valid revocation of a key, if any
+ * @param {Object[]} revocations - Revocation statements (unverified)
+ * @param {string} agentId
+ * @returns {Object|null}
+ */
+function revocationFor(revocations, agentId) {
+  return (revocations || []).find(r => r && r.agent_id === agentId && verifyRevocation(r)) || null;
+}
+
+/**
+ * Is a signature made at `timestamp` by a revoked key untrustworthy?
+ */
+function isRevokedAt(revocation, timestamp) {
+  if (!revocation) return false;
+  if (!revocation.compromised_since) return true;
+  return new Date(timestamp).getTime() >= new Date(revocation.compromised_since).getTime();
+}
+
+/**
+ * Chain of valid rotation statements leading from one key to another
+ * @param {Object[]} history - Rotation statements (unverified, any order)
+ * @param {string} fromId - Older key
+ * @param {string} toId - Newer key
+ * @returns {Object[]|null} Statements in order ([] if fromId === toId), or null if unlinked
+ */
+function rotationChain(history, fromId, toId) {
+  const chain = [];
+  const seen = new Set([fromId]);
+  let current = fromId;
+  while (current !== toId) {
+    const next = (history || []).find(s => s && s.old_agent_id === current && !seen.has(s.new_agent_id) && verifyRotation(s));
+    if (!next) return null;
+    chain.push(next);
+    seen.add(next.new_agent_id);
+    current = next.new_agent_id;
+  }
+  return chain;
+}
+
+function bindingSigningData(binding) {
+  return {
+    type: binding.type,
+    agent_id: binding.agent_id,
+    nostr_pubkey: binding.nostr_pubkey,
+    timestamp: binding.timestamp,
+    sig_alg: binding.sig_alg,
+    sig_version: binding.sig_version
+  };
+}
+
+/**
+ * Cross-sign the agent key and the Nostr key
+ * @param {Object} agentKeys - {publicKey, secretKey} from agent-keys.json
+ * @param {string} nostrSecretKey - Hex secp256k1 secret key (nostr-keys.json)
+ * @returns {Object} Binding for manifest.identity
+ */
+function createBinding(agentKeys, nostrSecretKey) {
+  const sk = Uint8Array.from(Buffer.from(nostrSecretKey, 'hex'));
+  const data = versioned(bindingSigningData({
+    type: BINDING_TYPE,
+    agent_id: agentKeys.publicKey,
+    nostr_pubkey: getPublicKey(sk),
+    timestamp: new Date().toISOString()
+  }));
+  const nostrProof = finalizeEvent({
+    kind: AIP_BINDING_KIND,
+    created_at: Math.floor(new Date(data.timestamp).getTime() / 1000),
+    tags: [['d', 'aip-nostr-binding'], ['agent_id', agentKeys.publicKey]],
+    content: agentKeys.publicKey
+  }, sk);
+  return { ...data, agent_signature: signMessage(data, agentKeys.secretKey), nostr_proof: nostrProof };
+}
+
+/**
+ * Check a binding, optionally against the keys it is supposed to bind
+ * @param {Object} binding - manifest.identity
+ * @param {Object} [expect] - {agentId, nostrPubkey}, e.g. manifest.agent_id and the event's pubkey
+ * @returns {Object} {valid, error}
+ */
+function verifyBinding(binding, expect = {}) {
+  if (!binding || binding.type !== BINDING_TYPE) return { valid: false, error: 'No Nostr identity binding' };
+  if (expect.agentId && binding.agent_id !== expect.agentId) {
+    return { valid: false, error: 'Binding is for a different agent_id' };
+  }
+  if (expect.nostrPubkey && binding.nostr_pubkey !== expect.nostrPubkey) {
+    return { valid: false, error: 'Binding is for a different Nostr key' };
+  }
+  if (!verifySignature(bindingSigningData(binding), binding.agent_signature, binding.agent_id)) {
+    return { valid: false, error: 'agent_signature does not verify' };
+  }
+  const proof = binding.nostr_proof;
+  let proofValid = false;
+  try {
+    proofValid = verifyEvent(proof);
+  } catch {
+    proofValid = false;
+  }
+  if (!proofValid || proof.kind !== AIP_BINDING_KIND || proof.pubkey !== binding.nostr_pubkey ||
+      proof.content !== binding.agent_id) {
+    return { valid: false, error: 'nostr_proof is not the Nostr key signing agent_id' };
+  }
+  return { valid: true, error: null };
+}
+
+function manifestSigningData(manifest) {
+  const { signature, ...data } = manifest;
+  return data;
+}
+
+/**
+ * Sign a manifest as a new version: sets agent_id, bumps sequence, stamps updated
+ * @param {Object} manifest - Manifest (any previous signature is replaced)
+ * @param {Object} agentKeys - {publicKey, secretKey} from agent-keys.json
+ * @returns {Object} Signed manifest
+ */
+function signManifest(manifest, agentKeys) {
+  const data = versioned({
+    ...manifestSigningData(manifest),
+    agent_id: agentKeys.publicKey,
+    sequence: (Number.isInteger(manifest.sequence) ? manifest.sequence : 0) + 1,
+    updated: new Date().toISOString()
+  });
+  return { ...data, signature: signMessage(data, agentKeys.secretKey) };
+}
+
+/**
+ * Check a manifest's signature before trusting any of its fields
+ * @param {Object} manifest
+ * @param {Object} [expect]
+ * @param {string} [expect.agentId] - Pinned agent key (without it, manifest.agent_id is taken on trust)
+ * @param {number} [expect.minSequence] - Last sequence seen; older manifests are rejected as replays
+ * @returns {Object} {valid, error}
+ */
+function verifyManifest(manifest, expect = {}) {
+  if (!manifest || typeof manifest !== 'object' || !manifest.signature) {
+    return { valid: false, error: 'Manifest is not signed' };
+  }
+  if (isLegacy(manifest)) return { valid: false, error: 'Manifest signature has no sig_alg/sig_version' };
+  if (expect.agentId && manifest.agent_id !== expect.agentId) {
+    return { valid: false, error: 'Manifest is for a different agent_id' };
+  }
+  if (!verifySignature(manifestSigningData(manifest), manifest.signature, manifest.agent_id)) {
+    return { valid: false, error: 'Manifest signature does not verify' };
+  }
+  if (!Number.isInteger(manifest.sequence)) return { valid: false, error: 'Manifest has no sequence' };
+  if (expect.minSequence !== undefined && manifest.sequence < expect.minSequence) {
+    return { valid: false, error: `Manifest sequence ${manifest.sequence} is older than ${expect.minSequence}` };
+  }
+  if (revocationFor(manifest.revoked_keys, manifest.agent_id)) {
+    return { valid: false, error: 'Manifest is signed by a revoked key' };
+  }
+  return { valid: true, error: null };
+}
+
+module.exports = {
+  ROTATION_TYPE, REVOCATION_TYPE, BINDING_TYPE, AIP_BINDING_KIND,
+  generateKeys, createRotation, verifyRotation, createRevocation, verifyRevocation,
+  revocationFor, isRevokedAt, rotationChain, createBinding, verifyBinding,
+  signManifest, verifyManifest
+};
@@ -1,20 +1,104 @@
-// Generate Ed25519 keypair for AIP agent identity
-const nacl = require('tweetnacl');
-const { encodeBase64 } = require('tweetnacl-util');
+// Generate, rotate or revoke the Ed25519 keypair for AIP agent identity
+//   node keygen.js                      first-time keypair (refuses to overwrite)
+//   node keygen.js --rotate [reason]    new keypair, linked to the old one in manifest.key_history
+//   node keygen.js --revoke <agent_id> [--reason <text>] [--compromised-since <ISO-8601>]
 const fs = require('fs');
 const path = require('path');
+const { writeJsonAtomic } = require('./store');
+const { generateKeys, createRotation, createRevocation, revocationFor } = require('./identity');
 
-const keypair = nacl.sign.keyPair();
+const outPath = path.join(__dirname, 'agent-keys.json');
+const retiredPath = path.join(__dirname, 'retired-keys.json');
+const manifestPath = path.join(__dirname, 'manifest.json');
 
-const keys = {
-  publicKey: encodeBase64(keypair.publicKey),
-  secretKey: encodeBase64(keypair.secretKey),
-  created: new Date().toISOString(),
-  note: 'AIP agent identity keypair (Ed25519). Keep secretKey private.'
+const args = process.argv.slice(2);
+const option = name => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : null;
 };
 
-const outPath = path.join(__dirname, 'agent-keys.json');
-fs.writeFileSync(outPath, JSON.stringify(keys, null, 2));
-console.log('Agent keypair generated:');
-console.log('  Public Key:', keys.publicKey);
-console.log('  Saved to:', outPath);
+function loadJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function saveManifest(update) {
+  const manifest = loadJson(manifestPath, null);
+  if (!manifest) return console.log('  No manifest.json yet; the server creates one on first start.');
+  update(manifest);
+  manifest.updated = new Date().toISOString();
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  console.log('  Updated:', manifestPath);
+}
+
+if (args[0] === '--rotate') {
+  const oldKeys = loadJson(outPath, null);
+  if (!oldKeys) {
+    console.error('No agent-keys.json to rotate. Run: node keygen.js');
+    process.exit(1);
+  }
+  const newKeys = generateKeys();
+  const statement = createRotation(oldKeys, newKeys, args[1] || null);
+
+  // Keep the old secret: it's needed to revoke the old key later
+  const retired = loadJson(retiredPath, []);
+  retired.push({ ...oldKeys, retired: statement.timestamp });
+  writeJsonAtomic(retiredPath, retired, { mode: 0o600 });
+  writeJsonAtomic(outPath, newKeys, { mode: 0o600 });
+
+  console.log('Agent key rotated:');
+  console.log('  Old Key:', oldKeys.publicKey);
+  console.log('  New Key:', newKeys.publicKey);
+  console.log('  Old keypair kept in:', retiredPath);
+  saveManifest(manifest => {
+    manifest.agent_id = newKeys.publicKey;
+    delete manifest.identity; // binds the old key; nostr-publish.js signs a new one
+    manifest.key_history = [...(manifest.key_history || []), statement];
+  });
+  console.log('Restart the server and republish the manifest (node nostr-publish.js).');
+} else if (args[0] === '--revoke') {
+  const agentId = args[1];
+  const current = loadJson(outPath, null);
+  const keys = loadJson(retiredPath, []).find(k => k.publicKey === agentId);
+  if (current && current.publicKey === agentId) {
+    console.error('That is the current key. Rotate first (node keygen.js --rotate), then revoke the old key.');
+    process.exit(1);
+  }
+  if (!keys) {
+    console.error(`Usage: node keygen.js --revoke <agent_id> [--reason <text>] [--compromised-since <ISO-8601>]`);
+    console.error(agentId ? `No retired keypair for ${agentId} in ${retiredPath}` : 'agent_id is required');
+    process.exit(1);
+  }
+  const compromisedSince = option('--compromised-since');
+  if (compromisedSince && isNaN(new Date(compromisedSince).getTime())) {
+    console.error('--compromised-since must be an ISO-8601 timestamp');
+    process.exit(1);
+  }
+
+  const manifest = loadJson(manifestPath, {});
+  const revocation = revocationFor(manifest.revoked_keys, agentId) ||
+    createRevocation(keys, { reason: option('--reason'), compromisedSince });
+  console.log('Agent key revoked:');
+  console.log('  Key:', agentId);
+  console.log('  Compromised since:', revocation.compromised_since || 'unknown (every signature distrusted)');
+  saveManifest(m => {
+    m.revoked_keys = [...(m.revoked_keys || []).filter(r => r.agent_id !== agentId), revocation];
+  });
+
+  if (fs.existsSync(path.join(__dirname, 'nostr-keys.json'))) {
+    require('./nostr-publish').publishRevocation(revocation).catch(console.error)
+      .finally(() => require('./relay-pool').sharedPool().close());
+  } else {
+    console.log('No nostr-keys.json; publish later with: node nostr-publish.js --revocations');
+  }
+} else {
+  if (fs.existsSync(outPath) && args[0] !== '--force') {
+    console.error('agent-keys.json already exists. Use --rotate to replace it (old receipts stay');
+    console.error('verifiable), or --force to overwrite it and lose the old identity.');
+    process.exit(1);
+  }
+  const keys = generateKeys();
+  writeJsonAtomic(outPath, keys, { mode: 0o600 });
+  console.log('Agent keypair generated:');
+  console.log('  Public Key:', keys.publicKey);
+  console.log('  Saved to:', outPath);
+}
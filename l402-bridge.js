@@ -3,22 +3,149 @@
  * 
  * Flow:
  * 1. Agent submits task to AIP inbox with payment offer
- * 2. AIP server accepts task, generates Lightning invoice via Coinos
+ * 2. AIP server accepts task, generates Lightning invoice via the configured backend
  * 3. Task gets completed, agent pays invoice
  * 4. AIP confirms payment via preimage, marks task as paid
  * 5. Receipt published to Nostr
  * 
- * Future (v0.2): Replace Coinos with lnget/Aperture from lightning-agent-kit
- * for proper L402 flow with remote signer security model.
+ * Lightning backend (Coinos, LND, CLN or the offline fake wallet) is chosen
+ * by lightning.json / AIP_LIGHTNING_BACKEND, see lightning.js.
+ *
+ * L402 paywall (challenge / authorize):
+ * 1. Server answers 402 with `WWW-Authenticate: L402 macaroon="...", invoice="..."`.
+ *    The macaroon's identifier carries the invoice's payment hash; caveats pin
+ *    task_id, task_type, expires (unix seconds) and price_sats.
+ * 2. Client pays the invoice and retries with `Authorization: L402 <macaroon>:<preimage>`.
+ * 3. Server checks the HMAC chain, the caveats, and sha256(preimage) === payment hash.
+ *    No call to the Lightning backend is needed to verify.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { createInvoice, checkInvoice } = require('./lightning.js');
+const {
+  mintMacaroon, verifySignature, serialize, deserialize,
+  encodeL402Identifier, decodeL402Identifier
+} = require('./macaroon');
+
+const ROOT_KEY_FILE = path.join(__dirname, 'data', 'l402-root-key');
+const DEFAULT_TOKEN_EXPIRY_S = 3600;
 
 class L402Bridge {
   constructor(options = {}) {
-    this.defaultPrice = options.defaultPrice || 100; // sats
     this.maxPrice = options.maxPrice || 10000; // sats
     this.pendingPayments = new Map();
+    this.rootKeyFile = options.rootKeyFile || ROOT_KEY_FILE;
+    this.rootKey = options.rootKey || null;
+  }
+
+  /**
+   * Root key for minting macaroons: AIP_L402_ROOT_KEY (hex), else
+   * data/l402-root-key (created on first use). Rotating it invalidates
+   * every outstanding token.
+   */
+  getRootKey() {
+    if (this.rootKey) return this.rootKey;
+    if (process.env.AIP_L402_ROOT_KEY) {
+      this.rootKey = Buffer.from(process.env.AIP_L402_ROOT_KEY, 'hex');
+    } else if (fs.existsSync(this.rootKeyFile)) {
+      this.rootKey = Buffer.from(fs.readFileSync(this.rootKeyFile, 'utf8').trim(), 'hex');
+    } else {
+      this.rootKey = crypto.randomBytes(32);
+      fs.mkdirSync(path.dirname(this.rootKeyFile), { recursive: true });
+      fs.writeFileSync(this.rootKeyFile, this.rootKey.toString('hex'), { mode: 0o600 });
+    }
+    return this.rootKey;
+  }
+
+  /**
+   * Issue an L402 challenge for a task: invoice + macaroon bound to its payment hash
+   * @param {Object} opts
+   * @param {string} opts.taskId - Task the token will be valid for
+   * @param {string} opts.taskType - Capability being paid for
+   * @param {number} opts.amount - Price in sats
+   * @param {number} opts.expirySeconds - Token lifetime (default 1 hour)
+   * @returns {Object} {macaroon, invoice, payment_hash, amount_sats, expires, headers}
+   */
+  async challenge({ taskId, taskType, amount, expirySeconds = DEFAULT_TOKEN_EXPIRY_S }) {
+    if (amount > this.maxPrice) {
+      throw new Error(`Amount ${amount} exceeds max price ${this.maxPrice}`);
+    }
+
+    const invoice = await createInvoice(amount, `AIP L402: ${taskType} ${taskId}`);
+    const expires = Math.floor(Date.now() / 1000) + expirySeconds;
+    const mac = mintMacaroon({
+      rootKey: this.getRootKey(),
+      identifier: encodeL402Identifier(invoice.payment_hash),
+      location: 'aip',
+      caveats: [
+        `task_id=${taskId}`,
+        `task_type=${taskType}`,
+        `expires=${expires}`,
+        `price_sats=${amount}`
+      ]
+    });
+    const macaroon = serialize(mac);
+
+    return {
+      macaroon,
+      invoice: invoice.bolt11,
+      payment_hash: invoice.payment_hash,
+      amount_sats: amount,
+      expires: new Date(expires * 1000).toISOString(),
+      headers: this.generate402Headers(macaroon, invoice.bolt11)
+    };
+  }
+
+  /**
+   * Verify an `Authorization: L402 <macaroon>:<preimage>` header for a task.
+   * Also accepts the legacy `LSAT` scheme.
+   * @param {string} header - Authorization header value
+   * @param {Object} expected - {taskId, taskType} the request is for
+   * @returns {Object} {valid: true, payment_hash, preimage, amount_sats}
+   *                   or {valid: false, error}
+   */
+  authorize(header, { taskId, taskType }) {
+    const match = /^(?:L402|LSAT)\s+([^:\s]+):([0-9a-fA-F]{64})$/.exec((header || '').trim());
+    if (!match) return { valid: false, error: 'Expected "L402 <macaroon>:<preimage>"' };
+    const [, encoded, preimage] = match;
+
+    let mac;
+    let id;
+    try {
+      mac = deserialize(encoded);
+      id = decodeL402Identifier(mac.identifier);
+    } catch (err) {
+      return { valid: false, error: err.message };
+    }
+    if (!verifySignature(mac, this.getRootKey())) {
+      return { valid: false, error: 'Macaroon signature invalid' };
+    }
+
+    const hash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    if (hash !== id.payment_hash) {
+      return { valid: false, error: 'Preimage does not match payment hash' };
+    }
+
+    // Every caveat must hold; unknown caveats fail closed
+    let amount = null;
+    for (const caveat of mac.caveats) {
+      const eq = caveat.indexOf('=');
+      const key = caveat.slice(0, eq);
+      const value = caveat.slice(eq + 1);
+      if (key === 'task_id' && value === taskId) continue;
+      if (key === 'task_type' && value === taskType) continue;
+      if (key === 'expires' && Number(value) * 1000 > Date.now()) continue;
+      if (key === 'price_sats' && Number(value) > 0) {
+        // Appended caveats can only lower what the token claims, never raise it
+        amount = amount === null ? Number(value) : Math.min(amount, Number(value));
+        continue;
+      }
+      return { valid: false, error: `Caveat not satisfied: ${caveat}` };
+    }
+
+    return { valid: true, payment_hash: id.payment_hash, preimage: preimage.toLowerCase(), amount_sats: amount };
   }
 
   /**
@@ -36,9 +163,9 @@ class L402Bridge {
     const invoice = await createInvoice(amount, `AIP Task: ${description}`);
     
     this.pendingPayments.set(taskId, {
-      invoiceId: invoice.id,
+      paymentHash: invoice.payment_hash,
       amount,
-      bolt11: invoice.bolt11 || invoice.text,
+      bolt11: invoice.bolt11,
       status: 'pending',
       createdAt: Date.now(),
     });
@@ -46,10 +173,8 @@ class L402Bridge {
     return {
       taskId,
       amount,
-      bolt11: invoice.bolt11 || invoice.text,
-      invoiceId: invoice.id,
-      // L402-style challenge header
-      l402Challenge: `L402 invoice="${invoice.bolt11 || invoice.text}", macaroon="aip-task-${taskId}"`,
+      bolt11: invoice.bolt11,
+      paymentHash: invoice.payment_hash,
     };
   }
 
@@ -64,9 +189,9 @@ class L402Bridge {
       return { status: 'not_found' };
     }
 
-    const invoiceStatus = await checkInvoice(payment.invoiceId);
+    const invoiceStatus = await checkInvoice(payment.paymentHash);
     
-    if (invoiceStatus.paid || invoiceStatus.status === 'paid') {
+    if (invoiceStatus.status === 'paid') {
       payment.status = 'paid';
       payment.paidAt = Date.now();
       payment.preimage = invoiceStatus.preimage;
@@ -85,34 +210,15 @@ class L402Bridge {
     };
   }
 
-  /**
-   * Get pricing for a task based on capability
-   * @param {string} capability - The task capability
-   * @returns {number} Price in sats
-   */
-  getTaskPrice(capability) {
-    const prices = {
-      'research.security': 500,
-      'research.web': 100,
-      'code.generate': 300,
-      'code.review': 200,
-      'writing.technical': 250,
-      'writing.creative': 150,
-      'data.analysis': 200,
-      'orchestration.delegate': 50,
-    };
-    return prices[capability] || this.defaultPrice;
-  }
-
   /**
    * Generate L402-compatible 402 response headers
-   * @param {string} taskId - Task ID
+   * @param {string} macaroon - Base64 macaroon from challenge()
    * @param {string} bolt11 - Lightning invoice
    * @returns {Object} HTTP headers for 402 response
    */
-  generate402Headers(taskId, bolt11) {
+  generate402Headers(macaroon, bolt11) {
     return {
-      'WWW-Authenticate': `L402 macaroon="aip-${taskId}", invoice="${bolt11}"`,
+      'WWW-Authenticate': `L402 macaroon="${macaroon}", invoice="${bolt11}"`,
       'Content-Type': 'application/json',
     };
   }
@@ -122,9 +228,10 @@ module.exports = { L402Bridge };
 
 // Self-test
 if (require.main === module) {
-  const bridge = new L402Bridge();
-  console.log('L402 Bridge initialized');
-  console.log('Capability prices:');
-  const caps = ['research.security', 'research.web', 'code.generate', 'writing.creative'];
-  caps.forEach(c => console.log(`  ${c}: ${bridge.getTaskPrice(c)} sats`));
+  const { priceTask } = require('./pricing');
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.json'), 'utf8'));
+  console.log('L402 prices (manifest.pricing, see pricing.js):');
+  for (const cap of manifest.capabilities) {
+    console.log(`  ${cap.type}: ${priceTask(manifest, { task_type: cap.type, description: '' }).amount} sats`);
+  }
 }
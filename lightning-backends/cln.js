@@ -0,0 +1,131 @@
+/**
+ * Core Lightning backend (clnrest plugin).
+ *
+ * Config:
+ *   url            https://127.0.0.1:3010
+ *   rune           rune string (lightning-cli createrune)
+ *   tls_cert_path  optional path to the clnrest certificate
+ *
+ * clnrest exposes every RPC method as POST /v1/<method> with a Rune header.
+ * Amounts are in millisatoshis.
+ *
+ * Hold invoices need the Boltz `hold` plugin (holdinvoice, settleholdinvoice,
+ * cancelholdinvoice, listholdinvoices); the rune must allow those methods.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { requestJson } = require('./http');
+
+const STATES = { unpaid: 'unpaid', paid: 'paid', expired: 'expired' };
+const HOLD_STATES = { unpaid: 'unpaid', accepted: 'held', paid: 'paid', cancelled: 'cancelled' };
+
+class ClnBackend {
+  constructor(config = {}) {
+    if (!config.url || !config.rune) throw new Error('CLN backend requires `url` and `rune`');
+    this.name = 'cln';
+    this.url = config.url.replace(/\/$/, '');
+    this.rune = config.rune;
+    this.ca = config.tls_cert_path ? fs.readFileSync(config.tls_cert_path) : null;
+  }
+
+  rpc(method, params = {}) {
+    return requestJson(`${this.url}/v1/${method}`, {
+      method: 'POST',
+      body: params,
+      ca: this.ca,
+      headers: { Rune: this.rune }
+    });
+  }
+
+  async createInvoice({ amount, memo, expiry = 3600 }) {
+    const data = await this.rpc('invoice', {
+      amount_msat: amount * 1000,
+      label: `aip-${crypto.randomUUID()}`,
+      description: memo,
+      expiry
+    });
+    return {
+      payment_hash: data.payment_hash,
+      bolt11: data.bolt11,
+      amount,
+      expires_at: new Date(data.expires_at * 1000).toISOString()
+    };
+  }
+
+  async createHoldInvoice({ amount, memo, payment_hash, expiry = 3600, cltv_expiry = 144 }) {
+    const data = await this.rpc('holdinvoice', {
+      payment_hash,
+      amount: amount * 1000,
+      memo,
+      expiry,
+      min_final_cltv_expiry: cltv_expiry
+    });
+    return {
+      payment_hash,
+      bolt11: data.bolt11,
+      amount,
+      expires_at: new Date(Date.now() + expiry * 1000).toISOString()
+    };
+  }
+
+  async settleHoldInvoice(preimage) {
+    await this.rpc('settleholdinvoice', { preimage });
+    return { status: 'paid' };
+  }
+
+  async cancelHoldInvoice(paymentHash) {
+    await this.rpc('cancelholdinvoice', { payment_hash: paymentHash });
+    return { payment_hash: paymentHash, status: 'cancelled' };
+  }
+
+  async lookupHoldInvoice(paymentHash) {
+    const data = await this.rpc('listholdinvoices', { payment_hash: paymentHash });
+    const inv = (data.holdinvoices || [])[0];
+    if (!inv) return null;
+    return {
+      payment_hash: paymentHash,
+      status: HOLD_STATES[inv.state] || 'unpaid',
+      amount: inv.amount_msat != null ? Math.floor(inv.amount_msat / 1000) : null,
+      preimage: inv.preimage || null,
+      paid_at: inv.settled_at ? new Date(inv.settled_at * 1000).toISOString() : null
+    };
+  }
+
+  async lookupInvoice(paymentHash) {
+    const data = await this.rpc('listinvoices', { payment_hash: paymentHash });
+    const inv = (data.invoices || [])[0];
+    if (!inv) {
+      // Hold invoices live in the plugin, not in CLN's own invoice table
+      const held = await this.lookupHoldInvoice(paymentHash).catch(() => null);
+      if (held) return held;
+      throw new Error(`Invoice ${paymentHash} not found`);
+    }
+    return {
+      payment_hash: paymentHash,
+      status: STATES[inv.status] || 'unpaid',
+      amount: inv.amount_msat != null ? Math.floor(inv.amount_msat / 1000) : null,
+      preimage: inv.payment_preimage || null,
+      paid_at: inv.paid_at ? new Date(inv.paid_at * 1000).toISOString() : null
+    };
+  }
+
+  async payInvoice(bolt11) {
+    const data = await this.rpc('pay', { bolt11 });
+    if (data.status !== 'complete') throw new Error(`CLN payment ${data.status}`);
+    return {
+      payment_hash: data.payment_hash,
+      preimage: data.payment_preimage,
+      amount: Math.floor(data.amount_msat / 1000),
+      fee: Math.ceil((data.amount_sent_msat - data.amount_msat) / 1000)
+    };
+  }
+
+  async getBalance() {
+    const data = await this.rpc('listfunds');
+    const msat = (data.channels || []).reduce((sum, c) => sum + Number(c.our_amount_msat || 0), 0);
+    return { balance_sats: Math.floor(msat / 1000) };
+  }
+}
+
+module.exports = { ClnBackend };
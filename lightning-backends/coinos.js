@@ -0,0 +1,97 @@
+/**
+ * Coinos.io custodial backend.
+ *
+ * Coinos API (behind Cloudflare, requires browser-obtained token):
+ *   POST /api/invoice        → {hash, text (bolt11)}
+ *   GET  /api/invoice/:hash  → {received, amount, ...}
+ *   GET  /api/me             → {balance}
+ *   POST /api/payments       → send payment
+ *
+ * Token must be obtained via browser and saved to coinos-token.json
+ * (node lightning.js --save-token <token>).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TOKEN_FILE = path.join(__dirname, '..', 'coinos-token.json');
+const COINOS_API = 'https://coinos.io/api';
+
+class CoinosBackend {
+  constructor(config = {}) {
+    this.name = 'coinos';
+    this.apiUrl = config.url || COINOS_API;
+    this.tokenFile = config.token_file || DEFAULT_TOKEN_FILE;
+    this.token = config.token || null;
+  }
+
+  getToken() {
+    if (this.token) return this.token;
+    if (!fs.existsSync(this.tokenFile)) {
+      console.warn('[LIGHTNING] No coinos-token.json found. Run: node lightning.js --save-token <token> (token from browser)');
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.tokenFile, 'utf8')).token;
+  }
+
+  async request(method, endpoint, body = null) {
+    const token = this.getToken();
+    if (!token) throw new Error('No Coinos API token. Login via browser first.');
+
+    const opts = {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    };
+    if (body) opts.body = JSON.stringify(body);
+
+    const res = await fetch(`${this.apiUrl}${endpoint}`, opts);
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Coinos API error (${res.status}): ${text.slice(0, 200)}`);
+    }
+    return res.json();
+  }
+
+  async createInvoice({ amount, memo }) {
+    const data = await this.request('POST', '/invoice', {
+      invoice: { amount, type: 'lightning', memo }
+    });
+    return {
+      payment_hash: data.hash,
+      bolt11: data.text || data.bolt11,
+      amount,
+      expires_at: null
+    };
+  }
+
+  async lookupInvoice(paymentHash) {
+    const data = await this.request('GET', `/invoice/${paymentHash}`);
+    return {
+      payment_hash: paymentHash,
+      status: data && data.received ? 'paid' : 'unpaid',
+      amount: data ? data.amount : null,
+      preimage: (data && data.preimage) || null,
+      paid_at: null
+    };
+  }
+
+  async payInvoice(bolt11) {
+    const data = await this.request('POST', '/payments', { payreq: bolt11 });
+    return {
+      payment_hash: data.hash || null,
+      preimage: data.preimage || data.ref || null,
+      amount: data.amount != null ? Math.abs(data.amount) : null,
+      fee: data.fee || 0
+    };
+  }
+
+  async getBalance() {
+    const data = await this.request('GET', '/me');
+    return { balance_sats: data.balance };
+  }
+}
+
+module.exports = { CoinosBackend };
@@ -0,0 +1,188 @@
+/**
+ * Deterministic in-process fake wallet, for testing payment flows end to end
+ * without a Lightning node or network.
+ *
+ * Preimages are real 32-byte values derived from a seed
+ * (HMAC-SHA256(seed, "preimage:<n>")) and payment hashes are SHA-256 of the
+ * preimage, exactly as on Lightning, so anything that checks
+ * sha256(preimage) === payment_hash works unchanged. The same seed always
+ * yields the same sequence of invoices.
+ *
+ * Invoices look like BOLT11 (`lnbc<amount>n1...`, bech32 charset) so amount
+ * parsing works, but they only mean something to a fake wallet sharing the
+ * same state file. State is persisted to data/fake-wallet.json so a server
+ * and a client process on one machine see each other's payments.
+ *
+ * Hold invoices behave like LND's: paying one locks it (`held`) and returns
+ * no preimage; it becomes `paid` only when the receiver calls
+ * settleHoldInvoice(preimage), or `cancelled` via cancelHoldInvoice(hash).
+ *
+ * Config: { seed, state_file, balance }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', 'data', 'fake-wallet.json');
+const DEFAULT_BALANCE = 1_000_000;
+const DEFAULT_EXPIRY_S = 3600;
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// 8-bit bytes → bech32 characters (5 bits each)
+function toBech32Chars(bytes) {
+  let out = '';
+  let acc = 0;
+  let bits = 0;
+  for (const b of bytes) {
+    acc = (acc << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      out += BECH32_CHARSET[(acc >> bits) & 31];
+    }
+  }
+  if (bits > 0) out += BECH32_CHARSET[(acc << (5 - bits)) & 31];
+  return out;
+}
+
+class FakeBackend {
+  constructor(config = {}) {
+    this.name = 'fake';
+    this.seed = config.seed || 'aip-fake-wallet';
+    this.stateFile = config.state_file || DEFAULT_STATE_FILE;
+    this.initialBalance = config.balance != null ? config.balance : DEFAULT_BALANCE;
+  }
+
+  loadState() {
+    if (fs.existsSync(this.stateFile)) {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    }
+    return { counter: 0, balance_sats: this.initialBalance, invoices: {} };
+  }
+
+  saveState(state) {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+  }
+
+  preimageFor(n) {
+    return crypto.createHmac('sha256', this.seed).update(`preimage:${n}`).digest();
+  }
+
+  findByBolt11(state, bolt11) {
+    return Object.values(state.invoices).find(inv => inv.bolt11 === bolt11) || null;
+  }
+
+  refreshExpiry(inv) {
+    if (inv.status === 'unpaid' && new Date(inv.expires_at).getTime() < Date.now()) inv.status = 'expired';
+    return inv;
+  }
+
+  addInvoice(state, { paymentHash, preimage, amount, memo, expiry, hold }) {
+    const inv = {
+      payment_hash: paymentHash.toString('hex'),
+      preimage: preimage ? preimage.toString('hex') : null,
+      // 1 sat = 10 nano-BTC; the hash is embedded so every invoice is unique
+      bolt11: `lnbc${amount * 10}n1p${toBech32Chars(paymentHash)}fake`,
+      amount,
+      memo: memo || '',
+      hold: Boolean(hold),
+      status: 'unpaid',
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + expiry * 1000).toISOString(),
+      paid_at: null
+    };
+    state.invoices[inv.payment_hash] = inv;
+    return inv;
+  }
+
+  async createInvoice({ amount, memo, expiry = DEFAULT_EXPIRY_S }) {
+    const state = this.loadState();
+    const n = state.counter++;
+    const preimage = this.preimageFor(n);
+    const paymentHash = crypto.createHash('sha256').update(preimage).digest();
+    const inv = this.addInvoice(state, { paymentHash, preimage, amount, memo, expiry });
+    this.saveState(state);
+
+    return { payment_hash: inv.payment_hash, bolt11: inv.bolt11, amount, expires_at: inv.expires_at };
+  }
+
+  async createHoldInvoice({ amount, memo, payment_hash, expiry = DEFAULT_EXPIRY_S }) {
+    const state = this.loadState();
+    if (state.invoices[payment_hash]) throw new Error(`Invoice ${payment_hash} already exists`);
+    const inv = this.addInvoice(state, {
+      paymentHash: Buffer.from(payment_hash, 'hex'), preimage: null, amount, memo, expiry, hold: true
+    });
+    this.saveState(state);
+
+    return { payment_hash: inv.payment_hash, bolt11: inv.bolt11, amount, expires_at: inv.expires_at };
+  }
+
+  async settleHoldInvoice(preimage) {
+    const state = this.loadState();
+    const hash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    const inv = state.invoices[hash];
+    if (!inv || !inv.hold) throw new Error(`Hold invoice ${hash} not found`);
+    if (inv.status !== 'held') throw new Error(`Hold invoice is ${inv.status}, not held`);
+
+    inv.status = 'paid';
+    inv.preimage = preimage;
+    inv.paid_at = new Date().toISOString();
+    this.saveState(state);
+    return { payment_hash: hash, status: 'paid' };
+  }
+
+  async cancelHoldInvoice(paymentHash) {
+    const state = this.loadState();
+    const inv = state.invoices[paymentHash];
+    if (!inv || !inv.hold) throw new Error(`Hold invoice ${paymentHash} not found`);
+    if (inv.status === 'paid') throw new Error('Hold invoice already settled');
+
+    inv.status = 'cancelled';
+    this.saveState(state);
+    return { payment_hash: paymentHash, status: 'cancelled' };
+  }
+
+  async lookupInvoice(paymentHash) {
+    const state = this.loadState();
+    const inv = state.invoices[paymentHash];
+    if (!inv) throw new Error(`Invoice ${paymentHash} not found`);
+    this.refreshExpiry(inv);
+    return {
+      payment_hash: paymentHash,
+      status: inv.status,
+      amount: inv.amount,
+      preimage: inv.status === 'paid' ? inv.preimage : null,
+      paid_at: inv.paid_at
+    };
+  }
+
+  async payInvoice(bolt11) {
+    const state = this.loadState();
+    const inv = this.findByBolt11(state, bolt11);
+    if (!inv) throw new Error('Unknown invoice (the fake wallet can only pay invoices it issued)');
+    this.refreshExpiry(inv);
+    if (inv.status !== 'unpaid') throw new Error(`Invoice is ${inv.status}`);
+    if (state.balance_sats < inv.amount) throw new Error('Insufficient balance');
+
+    // Payer and payee share one ledger here, so the balance is unchanged
+    if (inv.hold) {
+      // HTLC locked; the preimage is only revealed when the receiver settles
+      inv.status = 'held';
+      this.saveState(state);
+      return { payment_hash: inv.payment_hash, preimage: null, amount: inv.amount, fee: 0, pending: true };
+    }
+    inv.status = 'paid';
+    inv.paid_at = new Date().toISOString();
+    this.saveState(state);
+
+    return { payment_hash: inv.payment_hash, preimage: inv.preimage, amount: inv.amount, fee: 0 };
+  }
+
+  async getBalance() {
+    return { balance_sats: this.loadState().balance_sats };
+  }
+}
+
+module.exports = { FakeBackend };
@@ -0,0 +1,54 @@
+/**
+ * Minimal JSON-over-HTTPS helper for node backends (LND REST, CLN clnrest).
+ * Uses https.request rather than fetch so a self-signed node TLS cert can be
+ * pinned via `ca`.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 30_000;
+
+/**
+ * @param {string} url - Full URL
+ * @param {Object} opts - {method, headers, body, ca}
+ * @returns {Promise<Object>} Parsed JSON response body
+ */
+function requestJson(url, { method = 'GET', headers = {}, body = null, ca = null } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const payload = body ? JSON.stringify(body) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...headers
+      },
+      ca: ca || undefined,
+      timeout: REQUEST_TIMEOUT_MS
+    }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+        }
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch {
+          reject(new Error(`Invalid JSON from ${target.host}: ${data.slice(0, 200)}`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.host} timed out`)));
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+module.exports = { requestJson };
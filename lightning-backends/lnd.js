@@ -0,0 +1,115 @@
+/**
+ * LND REST backend.
+ *
+ * Config:
+ *   url            https://127.0.0.1:8080
+ *   macaroon       hex-encoded macaroon, or
+ *   macaroon_path  path to invoice/admin.macaroon
+ *   tls_cert_path  path to tls.cert (self-signed node certificate)
+ *
+ *   POST /v1/invoices                 → {r_hash, payment_request}
+ *   GET  /v1/invoice/:r_hash_hex      → {state, r_preimage, value, settle_date}
+ *   POST /v1/channels/transactions    → {payment_preimage, payment_hash, payment_error}
+ *   GET  /v1/balance/channels         → {local_balance: {sat}}
+ *   POST /v2/invoices/hodl            → {payment_request}   (hold invoices)
+ *   POST /v2/invoices/settle          ← {preimage}
+ *   POST /v2/invoices/cancel          ← {payment_hash}
+ */
+
+const fs = require('fs');
+const { requestJson } = require('./http');
+
+const STATES = { OPEN: 'unpaid', ACCEPTED: 'held', SETTLED: 'paid', CANCELED: 'cancelled' };
+
+const b64ToHex = b64 => (b64 ? Buffer.from(b64, 'base64').toString('hex') : null);
+const hexToB64 = hex => Buffer.from(hex, 'hex').toString('base64');
+
+class LndBackend {
+  constructor(config = {}) {
+    if (!config.url) throw new Error('LND backend requires `url`');
+    this.name = 'lnd';
+    this.url = config.url.replace(/\/$/, '');
+    this.macaroon = config.macaroon
+      || (config.macaroon_path ? fs.readFileSync(config.macaroon_path).toString('hex') : null);
+    this.ca = config.tls_cert_path ? fs.readFileSync(config.tls_cert_path) : null;
+    if (!this.macaroon) throw new Error('LND backend requires `macaroon` or `macaroon_path`');
+  }
+
+  request(method, endpoint, body = null) {
+    return requestJson(`${this.url}${endpoint}`, {
+      method,
+      body,
+      ca: this.ca,
+      headers: { 'Grpc-Metadata-macaroon': this.macaroon }
+    });
+  }
+
+  async createInvoice({ amount, memo, expiry = 3600 }) {
+    const data = await this.request('POST', '/v1/invoices', { value: String(amount), memo, expiry: String(expiry) });
+    return {
+      payment_hash: b64ToHex(data.r_hash),
+      bolt11: data.payment_request,
+      amount,
+      expires_at: new Date(Date.now() + expiry * 1000).toISOString()
+    };
+  }
+
+  async createHoldInvoice({ amount, memo, payment_hash, expiry = 3600, cltv_expiry = 144 }) {
+    const data = await this.request('POST', '/v2/invoices/hodl', {
+      hash: hexToB64(payment_hash),
+      value: String(amount),
+      memo,
+      expiry: String(expiry),
+      cltv_expiry: String(cltv_expiry)
+    });
+    return {
+      payment_hash,
+      bolt11: data.payment_request,
+      amount,
+      expires_at: new Date(Date.now() + expiry * 1000).toISOString()
+    };
+  }
+
+  async settleHoldInvoice(preimage) {
+    await this.request('POST', '/v2/invoices/settle', { preimage: hexToB64(preimage) });
+    return { status: 'paid' };
+  }
+
+  async cancelHoldInvoice(paymentHash) {
+    await this.request('POST', '/v2/invoices/cancel', { payment_hash: hexToB64(paymentHash) });
+    return { payment_hash: paymentHash, status: 'cancelled' };
+  }
+
+  async lookupInvoice(paymentHash) {
+    const data = await this.request('GET', `/v1/invoice/${paymentHash}`);
+    return {
+      payment_hash: paymentHash,
+      status: STATES[data.state] || 'unpaid',
+      amount: Number(data.value),
+      preimage: data.state === 'SETTLED' ? b64ToHex(data.r_preimage) : null,
+      paid_at: data.settle_date && data.settle_date !== '0'
+        ? new Date(Number(data.settle_date) * 1000).toISOString()
+        : null
+    };
+  }
+
+  async payInvoice(bolt11) {
+    const data = await this.request('POST', '/v1/channels/transactions', { payment_request: bolt11 });
+    if (data.payment_error) throw new Error(`LND payment failed: ${data.payment_error}`);
+    const route = data.payment_route || {};
+    return {
+      payment_hash: b64ToHex(data.payment_hash),
+      preimage: b64ToHex(data.payment_preimage),
+      amount: route.total_amt != null ? Number(route.total_amt) - Number(route.total_fees || 0) : null,
+      fee: Number(route.total_fees || 0)
+    };
+  }
+
+  async getBalance() {
+    const data = await this.request('GET', '/v1/balance/channels');
+    const sat = data.local_balance ? data.local_balance.sat : data.balance;
+    return { balance_sats: Number(sat || 0) };
+  }
+}
+
+module.exports = { LndBackend };
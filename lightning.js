@@ -1,83 +1,156 @@
 /**
  * AIP Lightning Payment Module
- * Uses Coinos.io API for Lightning invoice creation and payment verification.
- * 
- * Coinos API (behind Cloudflare, requires browser-obtained token):
- *   POST /api/login → {token}
- *   POST /api/invoice → {hash, text (bolt11)}  
- *   GET  /api/me → {balance}
- *   POST /api/payments → send payment
- * 
- * Token must be obtained via browser and saved to coinos-token.json
+ * Pluggable backend for Lightning invoice creation, lookup, payment and balance.
+ *
+ * Backends (lightning-backends/):
+ *   coinos  — Coinos.io custodial API (default; token via --save-token)
+ *   lnd     — LND REST
+ *   cln     — Core Lightning (clnrest)
+ *   fake    — Deterministic offline wallet for tests (real preimages/hashes)
+ *
+ * Selected by lightning.json:
+ *   { "backend": "lnd", "lnd": { "url": "...", "macaroon_path": "...", "tls_cert_path": "..." } }
+ * or AIP_LIGHTNING_BACKEND=<name> (overrides the file's `backend`).
+ *
+ * Every backend implements:
+ *   createInvoice({amount, memo, expiry}) → {payment_hash, bolt11, amount, expires_at}
+ *   lookupInvoice(payment_hash)           → {payment_hash, status, amount, preimage, paid_at}
+ *   payInvoice(bolt11)                    → {payment_hash, preimage, amount, fee}
+ *   getBalance()                          → {balance_sats}
+ * where status is 'unpaid' | 'paid' | 'expired' | 'cancelled' | 'held'.
+ *
+ * Hold invoices (lnd, cln with the hold plugin, fake; not coinos):
+ *   createHoldInvoice({amount, memo, payment_hash, expiry, cltv_expiry}) → {payment_hash, bolt11, amount, expires_at}
+ *   settleHoldInvoice(preimage)
+ *   cancelHoldInvoice(payment_hash)
+ * The receiver picks the preimage; the invoice is `held` once the payer's HTLC
+ * is locked and only becomes `paid` when settled with that preimage.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { CoinosBackend } = require('./lightning-backends/coinos');
+const { LndBackend } = require('./lightning-backends/lnd');
+const { ClnBackend } = require('./lightning-backends/cln');
+const { FakeBackend } = require('./lightning-backends/fake');
 
+const CONFIG_FILE = path.join(__dirname, 'lightning.json');
 const TOKEN_FILE = path.join(__dirname, 'coinos-token.json');
-const COINOS_API = 'https://coinos.io/api';
 
-function getToken() {
-  if (!fs.existsSync(TOKEN_FILE)) {
-    console.warn('[LIGHTNING] No coinos-token.json found. Run: node lightning.js --get-token (via browser)');
-    return null;
-  }
-  const data = JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
-  return data.token;
-}
+const BACKENDS = {
+  coinos: CoinosBackend,
+  lnd: LndBackend,
+  cln: ClnBackend,
+  fake: FakeBackend
+};
 
-async function coinosRequest(method, endpoint, body = null) {
-  const token = getToken();
-  if (!token) throw new Error('No Coinos API token. Login via browser first.');
+let backend = null;
 
-  const opts = {
-    method,
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`
-    }
-  };
-  if (body) opts.body = JSON.stringify(body);
+function loadConfig() {
+  const config = fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) : {};
+  config.backend = process.env.AIP_LIGHTNING_BACKEND || config.backend || 'coinos';
+  return config;
+}
 
-  const res = await fetch(`${COINOS_API}${endpoint}`, opts);
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Coinos API error (${res.status}): ${text.slice(0, 200)}`);
+/**
+ * Build a backend instance by name
+ * @param {string} name - coinos | lnd | cln | fake
+ * @param {Object} config - Backend-specific config
+ */
+function createBackend(name, config = {}) {
+  const Backend = BACKENDS[name];
+  if (!Backend) throw new Error(`Unknown Lightning backend "${name}" (expected: ${Object.keys(BACKENDS).join(', ')})`);
+  return new Backend(config);
+}
+
+/**
+ * The configured backend (created on first use)
+ */
+function getBackend() {
+  if (!backend) {
+    const config = loadConfig();
+    backend = createBackend(config.backend, config[config.backend] || {});
   }
-  return res.json();
+  return backend;
+}
+
+/**
+ * Replace the active backend (tests, or callers that manage their own config)
+ */
+function setBackend(instance) {
+  backend = instance;
 }
 
 /**
  * Create a Lightning invoice for receiving payment
  * @param {number} amount - Amount in sats
  * @param {string} memo - Invoice description
- * @returns {Object} {hash, text (bolt11 invoice string)}
+ * @returns {Object} {payment_hash, bolt11, amount, expires_at}
  */
 async function createInvoice(amount, memo = 'AIP task payment') {
-  return coinosRequest('POST', '/invoice', {
-    invoice: {
-      amount,
-      type: 'lightning',
-      memo
-    }
-  });
+  return getBackend().createInvoice({ amount, memo });
+}
+
+/**
+ * Look up an invoice we issued
+ * @param {string} paymentHash - Hex payment hash
+ * @returns {Object} {payment_hash, status, amount, preimage, paid_at}
+ */
+async function checkInvoice(paymentHash) {
+  return getBackend().lookupInvoice(paymentHash);
 }
 
 /**
  * Check wallet balance
- * @returns {Object} {balance in sats}
+ * @returns {Object} {balance_sats}
  */
 async function getBalance() {
-  return coinosRequest('GET', '/me');
+  return getBackend().getBalance();
 }
 
 /**
  * Pay a Lightning invoice
  * @param {string} payreq - BOLT11 invoice string
- * @returns {Object} payment result with preimage
+ * @returns {Object} {payment_hash, preimage, amount, fee}
  */
 async function payInvoice(payreq) {
-  return coinosRequest('POST', '/payments', { payreq });
+  return getBackend().payInvoice(payreq);
+}
+
+function holdBackend() {
+  const b = getBackend();
+  if (typeof b.createHoldInvoice !== 'function') {
+    throw new Error(`Lightning backend "${b.name}" does not support hold invoices`);
+  }
+  return b;
+}
+
+/**
+ * Create a hold invoice locked to a payment hash we know the preimage of
+ * @param {number} amount - Amount in sats
+ * @param {string} paymentHash - Hex sha256 of our secret preimage
+ * @param {string} memo - Invoice description
+ * @param {Object} opts - {expiry (s), cltv_expiry (blocks)}
+ * @returns {Object} {payment_hash, bolt11, amount, expires_at}
+ */
+async function createHoldInvoice(amount, paymentHash, memo = 'AIP task escrow', opts = {}) {
+  return holdBackend().createHoldInvoice({ amount, memo, payment_hash: paymentHash, ...opts });
+}
+
+/**
+ * Settle a held invoice, claiming the payer's HTLC
+ * @param {string} preimage - Hex preimage
+ */
+async function settleHoldInvoice(preimage) {
+  return holdBackend().settleHoldInvoice(preimage);
+}
+
+/**
+ * Cancel a hold invoice, releasing the payer's HTLC (if any)
+ * @param {string} paymentHash - Hex payment hash
+ */
+async function cancelHoldInvoice(paymentHash) {
+  return holdBackend().cancelHoldInvoice(paymentHash);
 }
 
 /**
@@ -87,8 +160,8 @@ async function payInvoice(payreq) {
  */
 async function verifyPayment(hash) {
   try {
-    const data = await coinosRequest('GET', `/invoice/${hash}`);
-    return data && data.received;
+    const invoice = await checkInvoice(hash);
+    return invoice.status === 'paid';
   } catch {
     return false;
   }
@@ -103,8 +176,8 @@ async function verifyPayment(hash) {
 async function createSpamBond(taskId, amount = 1000) {
   const invoice = await createInvoice(amount, `AIP spam bond: ${taskId}`);
   return {
-    hash: invoice.hash,
-    bolt11: invoice.text || invoice.bolt11,
+    hash: invoice.payment_hash,
+    bolt11: invoice.bolt11,
     amount
   };
 }
@@ -112,7 +185,7 @@ async function createSpamBond(taskId, amount = 1000) {
 // CLI
 if (require.main === module) {
   const cmd = process.argv[2];
-  
+
   if (cmd === '--balance') {
     getBalance().then(d => console.log('Balance:', d)).catch(console.error);
   } else if (cmd === '--invoice') {
@@ -120,9 +193,13 @@ if (require.main === module) {
     const memo = process.argv[4] || 'AIP test invoice';
     createInvoice(amount, memo).then(d => {
       console.log('Invoice created:');
-      console.log('  Hash:', d.hash);
-      console.log('  BOLT11:', (d.text || d.bolt11 || '').slice(0, 80) + '...');
+      console.log('  Hash:', d.payment_hash);
+      console.log('  BOLT11:', (d.bolt11 || '').slice(0, 80) + '...');
     }).catch(console.error);
+  } else if (cmd === '--lookup') {
+    checkInvoice(process.argv[3]).then(d => console.log('Invoice:', d)).catch(console.error);
+  } else if (cmd === '--pay') {
+    payInvoice(process.argv[3]).then(d => console.log('Paid:', d)).catch(console.error);
   } else if (cmd === '--save-token') {
     const token = process.argv[3];
     if (!token) { console.log('Usage: node lightning.js --save-token <token>'); process.exit(1); }
@@ -130,12 +207,19 @@ if (require.main === module) {
     console.log('Token saved to', TOKEN_FILE);
   } else {
     console.log('AIP Lightning Module');
-    console.log('  --balance          Check Coinos wallet balance');
+    console.log('  --balance          Check wallet balance');
     console.log('  --invoice <sats>   Create Lightning invoice');
+    console.log('  --lookup <hash>    Look up an invoice by payment hash');
+    console.log('  --pay <bolt11>     Pay an invoice');
     console.log('  --save-token <t>   Save Coinos API token');
     console.log('');
-    console.log('Token status:', fs.existsSync(TOKEN_FILE) ? 'SAVED' : 'MISSING');
+    console.log('Backend:', loadConfig().backend);
+    console.log('Coinos token status:', fs.existsSync(TOKEN_FILE) ? 'SAVED' : 'MISSING');
   }
 }
 
-module.exports = { createInvoice, getBalance, payInvoice, verifyPayment, createSpamBond };
+module.exports = {
+  createInvoice, checkInvoice, getBalance, payInvoice, verifyPayment, createSpamBond,
+  createHoldInvoice, settleHoldInvoice, cancelHoldInvoice,
+  getBackend, setBackend, createBackend, BACKENDS
+};
@@ -0,0 +1,190 @@
+/**
+ * macaroon.js — Minimal macaroons for L402
+ *
+ * Macaroons are bearer tokens whose signature is an HMAC chain:
+ *
+ *   sig0 = HMAC(derive(rootKey), identifier)
+ *   sigN = HMAC(sigN-1, caveatN)
+ *
+ * Anyone holding a macaroon can append caveats (restricting it further) but
+ * nobody without the root key can remove one or forge a new token.
+ *
+ * Only first-party caveats are supported. Serialization is the libmacaroons
+ * V2 binary format (the one lnd, Aperture and lnget use), base64 encoded, so
+ * tokens minted here can be carried by standard L402 clients.
+ *
+ * L402 identifiers are: uint16 version (0) | 32-byte payment hash | 32-byte token id.
+ */
+
+const crypto = require('crypto');
+
+const KEY_GENERATOR = Buffer.from('macaroons-key-generator');
+const VERSION_V2 = 2;
+const FIELD = { EOS: 0, LOCATION: 1, IDENTIFIER: 2, VID: 4, SIGNATURE: 6 };
+const L402_ID_VERSION = 0;
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Same key derivation as libmacaroons / go-macaroon, so signatures interoperate
+function deriveKey(rootKey) {
+  return hmac(KEY_GENERATOR, rootKey);
+}
+
+/**
+ * Mint a new macaroon
+ * @param {Object} opts
+ * @param {Buffer} opts.rootKey - Secret root key
+ * @param {Buffer|string} opts.identifier - Public identifier
+ * @param {string} opts.location - Optional location hint
+ * @param {string[]} opts.caveats - First-party caveats, e.g. "task_id=..."
+ * @returns {Object} {location, identifier: Buffer, caveats: string[], signature: Buffer}
+ */
+function mintMacaroon({ rootKey, identifier, location = '', caveats = [] }) {
+  const id = Buffer.from(identifier);
+  let mac = { location, identifier: id, caveats: [], signature: hmac(deriveKey(rootKey), id) };
+  for (const caveat of caveats) mac = addCaveat(mac, caveat);
+  return mac;
+}
+
+/**
+ * Append a first-party caveat (no root key needed)
+ */
+function addCaveat(mac, caveat) {
+  return {
+    ...mac,
+    caveats: [...mac.caveats, caveat],
+    signature: hmac(mac.signature, Buffer.from(caveat))
+  };
+}
+
+/**
+ * Check a macaroon's HMAC chain against the root key
+ * @returns {boolean}
+ */
+function verifySignature(mac, rootKey) {
+  let sig = hmac(deriveKey(rootKey), mac.identifier);
+  for (const caveat of mac.caveats) sig = hmac(sig, Buffer.from(caveat));
+  return sig.length === mac.signature.length && crypto.timingSafeEqual(sig, mac.signature);
+}
+
+// ─── V2 binary encoding ─────────────────────────────────────────────
+
+function encodeVarint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+function encodeField(type, data) {
+  const buf = Buffer.from(data);
+  return Buffer.concat([Buffer.from([type]), encodeVarint(buf.length), buf]);
+}
+
+/**
+ * Serialize to base64 (V2 binary)
+ */
+function serialize(mac) {
+  const parts = [Buffer.from([VERSION_V2])];
+  if (mac.location) parts.push(encodeField(FIELD.LOCATION, mac.location));
+  parts.push(encodeField(FIELD.IDENTIFIER, mac.identifier), Buffer.from([FIELD.EOS]));
+  for (const caveat of mac.caveats) {
+    parts.push(encodeField(FIELD.IDENTIFIER, caveat), Buffer.from([FIELD.EOS]));
+  }
+  parts.push(Buffer.from([FIELD.EOS]), encodeField(FIELD.SIGNATURE, mac.signature));
+  return Buffer.concat(parts).toString('base64');
+}
+
+/**
+ * Parse a base64 (standard or URL-safe) V2 macaroon
+ * @throws {Error} on malformed input or third-party caveats
+ */
+function deserialize(encoded) {
+  const buf = Buffer.from(String(encoded).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  let pos = 0;
+
+  const readVarint = () => {
+    let n = 0;
+    let shift = 0;
+    for (;;) {
+      if (pos >= buf.length || shift > 28) throw new Error('Malformed macaroon (varint)');
+      const b = buf[pos++];
+      n |= (b & 0x7f) << shift;
+      if (!(b & 0x80)) return n;
+      shift += 7;
+    }
+  };
+  // Reads one section of fields up to EOS, as a {type: Buffer} map
+  const readSection = () => {
+    const fields = {};
+    for (;;) {
+      if (pos >= buf.length) throw new Error('Malformed macaroon (truncated)');
+      const type = buf[pos++];
+      if (type === FIELD.EOS) return fields;
+      const len = readVarint();
+      if (pos + len > buf.length) throw new Error('Malformed macaroon (field length)');
+      fields[type] = buf.subarray(pos, pos + len);
+      pos += len;
+    }
+  };
+
+  if (buf[pos++] !== VERSION_V2) throw new Error('Unsupported macaroon version');
+  const header = readSection();
+  if (!header[FIELD.IDENTIFIER]) throw new Error('Macaroon has no identifier');
+
+  const caveats = [];
+  while (pos < buf.length && buf[pos] !== FIELD.EOS) {
+    const section = readSection();
+    if (section[FIELD.VID]) throw new Error('Third-party caveats are not supported');
+    if (!section[FIELD.IDENTIFIER]) throw new Error('Malformed macaroon (caveat)');
+    caveats.push(section[FIELD.IDENTIFIER].toString());
+  }
+  pos++; // EOS closing the caveat list
+
+  if (buf[pos++] !== FIELD.SIGNATURE) throw new Error('Macaroon has no signature');
+  const sigLen = readVarint();
+  const signature = buf.subarray(pos, pos + sigLen);
+  if (signature.length !== 32) throw new Error('Malformed macaroon (signature)');
+
+  return {
+    location: header[FIELD.LOCATION] ? header[FIELD.LOCATION].toString() : '',
+    identifier: Buffer.from(header[FIELD.IDENTIFIER]),
+    caveats,
+    signature: Buffer.from(signature)
+  };
+}
+
+// ─── L402 identifiers ───────────────────────────────────────────────
+
+/**
+ * Build an L402 identifier binding a macaroon to a payment hash
+ * @param {string} paymentHash - Hex payment hash
+ * @param {Buffer} tokenId - 32 random bytes (default: fresh)
+ */
+function encodeL402Identifier(paymentHash, tokenId = crypto.randomBytes(32)) {
+  const version = Buffer.alloc(2);
+  version.writeUInt16BE(L402_ID_VERSION);
+  return Buffer.concat([version, Buffer.from(paymentHash, 'hex'), tokenId]);
+}
+
+/**
+ * @returns {Object} {version, payment_hash (hex), token_id (hex)}
+ */
+function decodeL402Identifier(identifier) {
+  if (identifier.length !== 66) throw new Error('Not an L402 identifier');
+  const version = identifier.readUInt16BE(0);
+  if (version !== L402_ID_VERSION) throw new Error(`Unsupported L402 identifier version ${version}`);
+  return {
+    version,
+    payment_hash: identifier.subarray(2, 34).toString('hex'),
+    token_id: identifier.subarray(34, 66).toString('hex')
+  };
+}
+
+module.exports = {
+  mintMacaroon, addCaveat, verifySignature, serialize, deserialize,
+  encodeL402Identifier, decodeL402Identifier
+};
@@ -0,0 +1,347 @@
+/**
+ * manifest-manager.js — Live agent manifest: operator edits, hot reload (SPEC §2)
+ *
+ * manifest.json stays the source of truth; the manager holds the signed copy
+ * the server serves.
+ *   - Operator edits (capabilities, pricing, spam bond, DVM and DM inbox config,
+ *     name, description)
+ *     are validated, signed as a new sequence and written atomically.
+ *   - The file is polled; when it changes on disk it is reloaded. A hand
+ *     edit is re-signed as a new sequence. A file that doesn't parse or
+ *     validate is ignored and the current manifest stays in service.
+ *   - onChange(manifest) runs after every new sequence, e.g. to reload
+ *     schemas and republish to Nostr.
+ *
+ * `sequence` never goes backwards, even if an older copy of the file is
+ * restored by hand.
+ */
+
+const fs = require('fs');
+const { writeJsonAtomic } = require('./store');
+const { signManifest, verifyManifest } = require('./identity');
+
+const POLL_INTERVAL_MS = 2_000;
+
+// Dotted taxonomy type (SPEC §2), custom types prefixed with x-
+const CAPABILITY_TYPE = /^(x-)?[a-z][a-z0-9_-]*(\.[a-z0-9_-]+)+$/;
+// Schema refs: a file in schemas/ or an http(s) URL (see schemas.js)
+const SCHEMA_REF = /^(schemas\/[\w.-]+\.json|https?:\/\/\S+)$/;
+const CAPABILITY_FIELDS = ['description', 'input_schema', 'output_schema', 'schema_url'];
+const EDITABLE_FIELDS = ['agent_name', 'agent_description', 'pricing', 'spam_bond', 'dvm', 'nostr_inbox'];
+const MERGED_FIELDS = ['pricing', 'spam_bond', 'dvm', 'nostr_inbox'];
+
+class ManifestError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'ManifestError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+const invalid = message => new ManifestError(400, 'invalid_manifest', message);
+
+function checkString(value, field, max) {
+  if (typeof value !== 'string' || !value.trim() || value.length > max) {
+    throw invalid(`${field} must be a non-empty string of at most ${max} characters`);
+  }
+}
+
+function checkCapability(cap) {
+  if (!cap || typeof cap !== 'object' || Array.isArray(cap)) throw invalid('A capability must be an object');
+  if (typeof cap.type !== 'string' || !CAPABILITY_TYPE.test(cap.type)) {
+    throw invalid(`Invalid capability type "${cap.type}" (dotted lowercase, e.g. research.web or x-acme.render)`);
+  }
+  if (cap.description !== undefined) checkString(cap.description, `${cap.type}.description`, 500);
+  for (const field of ['input_schema', 'output_schema']) {
+    if (cap[field] != null && !(typeof cap[field] === 'string' && SCHEMA_REF.test(cap[field]))) {
+      throw invalid(`${cap.type}.${field} must be a schemas/<name>.json path or an http(s) URL`);
+    }
+  }
+  if (cap.schema_url != null && !(typeof cap.schema_url === 'string' && /^https?:\/\//.test(cap.schema_url))) {
+    throw invalid(`${cap.type}.schema_url must be an http(s) URL`);
+  }
+}
+
+function checkNonNegativeInteger(value, field) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+    throw invalid(`${field} must be a non-negative integer`);
+  }
+}
+
+// Pricing engine config (see pricing.js)
+function checkPricing(pricing) {
+  checkNonNegativeInteger(pricing.min_task_fee, 'pricing.min_task_fee');
+  if (pricing.quote_ttl_seconds !== undefined && !(Number.isInteger(pricing.quote_ttl_seconds) && pricing.quote_ttl_seconds > 0)) {
+    throw invalid('pricing.quote_ttl_seconds must be a positive integer');
+  }
+  for (const [type, rule] of Object.entries(pricing.rules || {})) {
+    if (!rule || typeof rule !== 'object') throw invalid(`pricing.rules.${type} must be an object`);
+    checkNonNegativeInteger(rule.base_sats, `pricing.rules.${type}.base_sats`);
+    checkNonNegativeInteger(rule.per_kb_sats, `pricing.rules.${type}.per_kb_sats`);
+  }
+  if (pricing.urgency !== undefined) {
+    if (!Array.isArray(pricing.urgency)) throw invalid('pricing.urgency must be an array');
+    for (const tier of pricing.urgency) {
+      if (!(tier && typeof tier.within_hours === 'number' && tier.within_hours > 0)) {
+        throw invalid('pricing.urgency[].within_hours must be a positive number');
+      }
+      checkNonNegativeInteger(tier.surcharge_percent, 'pricing.urgency[].surcharge_percent');
+    }
+  }
+  if (pricing.queue != null) {
+    if (typeof pricing.queue !== 'object') throw invalid('pricing.queue must be an object');
+    for (const field of ['free_slots', 'surcharge_percent_per_task', 'max_surcharge_percent']) {
+      checkNonNegativeInteger(pricing.queue[field], `pricing.queue.${field}`);
+    }
+  }
+}
+
+// {enabled, relays} shared by the Nostr services (nostr, dvm, nostr_inbox)
+function checkNostrService(config, field) {
+  if (config.enabled !== undefined && typeof config.enabled !== 'boolean') throw invalid(`${field}.enabled must be a boolean`);
+  if (config.relays !== undefined && !(Array.isArray(config.relays) && config.relays.every(r => typeof r === 'string' && /^wss?:\/\//.test(r)))) {
+    throw invalid(`${field}.relays must be an array of ws(s):// URLs`);
+  }
+}
+
+// NIP-90 bridge config (see dvm-bridge.js)
+function checkDvm(dvm) {
+  checkNostrService(dvm, 'dvm');
+  if (dvm.capabilities === undefined) return;
+  if (!dvm.capabilities || typeof dvm.capabilities !== 'object' || Array.isArray(dvm.capabilities)) {
+    throw invalid('dvm.capabilities must be an object keyed by task_type');
+  }
+  for (const [type, entry] of Object.entries(dvm.capabilities)) {
+    if (!CAPABILITY_TYPE.test(type)) throw invalid(`Invalid capability type "${type}" in dvm.capabilities`);
+    if (!entry || !Array.isArray(entry.kinds) || !entry.kinds.length ||
+        !entry.kinds.every(k => Number.isInteger(k) && k >= 5000 && k <= 5999)) {
+      throw invalid(`dvm.capabilities.${type}.kinds must be a non-empty array of NIP-90 job kinds (5000-5999)`);
+    }
+    if (entry.params === undefined) continue;
+    if (!entry.params || typeof entry.params !== 'object' || Array.isArray(entry.params)) {
+      throw invalid(`dvm.capabilities.${type}.params must be an object`);
+    }
+    for (const [tag, name] of Object.entries(entry.params)) {
+      if (tag === 'task_type') throw invalid('The task_type param tag is reserved for choosing the task type');
+      if (name !== null && !(typeof name === 'string' && name)) {
+        throw invalid(`dvm.capabilities.${type}.params.${tag} must be a param name or null`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate the fields the server relies on (operator edits and hand edits alike)
+ * @throws {ManifestError}
+ */
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) throw invalid('Manifest must be an object');
+  checkString(manifest.agent_name, 'agent_name', 100);
+  if (manifest.agent_description !== undefined) checkString(manifest.agent_description, 'agent_description', 2000);
+  if (!Array.isArray(manifest.capabilities)) throw invalid('capabilities must be an array');
+  const seen = new Set();
+  for (const cap of manifest.capabilities) {
+    checkCapability(cap);
+    if (seen.has(cap.type)) throw invalid(`Duplicate capability ${cap.type}`);
+    seen.add(cap.type);
+  }
+  if (manifest.pricing !== undefined) {
+    if (!manifest.pricing || typeof manifest.pricing !== 'object') throw invalid('pricing must be an object');
+    checkPricing(manifest.pricing);
+  }
+  if (manifest.spam_bond !== undefined) {
+    if (!manifest.spam_bond || typeof manifest.spam_bond !== 'object') throw invalid('spam_bond must be an object');
+    checkNonNegativeInteger(manifest.spam_bond.amount_sats, 'spam_bond.amount_sats');
+    if (manifest.spam_bond.required !== undefined && typeof manifest.spam_bond.required !== 'boolean') {
+      throw invalid('spam_bond.required must be a boolean');
+    }
+  }
+  if (manifest.nostr !== undefined) {
+    if (!manifest.nostr || typeof manifest.nostr !== 'object') throw invalid('nostr must be an object');
+    checkNostrService(manifest.nostr, 'nostr');
+    if (manifest.nostr.quorum !== undefined && !(Number.isInteger(manifest.nostr.quorum) && manifest.nostr.quorum >= 1)) {
+      throw invalid('nostr.quorum must be a positive integer');
+    }
+  }
+  if (manifest.dvm !== undefined) {
+    if (!manifest.dvm || typeof manifest.dvm !== 'object') throw invalid('dvm must be an object');
+    checkDvm(manifest.dvm);
+  }
+  if (manifest.nostr_inbox !== undefined) {
+    if (!manifest.nostr_inbox || typeof manifest.nostr_inbox !== 'object') throw invalid('nostr_inbox must be an object');
+    checkNostrService(manifest.nostr_inbox, 'nostr_inbox');
+  }
+}
+
+class ManifestManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - manifest.json path
+   * @param {Object} options.agentKeys - {publicKey, secretKey}; signs every new sequence
+   * @param {Function} [options.prepare] - (manifest) => manifest, applied before signing
+   *                                       (fill in derived fields, e.g. schema_url)
+   * @param {Function} [options.onChange] - (manifest) => void, after each new sequence
+   * @param {number} [options.pollIntervalMs]
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.agentKeys = options.agentKeys;
+    this.prepare = options.prepare || (m => m);
+    this.onChange = options.onChange || (() => {});
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.manifest = null;
+    this.written = null; // file contents as we last wrote or read them
+    this.watching = false;
+  }
+
+  /**
+   * Load manifest.json (creating it from createDefault() if missing) and
+   * sign it if it changed since it was last signed. Does not call onChange.
+   * @param {Function} createDefault - () => manifest
+   * @returns {Object} Signed manifest
+   * @throws {ManifestError} if the file on disk is not a valid manifest
+   */
+  load(createDefault) {
+    let draft;
+    if (fs.existsSync(this.file)) {
+      this.written = fs.readFileSync(this.file, 'utf8');
+      draft = JSON.parse(this.written);
+    } else {
+      draft = createDefault();
+      console.log('Created default manifest.json');
+    }
+    validateManifest(draft);
+    this.manifest = this.commit(draft);
+    return this.manifest;
+  }
+
+  /**
+   * Apply an edit to a copy of the current manifest and publish it as a new sequence
+   * @param {Function} edit - (draft) => void; may throw ManifestError
+   * @returns {Object} Signed manifest
+   */
+  update(edit) {
+    const draft = structuredClone(this.manifest);
+    edit(draft);
+    validateManifest(draft);
+    return this.replace(draft);
+  }
+
+  /**
+   * Edit top-level fields. pricing, spam_bond, dvm and nostr_inbox are merged into the current values.
+   * @param {Object} fields - Subset of agent_name, agent_description, pricing, spam_bond, dvm, nostr_inbox
+   */
+  updateFields(fields) {
+    const unknown = Object.keys(fields || {}).filter(k => !EDITABLE_FIELDS.includes(k));
+    if (unknown.length) {
+      throw invalid(`Not editable here: ${unknown.join(', ')} (editable: ${EDITABLE_FIELDS.join(', ')})`);
+    }
+    if (!Object.keys(fields || {}).length) throw invalid('Nothing to update');
+    return this.update(draft => {
+      for (const [key, value] of Object.entries(fields)) {
+        const mergeable = MERGED_FIELDS.includes(key) && value && typeof value === 'object' && !Array.isArray(value);
+        draft[key] = mergeable ? { ...(draft[key] || {}), ...value } : value;
+      }
+    });
+  }
+
+  addCapability(capability) {
+    return this.update(draft => {
+      checkCapability(capability);
+      if (draft.capabilities.some(c => c.type === capability.type)) {
+        throw new ManifestError(409, 'capability_exists', `Capability ${capability.type} already exists`);
+      }
+      draft.capabilities.push(pick(capability, ['type', ...CAPABILITY_FIELDS]));
+    });
+  }
+
+  updateCapability(type, fields) {
+    const unknown = Object.keys(fields || {}).filter(k => !CAPABILITY_FIELDS.includes(k));
+    if (unknown.length) {
+      throw invalid(`Not editable: ${unknown.join(', ')} (editable: ${CAPABILITY_FIELDS.join(', ')})`);
+    }
+    return this.update(draft => {
+      const cap = findCapability(draft, type);
+      for (const [key, value] of Object.entries(fields || {})) {
+        if (value === null) delete cap[key];
+        else cap[key] = value;
+      }
+    });
+  }
+
+  removeCapability(type) {
+    return this.update(draft => {
+      findCapability(draft, type);
+      draft.capabilities = draft.capabilities.filter(c => c.type !== type);
+    });
+  }
+
+  /**
+   * Poll manifest.json and reload it when it changes on disk
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.file, { interval: this.pollIntervalMs }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) this.reload();
+    });
+  }
+
+  stop() {
+    if (this.watching) fs.unwatchFile(this.file);
+    this.watching = false;
+  }
+
+  reload() {
+    try {
+      const text = fs.readFileSync(this.file, 'utf8');
+      if (text === this.written) return;
+      const draft = JSON.parse(text);
+      validateManifest(draft);
+      if (draft.agent_id && draft.agent_id !== this.agentKeys.publicKey) {
+        throw new Error('agent_id is not our key (rotated?); restart the server to load the new key');
+      }
+      this.written = text;
+      console.log('[MANIFEST] manifest.json changed on disk, reloading');
+      this.replace(draft);
+    } catch (err) {
+      console.error(`[MANIFEST] Ignoring manifest.json change: ${err.message}; still serving sequence ${this.manifest.sequence}`);
+    }
+  }
+
+  replace(draft) {
+    const previous = this.manifest;
+    this.manifest = this.commit(draft);
+    if (!previous || this.manifest.signature !== previous.signature) this.onChange(this.manifest);
+    return this.manifest;
+  }
+
+  // Prepare, sign if changed, and write back if the file differs
+  commit(draft) {
+    let manifest = this.prepare(draft);
+    if (!verifyManifest(manifest, { agentId: this.agentKeys.publicKey }).valid) {
+      const floor = this.manifest ? this.manifest.sequence : 0;
+      manifest = signManifest({ ...manifest, sequence: Math.max(manifest.sequence || 0, floor) }, this.agentKeys);
+      console.log(`[MANIFEST] Signed manifest sequence ${manifest.sequence}`);
+    }
+    const text = JSON.stringify(manifest, null, 2);
+    if (text !== this.written) {
+      writeJsonAtomic(this.file, manifest);
+      this.written = text;
+    }
+    return manifest;
+  }
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(k => obj[k] !== undefined).map(k => [k, obj[k]]));
+}
+
+function findCapability(manifest, type) {
+  const cap = manifest.capabilities.find(c => c.type === type);
+  if (!cap) throw new ManifestError(404, 'not_found', `No capability ${type}`);
+  return cap;
+}
+
+module.exports = { ManifestManager, ManifestError, validateManifest };
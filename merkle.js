@@ -0,0 +1,188 @@
+/**
+ * merkle.js — Merkle tree over receipts, inclusion proofs (SPEC §5)
+ *
+ * Tree shape and hashing follow RFC 6962 (Certificate Transparency):
+ *
+ *   leaf hash = SHA-256(0x00 || leaf data)
+ *   node hash = SHA-256(0x01 || left || right)
+ *
+ * An unpaired node at the end of a level is carried up unchanged, so trees of
+ * any size are well defined and no leaf is ever duplicated. Proofs verify with
+ * the RFC 9162 §2.1.3.2 algorithm, so any CT-style verifier can check them.
+ *
+ * Receipt leaf data is JSON.stringify of the receipt's fields in the fixed
+ * order below (missing fields as null), signatures included, so a
+ * countersignature changes the leaf.
+ *
+ * Pure functions only: usable by third parties without the server.
+ */
+
+const crypto = require('crypto');
+const { verifySignature } = require('./signing');
+const { rotationChain } = require('./identity');
+
+const LEAF_FORMAT = 'aip-receipt-v1';
+const TREE_ALG = 'rfc6962-sha256';
+const RECEIPT_LEAF_FIELDS = [
+  'task_id', 'requester_id', 'agent_id', 'task_type', 'completion_timestamp',
+  'result_hash', 'payment_proof', 'agent_signature', 'requester_signature'
+];
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function hashLeaf(data) {
+  return sha256(LEAF_PREFIX, Buffer.from(data));
+}
+
+function hashNode(left, right) {
+  return sha256(NODE_PREFIX, left, right);
+}
+
+/**
+ * Canonical leaf bytes for a receipt
+ */
+function receiptLeafData(receipt) {
+  return JSON.stringify(Object.fromEntries(RECEIPT_LEAF_FIELDS.map(f => [f, receipt[f] ?? null])));
+}
+
+/**
+ * @returns {string} Hex leaf hash of a receipt
+ */
+function receiptLeafHash(receipt) {
+  return hashLeaf(receiptLeafData(receipt)).toString('hex');
+}
+
+class MerkleTree {
+  /**
+   * @param {string[]} leafHashes - Hex leaf hashes, in tree order
+   */
+  constructor(leafHashes) {
+    this.levels = [leafHashes.map(h => Buffer.from(h, 'hex'))];
+    while (this.levels.at(-1).length > 1) {
+      const below = this.levels.at(-1);
+      const level = [];
+      for (let i = 0; i < below.length; i += 2) {
+        level.push(i + 1 < below.length ? hashNode(below[i], below[i + 1]) : below[i]);
+      }
+      this.levels.push(level);
+    }
+  }
+
+  get size() {
+    return this.levels[0].length;
+  }
+
+  /**
+   * @returns {string} Hex root (SHA-256 of the empty string for an empty tree)
+   */
+  root() {
+    if (!this.size) return sha256(Buffer.alloc(0)).toString('hex');
+    return this.levels.at(-1)[0].toString('hex');
+  }
+
+  /**
+   * Audit path for the leaf at `index`, bottom-up
+   * @returns {string[]} Hex sibling hashes
+   */
+  proof(index) {
+    if (!(index >= 0 && index < this.size)) throw new Error(`Leaf index ${index} out of range`);
+    const path = [];
+    let i = index;
+    for (const level of this.levels.slice(0, -1)) {
+      const sibling = i ^ 1;
+      // The last node of an odd level has no sibling; it moves up as-is
+      if (sibling < level.length) path.push(level[sibling].toString('hex'));
+      i >>= 1;
+    }
+    return path;
+  }
+}
+
+/**
+ * Check an inclusion proof (RFC 9162 §2.1.3.2)
+ * @param {string} leafHash - Hex leaf hash
+ * @param {number} index - Leaf index
+ * @param {number} treeSize - Number of leaves in the tree
+ * @param {string[]} auditPath - Hex sibling hashes from MerkleTree.proof()
+ * @param {string} rootHash - Hex root the proof should reach
+ * @returns {boolean}
+ */
+function verifyInclusion(leafHash, index, treeSize, auditPath, rootHash) {
+  if (!(Number.isInteger(index) && Number.isInteger(treeSize) && index >= 0 && index < treeSize)) return false;
+
+  let fn = index;
+  let sn = treeSize - 1;
+  let r = Buffer.from(leafHash, 'hex');
+  for (const hex of auditPath) {
+    if (sn === 0) return false;
+    const p = Buffer.from(hex, 'hex');
+    if ((fn & 1) || fn === sn) {
+      r = hashNode(p, r);
+      while (!(fn & 1) && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      r = hashNode(r, p);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && r.toString('hex') === rootHash;
+}
+
+/**
+ * The fields of a signed root that the agent's signature covers
+ */
+function rootSigningData(root) {
+  return {
+    agent_id: root.agent_id,
+    tree_alg: root.tree_alg,
+    leaf_format: root.leaf_format,
+    tree_size: root.tree_size,
+    root_hash: root.root_hash,
+    timestamp: root.timestamp,
+    sig_alg: root.sig_alg,
+    sig_version: root.sig_version
+  };
+}
+
+/**
+ * Verify a proof bundle from GET /receipts/:task_id/proof end to end: the
+ * receipt hashes to the leaf, the leaf is in the tree, and the root is signed
+ * by the agent. A receipt signed by an earlier agent key needs
+ * bundle.key_history, rotation statements linking that key to the root's.
+ * Does not check the receipt's own signatures.
+ * @param {Object} bundle - {receipt, leaf_index, audit_path, root: signed root, key_history}
+ * @param {string} [agentId] - Expected agent public key (default: root.agent_id)
+ * @returns {Object} {valid, error}
+ */
+function verifyReceiptProof(bundle, agentId) {
+  const { receipt, leaf_index, audit_path, root } = bundle || {};
+  if (!receipt || !root || !Array.isArray(audit_path)) return { valid: false, error: 'Incomplete proof bundle' };
+  if (root.tree_alg !== TREE_ALG || root.leaf_format !== LEAF_FORMAT) {
+    return { valid: false, error: `Unsupported tree ${root.tree_alg} / ${root.leaf_format}` };
+  }
+
+  const signer = agentId || root.agent_id;
+  if (receipt.agent_id !== signer && !rotationChain(bundle.key_history, receipt.agent_id, signer)) {
+    return { valid: false, error: 'Receipt is from a different agent' };
+  }
+  if (!verifySignature(rootSigningData(root), root.signature, signer)) {
+    return { valid: false, error: 'Root signature invalid' };
+  }
+
+  const leaf = receiptLeafHash(receipt);
+  if (!verifyInclusion(leaf, leaf_index, root.tree_size, audit_path, root.root_hash)) {
+    return { valid: false, error: 'Receipt is not included under this root' };
+  }
+  return { valid: true, error: null };
+}
+
+module.exports = {
+  LEAF_FORMAT, TREE_ALG, RECEIPT_LEAF_FIELDS,
+  MerkleTree, hashLeaf, hashNode, receiptLeafData, receiptLeafHash,
+  verifyInclusion, rootSigningData, verifyReceiptProof
+};
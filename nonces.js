@@ -0,0 +1,72 @@
+/**
+ * nonces.js — Replay protection for signed requests (SPEC §3)
+ *
+ * A signed request is accepted once: its timestamp must be within ±5 minutes
+ * of our clock and its nonce must not have been seen before. A seen nonce is
+ * kept for twice that window, after which the timestamp check alone rejects
+ * a replay. Seen nonces are written to disk periodically so a restart
+ * doesn't forget them.
+ */
+
+const fs = require('fs');
+const { writeJsonAtomic } = require('./store');
+
+const NONCE_EXPIRY_MS = 300_000; // 5 minutes
+
+class NonceCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Where seen nonces persist (none if omitted)
+   * @param {number} options.windowMs - Allowed clock skew (default 5 minutes)
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.windowMs = options.windowMs || NONCE_EXPIRY_MS;
+    this.seen = new Map(); // nonce → when first seen (ms)
+
+    if (this.file && fs.existsSync(this.file)) {
+      try {
+        this.seen = new Map(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+      } catch { this.seen = new Map(); }
+    }
+  }
+
+  // Timestamp within the window and nonce not seen yet; doesn't record it
+  fresh(nonce, timestamp) {
+    const ts = new Date(timestamp).getTime();
+
+    // Reject if timestamp too old or too far in future
+    if (!(Math.abs(Date.now() - ts) <= this.windowMs)) return false;
+
+    // Reject if nonce already seen
+    return !this.seen.has(nonce);
+  }
+
+  // fresh(), and if so spend the nonce
+  check(nonce, timestamp) {
+    if (!this.fresh(nonce, timestamp)) return false;
+    this.seen.set(nonce, Date.now());
+    return true;
+  }
+
+  /**
+   * Forget nonces old enough that their timestamps no longer pass
+   * @returns {number} Nonces forgotten
+   */
+  prune(now = Date.now()) {
+    let pruned = 0;
+    for (const [nonce, at] of this.seen) {
+      if (now - at > this.windowMs * 2) {
+        this.seen.delete(nonce);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  save() {
+    if (this.file) writeJsonAtomic(this.file, [...this.seen], { space: 0 });
+  }
+}
+
+module.exports = { NonceCache, NONCE_EXPIRY_MS };
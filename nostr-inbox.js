@@ -0,0 +1,199 @@
+/**
+ * nostr-inbox.js — AIP inbox over Nostr DMs (NIP-59 gift wraps)
+ *
+ * Lets an agent take tasks with only relay access, no public HTTP server.
+ * Every message is a NIP-17 style DM: a kind 14 rumor, sealed by the sender
+ * (kind 13) and gift-wrapped (kind 1059) to the recipient. Rumors are told
+ * apart by their `t` tag:
+ *
+ *   aip-task-request   requester → agent. content: the exact POST /inbox body
+ *                      (signed by the requester's Ed25519 key). Optional
+ *                      ["authorization", "L402 <macaroon>:<preimage>"].
+ *   aip-task-response  agent → requester. content: the /inbox response body,
+ *                      ["code", "<HTTP status>"], ["e", <request rumor id>]
+ *   aip-task-status    agent → requester. content: the signed status
+ *                      notification a callback_url would get, ["task_id", <id>]
+ *
+ * Replies go to the Nostr key that sealed the request. Requests are checked
+ * exactly like HTTP ones (signature, nonce, rate limit, capability, ...);
+ * rumors older than the nonce window are dropped without a reply, since
+ * relays replay gift wraps for days. Connections and the outbox for replies
+ * come from the relay pool (relay-pool.js).
+ */
+
+const { getPublicKey, generateSecretKey } = require('nostr-tools/pure');
+const nip59 = require('nostr-tools/nip59');
+const { RelayPool, sharedPool } = require('./relay-pool');
+
+const GIFT_WRAP_KIND = 1059;
+const DM_KIND = 14;
+const REQUEST_TOPIC = 'aip-task-request';
+const RESPONSE_TOPIC = 'aip-task-response';
+const STATUS_TOPIC = 'aip-task-status';
+
+const REQUEST_MAX_AGE_S = 300; // same window as /inbox nonces
+const WRAP_LOOKBACK_S = 2 * 86_400; // NIP-59 backdates wraps by up to two days
+const RESPONSE_TIMEOUT_MS = 30_000;
+
+const now = () => Math.floor(Date.now() / 1000);
+const tagValue = (event, name) => (event.tags.find(t => t[0] === name) || [])[1];
+
+function toSecretKey(key) {
+  return typeof key === 'string' ? Uint8Array.from(Buffer.from(key, 'hex')) : key;
+}
+
+/**
+ * Gift-wrap an AIP DM
+ * @returns {Object} {wrap, rumor} — publish the wrap; rumor.id is what replies reference
+ */
+function wrapDM(secretKey, recipient, topic, content, extraTags = []) {
+  const rumor = nip59.createRumor({
+    kind: DM_KIND,
+    content,
+    tags: [['p', recipient], ['t', topic], ...extraTags]
+  }, secretKey);
+  return { rumor, wrap: nip59.createWrap(nip59.createSeal(rumor, secretKey, recipient), recipient) };
+}
+
+class NostrInbox {
+  /**
+   * @param {Uint8Array|string} secretKey - Agent's Nostr secret key
+   * @param {string[]} relays
+   * @param {Object} options
+   * @param {Function} options.receive - async (request, {authorization, transport}) → {status, body};
+   *                                     the server's /inbox logic
+   * @param {Object} [options.pool] - RelayPool (default: sharedPool())
+   */
+  constructor(secretKey, relays, options) {
+    this.secretKey = toSecretKey(secretKey);
+    this.pubkey = getPublicKey(this.secretKey);
+    this.relays = relays;
+    this.receive = options.receive;
+    this.pool = options.pool || sharedPool();
+    this.subscription = null;
+    this.seen = new Map(); // rumor id → created_at, for wraps delivered by several relays
+  }
+
+  async start() {
+    console.log(`[DM] Starting Nostr inbox for pubkey ${this.pubkey.slice(0, 16)}... on ${this.relays.join(', ')}`);
+    this.subscription = this.pool.subscribe([
+      { kinds: [GIFT_WRAP_KIND], '#p': [this.pubkey], since: now() - WRAP_LOOKBACK_S }
+    ], {
+      onevent: (wrap) => this.handleWrap(wrap)
+        .catch(err => console.error(`[DM] Gift wrap ${wrap.id.slice(0, 8)}: ${err.message}`)),
+      oneose: (url) => console.log(`[DM] Subscription active on ${url}`),
+    }, { relays: this.relays });
+  }
+
+  /**
+   * Unwrap a gift wrap and, if it is a fresh task request, run it through the inbox
+   */
+  async handleWrap(wrap) {
+    let rumor;
+    try {
+      rumor = nip59.unwrapEvent(wrap, this.secretKey);
+    } catch {
+      return; // not for us, or not a valid seal
+    }
+    if (rumor.kind !== DM_KIND || tagValue(rumor, 't') !== REQUEST_TOPIC) return;
+    if (now() - rumor.created_at > REQUEST_MAX_AGE_S || this.seen.has(rumor.id)) return;
+    this.remember(rumor);
+
+    let request;
+    try {
+      request = JSON.parse(rumor.content);
+    } catch {
+      return this.respond(rumor, { status: 400, body: { error: 'invalid_json', message: 'DM content must be a JSON task request' } });
+    }
+    const reply = await this.receive(request, {
+      authorization: tagValue(rumor, 'authorization') || null,
+      transport: { type: 'nostr-dm', pubkey: rumor.pubkey }
+    });
+    console.log(`[DM] Task request ${request && request.task_id} from ${rumor.pubkey.slice(0, 16)}...: ${reply.status}`);
+    await this.respond(rumor, reply);
+  }
+
+  remember(rumor) {
+    const cutoff = now() - REQUEST_MAX_AGE_S;
+    for (const [id, createdAt] of this.seen) {
+      if (createdAt < cutoff) this.seen.delete(id);
+    }
+    this.seen.set(rumor.id, rumor.created_at);
+  }
+
+  async respond(rumor, reply) {
+    const { wrap } = wrapDM(this.secretKey, rumor.pubkey, RESPONSE_TOPIC, JSON.stringify(reply.body),
+      [['e', rumor.id], ['code', String(reply.status)]]);
+    await this.pool.publish(wrap, { relays: this.relays });
+  }
+
+  /**
+   * DM a signed status notification to the requester
+   * @param {string} pubkey - Requester's Nostr pubkey (task.transport.pubkey)
+   * @param {Object} notification - Same body a callback_url would get
+   */
+  async sendStatus(pubkey, notification) {
+    const { wrap } = wrapDM(this.secretKey, pubkey, STATUS_TOPIC, JSON.stringify(notification),
+      [['task_id', notification.task_id]]);
+    await this.pool.publish(wrap, { relays: this.relays });
+    console.log(`[DM] Sent ${notification.status} for task ${notification.task_id}`);
+  }
+
+  async stop() {
+    if (this.subscription) this.subscription.close();
+    this.subscription = null;
+    console.log('[DM] Nostr inbox stopped');
+  }
+}
+
+/**
+ * Requester side: send a task request as a gift-wrapped DM and wait for the
+ * agent's response. Status notifications follow as aip-task-status DMs to the
+ * same key.
+ * @param {Object} opts
+ * @param {string} opts.recipient - Agent's Nostr pubkey (manifest.nostr_inbox.pubkey)
+ * @param {string[]} opts.relays
+ * @param {Object} opts.request - Signed /inbox request body
+ * @param {Uint8Array|string} [opts.secretKey] - Our Nostr key (default: a fresh one)
+ * @param {string} [opts.authorization] - L402 authorization
+ * @param {number} [opts.timeoutMs]
+ * @returns {Object} {status, body, pubkey} — pubkey is the key replies go to
+ */
+async function requestOverNostr({ recipient, relays, request, secretKey, authorization, timeoutMs = RESPONSE_TIMEOUT_MS }) {
+  const sk = secretKey ? toSecretKey(secretKey) : generateSecretKey();
+  const pubkey = getPublicKey(sk);
+  const { wrap, rumor } = wrapDM(sk, recipient, REQUEST_TOPIC, JSON.stringify(request),
+    authorization ? [['authorization', authorization]] : []);
+
+  const pool = new RelayPool({ relays, quorum: 1 });
+  let timer;
+  try {
+    const response = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No response from ${recipient.slice(0, 16)}... within ${timeoutMs} ms`)), timeoutMs);
+      pool.subscribe([{ kinds: [GIFT_WRAP_KIND], '#p': [pubkey], since: now() - WRAP_LOOKBACK_S }], {
+        onevent: (event) => {
+          let reply;
+          try {
+            reply = nip59.unwrapEvent(event, sk);
+          } catch {
+            return;
+          }
+          if (reply.pubkey !== recipient || tagValue(reply, 't') !== RESPONSE_TOPIC || tagValue(reply, 'e') !== rumor.id) return;
+          clearTimeout(timer);
+          resolve({ status: Number(tagValue(reply, 'code')), body: JSON.parse(reply.content), pubkey });
+        }
+      });
+    });
+    const sent = await pool.publish(wrap);
+    if (!sent.accepted) throw new Error(`No relay accepted the request: ${sent.last_error}`);
+    return await response;
+  } finally {
+    clearTimeout(timer);
+    pool.close();
+  }
+}
+
+module.exports = {
+  NostrInbox, requestOverNostr, wrapDM,
+  GIFT_WRAP_KIND, DM_KIND, REQUEST_TOPIC, RESPONSE_TOPIC, STATUS_TOPIC
+};
@@ -3,19 +3,14 @@
  * Usage: node nostr-longform.js
  */
 
-const { finalizeEvent, Relay } = require('nostr-tools');
+const { finalizeEvent } = require('nostr-tools');
 const fs = require('fs');
 const path = require('path');
+const { sharedPool } = require('./relay-pool');
 
 const NOSTR_KEY_FILE = path.join(__dirname, 'nostr-keys.json');
 const SPEC_FILE = path.join(__dirname, 'SPEC.md');
 
-const RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-  'wss://relay.primal.net'
-];
-
 async function publishLongForm() {
   // Load keys
   const keys = JSON.parse(fs.readFileSync(NOSTR_KEY_FILE, 'utf8'));
@@ -49,22 +44,16 @@ async function publishLongForm() {
   console.log('Content length:', specContent.length, 'chars');
   console.log('');
 
-  // Publish to relays
-  for (const relayUrl of RELAYS) {
-    try {
-      console.log(`Publishing to ${relayUrl}...`);
-      const relay = await Relay.connect(relayUrl);
-      await relay.publish(event);
-      console.log(`  ✓ Published to ${relayUrl}`);
-      relay.close();
-    } catch (err) {
-      console.error(`  ✗ Failed on ${relayUrl}: ${err.message}`);
-    }
+  // Publish to relays (anything short of the quorum stays in the outbox for retry)
+  const outbox = await sharedPool().publish(event);
+  for (const [url, ack] of Object.entries(outbox.relays)) {
+    if (ack.status === 'accepted') console.log(`  ✓ Published to ${url}`);
+    else console.error(`  ✗ Failed on ${url}: ${ack.message}`);
   }
 
-  console.log('\nDone. Article published as kind 30023 (NIP-23 long-form).');
+  console.log(`\nDone. Article published as kind 30023 (NIP-23 long-form) to ${outbox.accepted} relay(s) (${outbox.status}).`);
   console.log(`npub: ${keys.npub}`);
   console.log(`View: https://njump.me/${keys.npub}`);
 }
 
-publishLongForm().catch(console.error);
+publishLongForm().catch(console.error).finally(() => sharedPool().close());
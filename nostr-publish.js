@@ -1,24 +1,25 @@
 /**
  * Publish AIP agent manifest to Nostr relays as a replaceable event
- * Usage: node nostr-publish.js [--generate-key]
+ * Usage: node nostr-publish.js [--generate-key | --discover | --revocations]
  */
 
-const { finalizeEvent, generateSecretKey, getPublicKey, nip19, Relay } = require('nostr-tools');
+const { finalizeEvent, generateSecretKey, getPublicKey, nip19 } = require('nostr-tools');
 const fs = require('fs');
 const path = require('path');
+const { writeJsonAtomic } = require('./store');
+const { revocationFor, createBinding, verifyBinding, signManifest, verifyManifest } = require('./identity');
+const { sharedPool, relayConfig } = require('./relay-pool');
 
 const NOSTR_KEY_FILE = path.join(__dirname, 'nostr-keys.json');
+const AGENT_KEY_FILE = path.join(__dirname, 'agent-keys.json');
 const MANIFEST_FILE = path.join(__dirname, 'manifest.json');
-
-const RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-  'wss://relay.nostr.band',
-  'wss://relay.primal.net'
-];
+const PUBLISH_STATUS_FILE = path.join(__dirname, 'data', 'manifest-publish.json');
+const PUBLISH_DEBOUNCE_MS = 5_000;
 
 // AIP manifest event kind (application-specific replaceable)
 const AIP_EVENT_KIND = 30078;
+// Agent key revocation (see identity.js); one per revoked key, never replaced
+const AIP_REVOCATION_KIND = 30081;
 
 async function generateNostrKeys() {
   const sk = generateSecretKey();
@@ -47,21 +48,36 @@ function loadNostrKeys() {
   return JSON.parse(fs.readFileSync(NOSTR_KEY_FILE, 'utf8'));
 }
 
-async function publishManifest() {
-  let keys = loadNostrKeys();
-  if (!keys) {
-    console.log('No Nostr keys found, generating...');
-    keys = await generateNostrKeys();
-  }
-
-  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
-  
-  // Update manifest with Nostr identity
+/**
+ * Tie the manifest to our Nostr key: npub, relays and the identity binding
+ * (re-signed only if the agent key or Nostr key changed). The caller signs
+ * the manifest afterwards.
+ * @param {Object} manifest - Mutated
+ * @param {Object} keys - nostr-keys.json
+ * @param {Object} agentKeys - agent-keys.json
+ * @returns {Object} The manifest
+ */
+function bindNostrIdentity(manifest, keys, agentKeys) {
   manifest.nostr = manifest.nostr || {};
   manifest.nostr.npub = keys.npub;
-  manifest.nostr.relays = RELAYS;
-  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  manifest.nostr.relays = relayConfig(manifest).relays;
+  manifest.agent_id = agentKeys.publicKey;
+  if (!verifyBinding(manifest.identity, { agentId: agentKeys.publicKey, nostrPubkey: keys.publicKey }).valid) {
+    manifest.identity = createBinding(agentKeys, keys.secretKey);
+    console.log('Signed new Nostr identity binding for agent', agentKeys.publicKey);
+  }
+  return manifest;
+}
 
+/**
+ * Publish an already signed manifest as the kind 30078 event, through the
+ * relay pool's outbox (retried until a quorum of relays accepts it). Per-relay
+ * results are recorded in data/manifest-publish.json.
+ * @param {Object} manifest - Signed manifest
+ * @param {Object} keys - nostr-keys.json
+ * @returns {Object} Publish record {event_id, sequence, signature, published_at, status, relays: [{url, ok, error}]}
+ */
+async function publishManifestEvent(manifest, keys) {
   // Build capability tags
   const capTags = manifest.capabilities.map(c => ['t', c.type]);
   
@@ -74,6 +90,7 @@ async function publishManifest() {
       ['d', 'aip-manifest'],
       ['t', 'agent-mesh'],
       ['t', 'aip'],
+      ['agent_id', manifest.agent_id],
       ...capTags,
       ['r', manifest.inbox_url || 'http://localhost:3141/inbox'],
       ['name', manifest.agent_name],
@@ -87,84 +104,251 @@ async function publishManifest() {
   console.log('\nPublishing AIP manifest to Nostr relays...');
   console.log('  Event ID:', signedEvent.id);
   console.log('  Kind:', AIP_EVENT_KIND);
+  console.log('  Sequence:', manifest.sequence);
   console.log('  Tags:', eventTemplate.tags.map(t => t.join(':')).join(', '));
   console.log('');
 
-  let successCount = 0;
-  
-  for (const relayUrl of RELAYS) {
-    try {
-      console.log(`  Connecting to ${relayUrl}...`);
-      const relay = await Relay.connect(relayUrl);
-      await relay.publish(signedEvent);
-      console.log(`  ✓ Published to ${relayUrl}`);
-      relay.close();
-      successCount++;
-    } catch (err) {
-      console.log(`  ✗ Failed on ${relayUrl}: ${err.message}`);
-    }
-  }
+  const outbox = await sharedPool().publish(signedEvent, { relays: manifest.nostr && manifest.nostr.relays });
+  const relays = publishedRelays(outbox);
+  for (const r of relays) console.log(r.ok ? `  ✓ Published to ${r.url}` : `  ✗ Failed on ${r.url}: ${r.error}`);
 
-  console.log(`\nPublished to ${successCount}/${RELAYS.length} relays.`);
+  console.log(`\nPublished to ${outbox.accepted}/${relays.length} relays (${outbox.status}).`);
   console.log('Event ID:', signedEvent.id);
   console.log('npub:', keys.npub);
   
   // Save event for reference
+  fs.mkdirSync(path.dirname(PUBLISH_STATUS_FILE), { recursive: true });
   fs.writeFileSync(
     path.join(__dirname, 'data', 'last-nostr-event.json'),
     JSON.stringify(signedEvent, null, 2)
   );
+  const record = {
+    event_id: signedEvent.id,
+    sequence: manifest.sequence,
+    signature: manifest.signature,
+    published_at: new Date().toISOString(),
+    status: outbox.status,
+    relays
+  };
+  writeJsonAtomic(PUBLISH_STATUS_FILE, record);
+  return record;
+}
+
+// Outbox entry's per-relay acks in the publish record's [{url, ok, error}] form
+function publishedRelays(outbox) {
+  return Object.entries(outbox.relays).map(([url, ack]) => ({
+    url,
+    ok: ack.status === 'accepted',
+    error: ack.status === 'accepted' ? null : ack.message
+  }));
+}
+
+/**
+ * @returns {Object|null} Last manifest publish record (data/manifest-publish.json),
+ *   with relay results brought up to date from the outbox (and saved, since
+ *   the outbox entry is pruned a day after it finishes)
+ */
+function lastManifestPublish() {
+  if (!fs.existsSync(PUBLISH_STATUS_FILE)) return null;
+  const record = JSON.parse(fs.readFileSync(PUBLISH_STATUS_FILE, 'utf8'));
+  const outbox = sharedPool().load(record.event_id);
+  if (!outbox) return record;
+  const current = { ...record, status: outbox.status, relays: publishedRelays(outbox) };
+  if (JSON.stringify(current) !== JSON.stringify(record)) writeJsonAtomic(PUBLISH_STATUS_FILE, current);
+  return current;
+}
+
+/**
+ * @returns {boolean} true if this exact manifest reached a relay or is still queued for retry
+ */
+function isPublished(manifest) {
+  const last = lastManifestPublish();
+  return Boolean(last && last.signature === manifest.signature &&
+    (last.status === 'pending' || last.relays.some(r => r.ok)));
+}
+
+async function publishManifest() {
+  let keys = loadNostrKeys();
+  if (!keys) {
+    console.log('No Nostr keys found, generating...');
+    keys = await generateNostrKeys();
+  }
+
+  let manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  const agentKeys = JSON.parse(fs.readFileSync(AGENT_KEY_FILE, 'utf8'));
   
+  bindNostrIdentity(manifest, keys, agentKeys);
+  // Same signed manifest as GET /.well-known/agent.json (a new sequence if anything changed)
+  if (!verifyManifest(manifest, { agentId: agentKeys.publicKey }).valid) {
+    manifest = signManifest(manifest, agentKeys);
+    console.log('Signed manifest sequence', manifest.sequence);
+  }
+  writeJsonAtomic(MANIFEST_FILE, manifest);
+
+  return publishManifestEvent(manifest, keys);
+}
+
+/**
+ * Republishes a running agent's manifest after it changes. Bursts of edits
+ * are debounced into one event; a manifest that already reached a relay
+ * or is still in the outbox (same signature) is skipped.
+ */
+class ManifestPublisher {
+  constructor(options = {}) {
+    this.delayMs = options.delayMs || PUBLISH_DEBOUNCE_MS;
+    this.timer = null;
+    this.pending = null;
+    this.publishing = Promise.resolve();
+  }
+
+  /**
+   * Publish this manifest once no newer one arrives for delayMs
+   * @param {Object} manifest - Signed manifest
+   */
+  schedule(manifest) {
+    this.pending = manifest;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.delayMs);
+  }
+
+  flush() {
+    const manifest = this.pending;
+    this.pending = null;
+    this.timer = null;
+    if (!manifest) return this.publishing;
+    // One publish at a time, in order
+    this.publishing = this.publishing.then(async () => {
+      if (isPublished(manifest)) return;
+      const keys = loadNostrKeys();
+      if (!keys) return;
+      const record = await publishManifestEvent(manifest, keys);
+      const ok = record.relays.filter(r => r.ok).length;
+      console.log(`[NOSTR] Manifest sequence ${manifest.sequence} published to ${ok}/${record.relays.length} relays`);
+    }).catch(err => console.error(`[NOSTR] Manifest publish failed: ${err.message}`));
+    return this.publishing;
+  }
+}
+
+/**
+ * Publish a key revocation statement. The event's Nostr key is only the
+ * messenger: readers check the statement's own signature.
+ * @param {Object} revocation - Statement from identity.createRevocation()
+ */
+async function publishRevocation(revocation) {
+  let keys = loadNostrKeys();
+  if (!keys) keys = await generateNostrKeys();
+  const sk = Uint8Array.from(Buffer.from(keys.secretKey, 'hex'));
+
+  const signedEvent = finalizeEvent({
+    kind: AIP_REVOCATION_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', `aip-revocation:${revocation.agent_id}`],
+      ['t', 'aip-revocation'],
+      ['agent_id', revocation.agent_id]
+    ],
+    content: JSON.stringify(revocation)
+  }, sk);
+
+  const outbox = await sharedPool().publish(signedEvent);
+  for (const r of publishedRelays(outbox)) {
+    console.log(r.ok ? `  ✓ Revocation published to ${r.url}` : `  ✗ Failed on ${r.url}: ${r.error}`);
+  }
+  console.log(`Revocation published to ${outbox.accepted}/${Object.keys(outbox.relays).length} relays (${outbox.status}). Event: ${signedEvent.id}`);
   return signedEvent;
 }
 
+/**
+ * Collect validly signed revocations for the given agent keys from relays
+ * @param {string[]} agentIds - Base64 Ed25519 agent keys
+ * @param {string[]} [relays] - Default: the relay pool's
+ * @returns {Object[]} Revocation statements
+ */
+async function fetchRevocations(agentIds, relays) {
+  const found = [];
+  const dTags = agentIds.map(id => `aip-revocation:${id}`);
+  for (const { url, events, error } of await sharedPool().query([{ kinds: [AIP_REVOCATION_KIND], '#d': dTags }], { relays })) {
+    if (error) console.log(`  ✗ ${url}: ${error}`);
+    for (const ev of events) {
+      try {
+        const stmt = JSON.parse(ev.content);
+        if (revocationFor([stmt], stmt.agent_id)) found.push(stmt);
+      } catch {}
+    }
+  }
+  return [...new Map(found.map(r => [r.agent_id, r])).values()];
+}
+
+/**
+ * Parse a kind 30078 manifest event, checking the manifest's signature and
+ * that its identity binding ties manifest.agent_id to the key that
+ * published the event
+ * @returns {Object} {manifest, error}
+ */
+function manifestFromEvent(ev) {
+  let manifest;
+  try {
+    manifest = JSON.parse(ev.content);
+  } catch {
+    return { manifest: null, error: 'Content is not JSON' };
+  }
+  const signed = verifyManifest(manifest);
+  if (!signed.valid) return { manifest: null, error: signed.error };
+  const binding = verifyBinding(manifest.identity, { agentId: manifest.agent_id, nostrPubkey: ev.pubkey });
+  return binding.valid ? { manifest, error: null } : { manifest: null, error: binding.error };
+}
+
 // Discover other AIP agents on relays
 async function discoverAgents() {
   console.log('Scanning for AIP agents on Nostr relays...\n');
   
   const agents = [];
+  let rejected = 0;
   
-  for (const relayUrl of RELAYS) {
-    try {
-      const relay = await Relay.connect(relayUrl);
-      
-      const events = await new Promise((resolve) => {
-        const collected = [];
-        const sub = relay.subscribe(
-          [{ kinds: [AIP_EVENT_KIND], '#t': ['agent-mesh'], limit: 50 }],
-          {
-            onevent(event) { collected.push(event); },
-            oneose() { resolve(collected); }
-          }
-        );
-        // Timeout after 5s
-        setTimeout(() => resolve(collected), 5000);
-      });
-      
-      for (const ev of events) {
-        try {
-          const manifest = JSON.parse(ev.content);
-          const npub = nip19.npubEncode(ev.pubkey);
-          agents.push({
-            npub,
-            name: manifest.agent_name,
-            capabilities: manifest.capabilities?.map(c => c.type) || [],
-            inbox_url: manifest.inbox_url,
-            relay: relayUrl,
-            updated: new Date(ev.created_at * 1000).toISOString()
-          });
-        } catch {}
-      }
-      
-      relay.close();
-    } catch (err) {
-      console.log(`  ✗ ${relayUrl}: ${err.message}`);
+  const results = await sharedPool().query([{ kinds: [AIP_EVENT_KIND], '#t': ['agent-mesh'], limit: 50 }]);
+  for (const { url: relayUrl, events, error } of results) {
+    if (error) {
+      console.log(`  ✗ ${relayUrl}: ${error}`);
+      continue;
+    }
+    for (const ev of events) {
+      try {
+        // Reject altered manifests and ones republished under someone else's npub
+        const { manifest, error } = manifestFromEvent(ev);
+        if (error) {
+          rejected++;
+          continue;
+        }
+        const npub = nip19.npubEncode(ev.pubkey);
+        agents.push({
+          npub,
+          agent_id: manifest.agent_id,
+          sequence: manifest.sequence,
+          revoked: Boolean(revocationFor(manifest.revoked_keys, manifest.agent_id)),
+          name: manifest.agent_name,
+          capabilities: manifest.capabilities?.map(c => c.type) || [],
+          inbox_url: manifest.inbox_url,
+          relay: relayUrl,
+          updated: new Date(ev.created_at * 1000).toISOString()
+        });
+      } catch {}
     }
   }
 
-  // Dedupe by npub
-  const unique = [...new Map(agents.map(a => [a.npub, a])).values()];
-  
+  // Dedupe by npub, keeping the newest manifest (a relay may serve a stale one)
+  agents.sort((a, b) => a.sequence - b.sequence);
+  let unique = [...new Map(agents.map(a => [a.npub, a])).values()];
+
+  // Drop agents whose current key has been revoked (in their own manifest or on relays)
+  const revoked = await fetchRevocations(unique.map(a => a.agent_id).filter(Boolean));
+  for (const a of unique) {
+    if (revocationFor(revoked, a.agent_id)) a.revoked = true;
+  }
+  const skipped = unique.filter(a => a.revoked);
+  unique = unique.filter(a => !a.revoked);
+  if (skipped.length) console.log(`Ignoring ${skipped.length} agent(s) with a revoked key.\n`);
+  if (rejected) console.log(`Ignoring ${rejected} manifest event(s) without a valid signature and agent_id ↔ Nostr binding.\n`);
+
   console.log(`Found ${unique.length} AIP agent(s):\n`);
   for (const a of unique) {
     console.log(`  ${a.name || 'Unknown'} (${a.npub.slice(0, 20)}...)`);
@@ -181,13 +365,27 @@ async function discoverAgents() {
 if (require.main === module) {
   const cmd = process.argv[2];
   
+  const done = () => sharedPool().close();
+
   if (cmd === '--generate-key') {
     generateNostrKeys().catch(console.error);
   } else if (cmd === '--discover') {
-    discoverAgents().catch(console.error);
+    discoverAgents().catch(console.error).finally(done);
+  } else if (cmd === '--revocations') {
+    // (Re)publish every revocation listed in the manifest
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    const revocations = manifest.revoked_keys || [];
+    if (!revocations.length) console.log('No revoked keys in manifest.json.');
+    (async () => {
+      for (const r of revocations) await publishRevocation(r);
+    })().catch(console.error).finally(done);
   } else {
-    publishManifest().catch(console.error);
+    publishManifest().catch(console.error).finally(done);
   }
 }
 
-module.exports = { publishManifest, discoverAgents, generateNostrKeys };
+module.exports = {
+  publishManifest, publishManifestEvent, bindNostrIdentity, lastManifestPublish, isPublished, ManifestPublisher,
+  discoverAgents, generateNostrKeys, loadNostrKeys, publishRevocation, fetchRevocations, manifestFromEvent,
+  AIP_REVOCATION_KIND
+};
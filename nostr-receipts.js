@@ -1,23 +1,21 @@
 /**
  * Publish AIP receipts to Nostr relays for public reputation
- * Usage: node nostr-receipts.js [--publish-all | --publish <task_id>]
+ * Usage: node nostr-receipts.js [--publish-all | --publish <task_id> | --publish-root]
  */
 
-const { finalizeEvent, Relay } = require('nostr-tools');
+const { finalizeEvent } = require('nostr-tools');
 const fs = require('fs');
 const path = require('path');
+const { Store } = require('./store');
+const { sharedPool } = require('./relay-pool');
 
 const NOSTR_KEY_FILE = path.join(__dirname, 'nostr-keys.json');
-const RECEIPTS_DIR = path.join(__dirname, 'data', 'receipts');
-
-const RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-  'wss://relay.primal.net'
-];
 
 // AIP receipt event kind
 const AIP_RECEIPT_KIND = 30079;
+// Signed Merkle root over all of an agent's receipts (replaceable: latest wins)
+const AIP_RECEIPT_ROOT_KIND = 30080;
+const RECEIPT_ROOT_FILE = path.join(__dirname, 'data', 'receipt-root.json');
 
 function loadNostrKeys() {
   if (!fs.existsSync(NOSTR_KEY_FILE)) {
@@ -40,7 +38,9 @@ async function publishReceipt(receipt) {
       ['t', receipt.task_type],
       ['task_id', receipt.task_id],
       ['result_hash', receipt.result_hash],
-      ['payment_proof', receipt.payment_proof || 'none']
+      ['payment_proof', receipt.payment_proof || 'none'],
+      // Dual-signed receipts are strong reputation; agent-only receipts are weak
+      ['strength', receipt.requester_signature ? 'strong' : 'weak']
     ],
     content: JSON.stringify(receipt)
   };
@@ -48,31 +48,48 @@ async function publishReceipt(receipt) {
   const signedEvent = finalizeEvent(eventTemplate, sk);
   
   console.log(`Publishing receipt for task ${receipt.task_id}...`);
-  let success = 0;
-  
-  for (const relayUrl of RELAYS) {
-    try {
-      const relay = await Relay.connect(relayUrl);
-      await relay.publish(signedEvent);
-      console.log(`  ✓ ${relayUrl}`);
-      relay.close();
-      success++;
-    } catch (err) {
-      console.log(`  ✗ ${relayUrl}: ${err.message}`);
-    }
+  const outbox = await sharedPool().publish(signedEvent);
+  for (const [url, ack] of Object.entries(outbox.relays)) {
+    console.log(ack.status === 'accepted' ? `  ✓ ${url}` : `  ✗ ${url}: ${ack.message}`);
   }
-  
-  console.log(`Published to ${success}/${RELAYS.length} relays. Event: ${signedEvent.id}`);
+
+  console.log(`Published to ${outbox.accepted}/${Object.keys(outbox.relays).length} relays (${outbox.status}). Event: ${signedEvent.id}`);
+  return signedEvent;
+}
+
+/**
+ * Publish the agent-signed receipt Merkle root (see merkle.js)
+ * @param {Object} root - Signed root from GET /receipts/root
+ */
+async function publishReceiptRoot(root) {
+  const keys = loadNostrKeys();
+  const sk = Uint8Array.from(Buffer.from(keys.secretKey, 'hex'));
+
+  const signedEvent = finalizeEvent({
+    kind: AIP_RECEIPT_ROOT_KIND,
+    created_at: Math.floor(new Date(root.timestamp).getTime() / 1000),
+    tags: [
+      ['d', 'aip-receipt-root'],
+      ['t', 'aip-receipt-root'],
+      ['agent_id', root.agent_id],
+      ['root', root.root_hash],
+      ['tree_size', String(root.tree_size)],
+      ['tree_alg', root.tree_alg]
+    ],
+    content: JSON.stringify(root)
+  }, sk);
+
+  const outbox = await sharedPool().publish(signedEvent);
+  console.log(`[MERKLE] Root ${root.root_hash.slice(0, 16)}... published to ${outbox.accepted}/${Object.keys(outbox.relays).length} relays (${outbox.status}). Event: ${signedEvent.id}`);
   return signedEvent;
 }
 
 async function publishAll() {
-  if (!fs.existsSync(RECEIPTS_DIR)) { console.log('No receipts.'); return; }
-  const files = fs.readdirSync(RECEIPTS_DIR).filter(f => f.endsWith('.json'));
-  console.log(`Publishing ${files.length} receipt(s) to Nostr...\n`);
+  const receipts = new Store({ readOnly: true }).find('receipts');
+  if (!receipts.length) { console.log('No receipts.'); return; }
+  console.log(`Publishing ${receipts.length} receipt(s) to Nostr...\n`);
   
-  for (const f of files) {
-    const receipt = JSON.parse(fs.readFileSync(path.join(RECEIPTS_DIR, f), 'utf8'));
+  for (const receipt of receipts) {
     await publishReceipt(receipt);
     console.log('');
   }
@@ -80,19 +97,23 @@ async function publishAll() {
 
 if (require.main === module) {
   const cmd = process.argv[2];
+  const done = () => sharedPool().close();
   if (cmd === '--publish-all') {
-    publishAll().catch(console.error);
+    publishAll().catch(console.error).finally(done);
   } else if (cmd === '--publish') {
     const taskId = process.argv[3];
-    const receiptPath = path.join(RECEIPTS_DIR, `${taskId}.json`);
-    if (!fs.existsSync(receiptPath)) { console.error('Receipt not found:', taskId); process.exit(1); }
-    const receipt = JSON.parse(fs.readFileSync(receiptPath, 'utf8'));
-    publishReceipt(receipt).catch(console.error);
+    const receipt = new Store({ readOnly: true }).get('receipts', taskId);
+    if (!receipt) { console.error('Receipt not found:', taskId); process.exit(1); }
+    publishReceipt(receipt).catch(console.error).finally(done);
+  } else if (cmd === '--publish-root') {
+    if (!fs.existsSync(RECEIPT_ROOT_FILE)) { console.error('No signed root yet. Start the server first.'); process.exit(1); }
+    publishReceiptRoot(JSON.parse(fs.readFileSync(RECEIPT_ROOT_FILE, 'utf8'))).catch(console.error).finally(done);
   } else {
     console.log('Usage:');
     console.log('  node nostr-receipts.js --publish-all');
     console.log('  node nostr-receipts.js --publish <task_id>');
+    console.log('  node nostr-receipts.js --publish-root');
   }
 }
 
-module.exports = { publishReceipt };
+module.exports = { publishReceipt, publishReceiptRoot, AIP_RECEIPT_ROOT_KIND };
@@ -0,0 +1,138 @@
+/**
+ * operator-auth.js — Ed25519 signed-request auth for operator endpoints
+ *
+ * Operator requests carry these headers:
+ *   X-AIP-Operator     base64 Ed25519 public key (must be in the operator set)
+ *   X-AIP-Nonce        UUIDv4, never reused
+ *   X-AIP-Timestamp    ISO-8601, within ±5 minutes of server time
+ *   X-AIP-Sig-Alg      "ed25519"
+ *   X-AIP-Sig-Version  "1"
+ *   X-AIP-Signature    base64 Ed25519 signature over the JCS form of
+ *                      {operator_id, method, path, body, nonce, timestamp, sig_alg, sig_version}
+ *
+ * `path` is the request path including query string; `body` is the parsed
+ * JSON body, or null when there is none. Without the two X-AIP-Sig-* headers
+ * the request is a v0.1 legacy one, signed over JSON.stringify of the first
+ * six fields in that order (see signing.js).
+ *
+ * Operator keys come from AIP_OPERATOR_KEYS (comma-separated) and/or
+ * operators.json ({ "operators": ["<pubkey>", ...] }). The agent's own key
+ * is always an operator. Every authenticated action (and every denied
+ * attempt from a known header set) is appended to data/operator-audit.log
+ * as one JSON object per line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OPERATORS_FILE = path.join(__dirname, 'operators.json');
+const AUDIT_FILE = path.join(__dirname, 'data', 'operator-audit.log');
+
+/**
+ * Resolve the configured operator public keys
+ * @param {string} agentPublicKey - The agent's own key (always allowed)
+ * @returns {Set<string>}
+ */
+function loadOperatorKeys(agentPublicKey) {
+  const keys = new Set([agentPublicKey]);
+
+  for (const k of (process.env.AIP_OPERATOR_KEYS || '').split(',')) {
+    if (k.trim()) keys.add(k.trim());
+  }
+
+  if (fs.existsSync(OPERATORS_FILE)) {
+    const config = JSON.parse(fs.readFileSync(OPERATORS_FILE, 'utf8'));
+    for (const k of config.operators || []) keys.add(k);
+  }
+
+  return keys;
+}
+
+/**
+ * Build the operator auth middleware
+ * @param {Object} opts
+ * @param {Set<string>} opts.operators - Allowed operator public keys
+ * @param {Function} opts.verifySignature - (message, signature, publicKey) => boolean
+ * @param {Function} [opts.schemeError] - (message) => null | {status, error, message},
+ *                                        rejects unsupported or expired signature schemes
+ * @param {Function} opts.checkNonce - (nonce, timestamp) => boolean
+ * @param {string} [opts.auditFile] - Append-only audit log path
+ * @returns {Function} (action) => Express middleware
+ */
+function createOperatorAuth({ operators, verifySignature, schemeError = () => null, checkNonce, auditFile = AUDIT_FILE }) {
+  fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+
+  function audit(entry) {
+    fs.appendFileSync(auditFile, JSON.stringify(entry) + '\n');
+  }
+
+  return function requireOperator(action) {
+    return (req, res, next) => {
+      const operatorId = req.get('X-AIP-Operator');
+      const nonce = req.get('X-AIP-Nonce');
+      const timestamp = req.get('X-AIP-Timestamp');
+      const signature = req.get('X-AIP-Signature');
+      const sigAlg = req.get('X-AIP-Sig-Alg');
+      const sigVersion = req.get('X-AIP-Sig-Version');
+
+      if (!operatorId || !nonce || !timestamp || !signature) {
+        return res.status(401).json({
+          error: 'operator_auth_required',
+          message: 'Required headers: X-AIP-Operator, X-AIP-Nonce, X-AIP-Timestamp, X-AIP-Signature'
+        });
+      }
+
+      if (!operators.has(operatorId)) {
+        audit({ timestamp: new Date().toISOString(), operator_id: operatorId, action, denied: 'not_an_operator' });
+        return res.status(403).json({ error: 'not_an_operator', message: 'Key is not in the operator set' });
+      }
+
+      if (!checkNonce(nonce, timestamp)) {
+        return res.status(400).json({
+          error: 'invalid_nonce',
+          message: 'Nonce already seen or timestamp out of range (±5 minutes)'
+        });
+      }
+
+      const message = {
+        operator_id: operatorId,
+        method: req.method,
+        path: req.originalUrl,
+        body: req.body || null,
+        nonce,
+        timestamp,
+        sig_alg: sigAlg,
+        sig_version: sigVersion === undefined ? undefined : Number(sigVersion)
+      };
+      const schemeRejection = schemeError(message);
+      if (schemeRejection) {
+        audit({ timestamp: new Date().toISOString(), operator_id: operatorId, action, denied: schemeRejection.error });
+        return res.status(schemeRejection.status).json({ error: schemeRejection.error, message: schemeRejection.message });
+      }
+      if (!verifySignature(message, signature, operatorId)) {
+        audit({ timestamp: new Date().toISOString(), operator_id: operatorId, action, denied: 'invalid_signature' });
+        return res.status(401).json({ error: 'invalid_signature', message: 'Signature verification failed' });
+      }
+
+      req.operatorId = operatorId;
+
+      // Record the outcome once the handler has responded
+      res.on('finish', () => {
+        audit({
+          timestamp: new Date().toISOString(),
+          operator_id: operatorId,
+          action,
+          method: req.method,
+          path: req.originalUrl,
+          task_id: req.params.id || null,
+          nonce,
+          status_code: res.statusCode
+        });
+      });
+
+      next();
+    };
+  };
+}
+
+module.exports = { createOperatorAuth, loadOperatorKeys, OPERATORS_FILE, AUDIT_FILE };
@@ -12,8 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const nacl = require('tweetnacl');
-const { decodeBase64, encodeBase64 } = require('tweetnacl-util');
+const { versioned, signMessage } = require('./signing');
 
 const PICOCLAW_TASKS_DIR = 'C:\\Users\\power\\.picoclaw\\tasks';
 const PICOCLAW_RESULTS_DIR = 'C:\\Users\\power\\.picoclaw\\tasks\\results';
@@ -38,13 +37,6 @@ function markProcessed(filename) {
   fs.writeFileSync(PROCESSED_FILE, JSON.stringify([...processed]));
 }
 
-function signMessage(message, secretKey) {
-  const msgBytes = new TextEncoder().encode(JSON.stringify(message));
-  const skBytes = decodeBase64(secretKey);
-  const sig = nacl.sign.detached(msgBytes, skBytes);
-  return encodeBase64(sig);
-}
-
 async function submitTask(taskFile) {
   const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
   const raw = JSON.parse(fs.readFileSync(taskFile, 'utf8'));
@@ -53,7 +45,7 @@ async function submitTask(taskFile) {
   const nonce = crypto.randomUUID();
   const timestamp = new Date().toISOString();
 
-  const message = {
+  const message = versioned({
     task_id: taskId,
     requester_id: keys.publicKey,
     task_type: raw.task_type,
@@ -64,7 +56,7 @@ async function submitTask(taskFile) {
     deadline: raw.deadline || null,
     nonce,
     timestamp
-  };
+  });
 
   message.signature = signMessage(message, keys.secretKey);
 
@@ -0,0 +1,181 @@
+/**
+ * pricing.js — Task pricing engine and signed quotes (SPEC §7)
+ *
+ * Prices come from manifest.pricing:
+ *
+ *   "pricing": {
+ *     "currency": "sats",
+ *     "min_task_fee": 1000,              floor for every task
+ *     "quote_ttl_seconds": 600,          how long a quote can be redeemed at /inbox
+ *     "rules": {                         per capability, "*" for the rest
+ *       "research.security": { "base_sats": 5000 },
+ *       "code.review": { "base_sats": 2000, "per_kb_sats": 100 }
+ *     },
+ *     "urgency": [                       first entry whose window the deadline falls in
+ *       { "within_hours": 2, "surcharge_percent": 100 },
+ *       { "within_hours": 24, "surcharge_percent": 25 }
+ *     ],
+ *     "queue": { "free_slots": 3, "surcharge_percent_per_task": 10, "max_surcharge_percent": 100 }
+ *   }
+ *
+ * With no rule for a capability, its price_sats (else min_task_fee) is the
+ * base. per_kb_sats charges for the size of description + params.
+ *
+ *   price = ceil(max(base + size, min_task_fee) × (100 + urgency% + queue%) / 100)
+ *
+ * A quote is the agent's signed promise of that price for one draft task,
+ * bound to it by draft_hash (SHA-256 of the JCS form of task_type,
+ * description, params and deadline) and good until `expires`.
+ */
+
+const crypto = require('crypto');
+const { canonicalize } = require('./signing');
+
+const DEFAULT_QUOTE_TTL_S = 600;
+
+/**
+ * Price rule for a capability
+ * @returns {Object} {base_sats, per_kb_sats}
+ */
+function ruleFor(manifest, taskType) {
+  const pricing = manifest.pricing || {};
+  const rules = pricing.rules || {};
+  const rule = rules[taskType] || rules['*'];
+  if (rule) return { base_sats: rule.base_sats || 0, per_kb_sats: rule.per_kb_sats || 0 };
+  const cap = (manifest.capabilities || []).find(c => c.type === taskType);
+  return { base_sats: (cap && cap.price_sats) || pricing.min_task_fee || 0, per_kb_sats: 0 };
+}
+
+function urgencyPercent(pricing, deadline, now) {
+  if (!deadline) return 0;
+  const hoursLeft = (new Date(deadline).getTime() - now) / 3_600_000;
+  const tiers = [...(pricing.urgency || [])].sort((a, b) => a.within_hours - b.within_hours);
+  const tier = tiers.find(t => hoursLeft <= t.within_hours);
+  return tier ? tier.surcharge_percent || 0 : 0;
+}
+
+function queuePercent(pricing, queueDepth) {
+  const queue = pricing.queue;
+  if (!queue) return 0;
+  const busy = Math.max(0, queueDepth - (queue.free_slots || 0));
+  const percent = busy * (queue.surcharge_percent_per_task || 0);
+  return queue.max_surcharge_percent === undefined ? percent : Math.min(percent, queue.max_surcharge_percent);
+}
+
+/**
+ * Price a draft task
+ * @param {Object} manifest - Current agent manifest
+ * @param {Object} draft - {task_type, description, params, deadline}
+ * @param {Object} [opts]
+ * @param {number} [opts.queueDepth] - Tasks already waiting for or in work
+ * @param {number} [opts.now] - ms timestamp (default Date.now())
+ * @returns {Object} {amount, currency, breakdown: {base_sats, size_sats, min_task_fee, urgency_percent, queue_percent}}
+ */
+function priceTask(manifest, draft, { queueDepth = 0, now = Date.now() } = {}) {
+  const pricing = manifest.pricing || {};
+  const rule = ruleFor(manifest, draft.task_type);
+  const bytes = Buffer.byteLength(canonicalize({ description: draft.description || '', params: draft.params ?? null }));
+  const sizeSats = rule.per_kb_sats * Math.ceil(bytes / 1024);
+  const minFee = pricing.min_task_fee || 0;
+  const urgency = urgencyPercent(pricing, draft.deadline, now);
+  const queue = queuePercent(pricing, queueDepth);
+
+  return {
+    amount: Math.ceil(Math.max(rule.base_sats + sizeSats, minFee) * (100 + urgency + queue) / 100),
+    currency: pricing.currency || 'sats',
+    breakdown: {
+      base_sats: rule.base_sats,
+      size_sats: sizeSats,
+      min_task_fee: minFee,
+      urgency_percent: urgency,
+      queue_percent: queue
+    }
+  };
+}
+
+/**
+ * @returns {string} Hex SHA-256 binding a quote to the task it prices
+ */
+function draftHash(draft) {
+  return crypto.createHash('sha256').update(canonicalize({
+    task_type: draft.task_type,
+    description: draft.description,
+    params: draft.params ?? null,
+    deadline: draft.deadline ?? null
+  })).digest('hex');
+}
+
+/**
+ * The fields of a quote that the agent's signature covers
+ */
+function quoteSigningData(quote) {
+  return {
+    quote_id: quote.quote_id,
+    agent_id: quote.agent_id,
+    requester_id: quote.requester_id,
+    task_type: quote.task_type,
+    draft_hash: quote.draft_hash,
+    amount: quote.amount,
+    currency: quote.currency,
+    breakdown: quote.breakdown,
+    issued: quote.issued,
+    expires: quote.expires,
+    sig_alg: quote.sig_alg,
+    sig_version: quote.sig_version
+  };
+}
+
+/**
+ * Unsigned quote for a draft (stamp with versioned() and sign it)
+ * @param {Object} opts
+ * @param {string} opts.agentId
+ * @param {Object} opts.draft - Signed draft task from the requester
+ * @param {Object} opts.price - From priceTask()
+ * @param {number} [opts.ttlSeconds]
+ */
+function buildQuote({ agentId, draft, price, ttlSeconds = DEFAULT_QUOTE_TTL_S }) {
+  const issued = new Date();
+  return quoteSigningData({
+    quote_id: crypto.randomUUID(),
+    agent_id: agentId,
+    requester_id: draft.requester_id,
+    task_type: draft.task_type,
+    draft_hash: draftHash(draft),
+    amount: price.amount,
+    currency: price.currency,
+    breakdown: price.breakdown,
+    issued: issued.toISOString(),
+    expires: new Date(issued.getTime() + ttlSeconds * 1000).toISOString()
+  });
+}
+
+/**
+ * Can this quote be redeemed for this task?
+ * @param {Object} quote - Stored quote (may be null)
+ * @param {Object} task - Task request referencing it
+ * @param {Function} verify - (quoteSigningData, signature) => boolean, checks the agent's signature
+ * @returns {Object|null} null if it can, else {status, error, message}
+ */
+function quoteError(quote, task, verify) {
+  if (!quote) return { status: 404, error: 'quote_not_found', message: `No quote ${task.quote_id}` };
+  if (!verify(quoteSigningData(quote), quote.signature)) {
+    return { status: 409, error: 'quote_invalid', message: 'Quote signature does not verify' };
+  }
+  if (quote.requester_id !== task.requester_id || quote.task_type !== task.task_type ||
+      quote.draft_hash !== draftHash(task)) {
+    return {
+      status: 409,
+      error: 'quote_mismatch',
+      message: 'Quote was issued for a different requester, task type, description, params or deadline'
+    };
+  }
+  if (quote.used_by && quote.used_by !== task.task_id) {
+    return { status: 409, error: 'quote_used', message: `Quote already redeemed by task ${quote.used_by}` };
+  }
+  if (Date.now() > new Date(quote.expires).getTime()) {
+    return { status: 410, error: 'quote_expired', message: `Quote expired at ${quote.expires}; request a new one` };
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_QUOTE_TTL_S, priceTask, draftHash, quoteSigningData, buildQuote, quoteError };
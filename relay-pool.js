@@ -0,0 +1,577 @@
+/**
+ * relay-pool.js — Shared Nostr relay connections and a persistent publish outbox
+ *
+ * Every Nostr publisher and subscriber (manifest, revocations, receipts, the
+ * spec article, the DVM bridge and the DM inbox) goes through a RelayPool:
+ *
+ *   Relays   manifest.nostr.relays (DEFAULT_RELAYS if unset). dvm.relays and
+ *            nostr_inbox.relays still override it for those services.
+ *   Quorum   manifest.nostr.quorum (default 2, at most the number of relays):
+ *            how many relays must accept an event before it counts as sent.
+ *
+ * Connections are opened on first use and kept. Once the pool is started (the
+ * server does this), a dropped or unreachable relay is reconnected with
+ * backoff (1s, 2s, 4s ... capped at 5 min) and its subscriptions are re-sent.
+ *
+ * Publishing writes the event to data/nostr-outbox/<event id>.json before any
+ * network I/O, then sends it to every relay and records each relay's NIP-20
+ * OK message:
+ *
+ *   accepted   OK true (or a "duplicate:" refusal)
+ *   rejected   OK false with blocked:, invalid:, pow:, restricted:, mute: or
+ *              auth-required: (not retried)
+ *   error      OK false for any other reason, no answer, or no connection
+ *              (retried)
+ *
+ * Events short of the quorum are retried with exponential backoff (30s, 1m,
+ * 2m ... capped at 1h), max 8 attempts, also after a restart. A newer version
+ * of a replaceable event supersedes any pending older one. Sent and
+ * superseded entries are deleted a day later; failed ones stay until an
+ * operator retries them.
+ *
+ * Pending entries are indexed in memory, so retries and superseding don't
+ * read the whole outbox. Entries another process queued (e.g. a CLI publish
+ * while the server runs) are picked up on the next poll.
+ *
+ * Outbox states: pending → sent | failed | superseded
+ *
+ * Usage: node relay-pool.js [--flush]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Relay } = require('nostr-tools/relay');
+const { writeJsonAtomic } = require('./store');
+
+const DEFAULT_RELAYS = [
+  'wss://relay.damus.io',
+  'wss://nos.lol',
+  'wss://relay.primal.net',
+  'wss://relay.nostr.band'
+];
+const DEFAULT_QUORUM = 2;
+
+const MANIFEST_FILE = path.join(__dirname, 'manifest.json');
+const OUTBOX_DIR = path.join(__dirname, 'data', 'nostr-outbox');
+
+const CONNECT_TIMEOUT_MS = 5_000;
+const RECONNECT_BASE_MS = 1_000;
+const RECONNECT_MAX_MS = 300_000;
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 30_000;
+const MAX_DELAY_MS = 3_600_000;
+const POLL_INTERVAL_MS = 10_000;
+const RETENTION_MS = 86_400_000;
+const QUERY_TIMEOUT_MS = 5_000;
+
+// NIP-01 OK prefixes a relay won't change its mind about
+const PERMANENT_REFUSALS = ['blocked', 'invalid', 'pow', 'restricted', 'mute', 'auth-required'];
+
+const errorMessage = err => (err && err.message) || String(err);
+
+/**
+ * Relays and quorum from a manifest (default: manifest.json on disk)
+ * @returns {Object} {relays, quorum}
+ */
+function relayConfig(manifest) {
+  if (manifest === undefined) {
+    manifest = fs.existsSync(MANIFEST_FILE) ? JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8')) : null;
+  }
+  const nostr = (manifest && manifest.nostr) || {};
+  return {
+    relays: Array.isArray(nostr.relays) && nostr.relays.length ? nostr.relays : DEFAULT_RELAYS,
+    quorum: nostr.quorum || DEFAULT_QUORUM
+  };
+}
+
+/**
+ * Address of a replaceable event (kind:pubkey[:d]), or null
+ */
+function replaceableAddress(event) {
+  const kind = event.kind;
+  if (kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000)) return `${kind}:${event.pubkey}`;
+  if (kind >= 30000 && kind < 40000) {
+    const d = event.tags.find(t => t[0] === 'd');
+    return `${kind}:${event.pubkey}:${d ? d[1] : ''}`;
+  }
+  return null;
+}
+
+/**
+ * Read a relay's answer to an EVENT
+ * @returns {Object} {status: accepted|rejected|error, message}
+ */
+function classifyAck(ok, message) {
+  const prefix = (message || '').split(':')[0].trim();
+  if (ok || prefix === 'duplicate') return { status: 'accepted', message: message || null };
+  return { status: PERMANENT_REFUSALS.includes(prefix) ? 'rejected' : 'error', message: message || 'no reason given' };
+}
+
+class RelayPool {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.relays] - Default relays (relayConfig())
+   * @param {number} [options.quorum] - Relays that must accept an event
+   * @param {string} [options.outboxDir]
+   */
+  constructor(options = {}) {
+    const config = options.relays ? { relays: options.relays, quorum: DEFAULT_QUORUM } : relayConfig();
+    this.relays = options.relays || config.relays;
+    this.quorum = options.quorum || config.quorum;
+    this.outboxDir = options.outboxDir || OUTBOX_DIR;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.baseDelayMs = options.baseDelayMs || BASE_DELAY_MS;
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.retentionMs = options.retentionMs || RETENTION_MS;
+    this.outbox = null; // {pending: id → {next_attempt, address, created_at}, finished: id → {status, at}}
+    this.connections = new Map(); // url → {url, relay, connecting, failures, retryTimer, lastError}
+    this.subscriptions = new Set();
+    this.inFlight = new Set();
+    this.timer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Take new defaults (e.g. after manifest.nostr changes). Open connections
+   * to relays no longer listed are left to whoever still uses them.
+   */
+  configure({ relays, quorum }) {
+    if (relays) this.relays = relays;
+    if (quorum) this.quorum = quorum;
+  }
+
+  entry(url) {
+    if (!this.connections.has(url)) {
+      this.connections.set(url, { url, relay: null, connecting: null, failures: 0, retryTimer: null, lastError: null });
+    }
+    return this.connections.get(url);
+  }
+
+  /**
+   * Connected relay for a URL, connecting if needed
+   * @returns {Promise<Object>} nostr-tools Relay
+   * @throws if the relay can't be reached
+   */
+  async connect(url) {
+    const entry = this.entry(url);
+    if (entry.relay && entry.relay.connected) return entry.relay;
+    if (entry.connecting) return entry.connecting;
+
+    entry.connecting = Relay.connect(url, { timeout: CONNECT_TIMEOUT_MS }).then(relay => {
+      entry.connecting = null;
+      if (this.closed) {
+        relay.close();
+        throw new Error('Relay pool closed');
+      }
+      if (entry.failures) console.log(`[RELAY] Reconnected to ${url}`);
+      entry.relay = relay;
+      entry.failures = 0;
+      entry.lastError = null;
+      relay.onclose = () => this.dropped(entry, relay);
+      for (const sub of this.subscriptions) {
+        if (sub.relays.includes(url)) this.attach(sub, url, relay);
+      }
+      return relay;
+    }, err => {
+      entry.connecting = null;
+      entry.failures++;
+      entry.lastError = errorMessage(err);
+      this.scheduleReconnect(entry);
+      throw new Error(entry.lastError);
+    });
+    return entry.connecting;
+  }
+
+  dropped(entry, relay) {
+    if (this.closed || entry.relay !== relay) return;
+    entry.relay = null;
+    entry.failures++;
+    entry.lastError = 'connection closed';
+    console.log(`[RELAY] Lost ${entry.url}`);
+    this.scheduleReconnect(entry);
+  }
+
+  // Keep-alive: only for a started pool, or a relay someone is subscribed on
+  scheduleReconnect(entry) {
+    const wanted = this.timer || [...this.subscriptions].some(s => s.relays.includes(entry.url));
+    if (this.closed || !wanted || entry.retryTimer) return;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** (entry.failures - 1), RECONNECT_MAX_MS);
+    console.log(`[RELAY] Reconnecting to ${entry.url} in ${delay / 1000}s (${entry.lastError})`);
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      this.connect(entry.url).catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * Subscribe on several relays; re-sent whenever a relay reconnects
+   * @param {Object[]} filters
+   * @param {Object} handlers - {onevent(event, url), oneose(url)}
+   * @param {Object} [opts]
+   * @param {string[]} [opts.relays] - Default: the pool's relays
+   * @returns {Object} {close()}
+   */
+  subscribe(filters, handlers, opts = {}) {
+    const sub = { filters, handlers, relays: opts.relays || this.relays, active: new Map() };
+    this.subscriptions.add(sub);
+    for (const url of sub.relays) {
+      this.connect(url).catch(err => console.error(`[RELAY] Subscription not sent to ${url}: ${err.message}`));
+    }
+    return {
+      close: () => {
+        this.subscriptions.delete(sub);
+        for (const active of sub.active.values()) active.close();
+        sub.active.clear();
+      }
+    };
+  }
+
+  attach(sub, url, relay) {
+    const previous = sub.active.get(url);
+    if (previous) previous.close();
+    sub.active.set(url, relay.subscribe(sub.filters, {
+      onevent: event => sub.handlers.onevent(event, url),
+      oneose: () => sub.handlers.oneose && sub.handlers.oneose(url)
+    }));
+  }
+
+  /**
+   * One-off fetch: stored events matching the filters, per relay, until
+   * EOSE or the timeout
+   * @returns {Promise<Object[]>} [{url, events, error}]
+   */
+  async query(filters, opts = {}) {
+    const timeoutMs = opts.timeoutMs || QUERY_TIMEOUT_MS;
+    return Promise.all((opts.relays || this.relays).map(async url => {
+      let relay;
+      try {
+        relay = await this.connect(url);
+      } catch (err) {
+        return { url, events: [], error: errorMessage(err) };
+      }
+      const events = await new Promise(resolve => {
+        const collected = [];
+        const done = () => {
+          clearTimeout(timer);
+          sub.close();
+          resolve(collected);
+        };
+        const timer = setTimeout(done, timeoutMs);
+        const sub = relay.subscribe(filters, { onevent: event => collected.push(event), oneose: done });
+      });
+      return { url, events, error: null };
+    }));
+  }
+
+  // ─── Outbox ───────────────────────────────────────────────────────
+
+  load(eventId) {
+    const file = path.join(this.outboxDir, `${eventId}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  save(record) {
+    fs.mkdirSync(this.outboxDir, { recursive: true });
+    writeJsonAtomic(path.join(this.outboxDir, `${record.event_id}.json`), record);
+    this.track(record);
+  }
+
+  // Outbox index, read from disk on first use
+  index() {
+    if (!this.outbox) {
+      this.outbox = { pending: new Map(), finished: new Map() };
+      this.sync();
+    }
+    return this.outbox;
+  }
+
+  // Index outbox files this pool hasn't seen (written by another process)
+  sync() {
+    const { pending, finished } = this.index();
+    if (!fs.existsSync(this.outboxDir)) return;
+    for (const f of fs.readdirSync(this.outboxDir)) {
+      const id = f.endsWith('.json') && f.slice(0, -5);
+      if (!id || pending.has(id) || finished.has(id)) continue;
+      const record = this.load(id);
+      if (record) this.track(record);
+    }
+  }
+
+  track(record) {
+    const { pending, finished } = this.index();
+    const id = record.event_id;
+    pending.delete(id);
+    finished.delete(id);
+    if (record.status === 'pending') {
+      pending.set(id, {
+        next_attempt: new Date(record.next_attempt).getTime(),
+        address: record.address,
+        created_at: record.event.created_at
+      });
+    } else {
+      finished.set(id, { status: record.status, at: new Date(record.updated).getTime() });
+    }
+  }
+
+  /**
+   * Delete sent and superseded entries older than the retention period
+   * @returns {number} Entries deleted
+   */
+  prune() {
+    const { finished } = this.index();
+    const cutoff = Date.now() - this.retentionMs;
+    let pruned = 0;
+    for (const [id, { status, at }] of finished) {
+      if (status === 'failed' || at > cutoff) continue;
+      fs.rmSync(path.join(this.outboxDir, `${id}.json`), { force: true });
+      finished.delete(id);
+      pruned++;
+    }
+    return pruned;
+  }
+
+  /**
+   * List outbox entries, newest first
+   * @param {Object} filter - {status, kind}
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.outboxDir)) return [];
+    let records = fs.readdirSync(this.outboxDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => JSON.parse(fs.readFileSync(path.join(this.outboxDir, f), 'utf8')));
+    if (filter.status) records = records.filter(r => r.status === filter.status);
+    if (filter.kind !== undefined) records = records.filter(r => r.kind === Number(filter.kind));
+    return records.sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+
+  /**
+   * Queue a signed event and make a first attempt on every relay
+   * @param {Object} event - Signed Nostr event
+   * @param {Object} [opts]
+   * @param {string[]} [opts.relays] - Default: the pool's relays
+   * @param {number} [opts.quorum] - Default: the pool's quorum
+   * @returns {Promise<Object>} Outbox entry after the attempt:
+   *   {event_id, kind, status, quorum, accepted, relays: {url: {status, message, at}}, attempts, ...}
+   */
+  async publish(event, opts = {}) {
+    const relays = opts.relays || this.relays;
+    const existing = this.load(event.id);
+    if (existing) {
+      if (existing.status === 'pending') await this.attempt(event.id);
+      return this.load(event.id);
+    }
+
+    const now = new Date().toISOString();
+    const address = replaceableAddress(event);
+    const record = {
+      event_id: event.id,
+      kind: event.kind,
+      address,
+      event,
+      quorum: Math.min(opts.quorum || this.quorum, relays.length),
+      accepted: 0,
+      relays: Object.fromEntries(relays.map(url => [url, { status: 'pending', message: null, at: null }])),
+      status: 'pending',
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      next_attempt: now,
+      last_error: null,
+      created: now,
+      updated: now,
+      sent: null
+    };
+    this.save(record);
+
+    if (address) {
+      const older = [...this.index().pending]
+        .filter(([id, p]) => p.address === address && p.created_at <= event.created_at && id !== event.id)
+        .map(([id]) => this.load(id));
+      for (const record of older) {
+        if (!record || record.status !== 'pending') continue;
+        record.status = 'superseded';
+        record.updated = now;
+        this.save(record);
+      }
+    }
+
+    await this.attempt(event.id);
+    return this.load(event.id);
+  }
+
+  backoffMs(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** (attempts - 1), MAX_DELAY_MS);
+  }
+
+  /**
+   * Send a pending event to every relay that hasn't accepted or refused it
+   */
+  async attempt(eventId) {
+    if (this.inFlight.has(eventId)) return;
+    this.inFlight.add(eventId);
+
+    try {
+      const record = this.load(eventId);
+      if (!record) this.index().pending.delete(eventId);
+      else if (record.status !== 'pending') this.track(record); // finished by another process
+      if (!record || record.status !== 'pending') return;
+
+      record.attempts += 1;
+      const targets = Object.keys(record.relays).filter(url => record.relays[url].status !== 'accepted' &&
+        record.relays[url].status !== 'rejected');
+      await Promise.all(targets.map(async url => {
+        let ack;
+        try {
+          const relay = await this.connect(url);
+          ack = classifyAck(true, await relay.publish(record.event));
+        } catch (err) {
+          ack = classifyAck(false, errorMessage(err));
+        }
+        record.relays[url] = { ...ack, at: new Date().toISOString() };
+      }));
+
+      const acks = Object.values(record.relays);
+      record.accepted = acks.filter(a => a.status === 'accepted').length;
+      const retryable = acks.filter(a => a.status === 'error').length;
+      const errors = Object.entries(record.relays).filter(([, a]) => a.status !== 'accepted');
+      record.last_error = errors.length ? errors.map(([url, a]) => `${url}: ${a.message}`).join('; ') : null;
+      const label = `kind ${record.kind} event ${eventId.slice(0, 8)}`;
+
+      if (record.accepted >= record.quorum) {
+        record.status = 'sent';
+        record.sent = new Date().toISOString();
+        console.log(`[RELAY] ✓ ${label} accepted by ${record.accepted}/${acks.length} relays`);
+      } else if (record.accepted + retryable < record.quorum || record.attempts >= record.max_attempts) {
+        record.status = 'failed';
+        console.log(`[RELAY] ✗ ${label} failed after ${record.attempts} attempt(s), ${record.accepted}/${record.quorum} relays: ${record.last_error}`);
+      } else {
+        const delay = this.backoffMs(record.attempts);
+        record.next_attempt = new Date(Date.now() + delay).toISOString();
+        console.log(`[RELAY] ${label} accepted by ${record.accepted}/${record.quorum} relays, retry in ${delay / 1000}s`);
+      }
+      record.updated = new Date().toISOString();
+      this.save(record);
+    } finally {
+      this.inFlight.delete(eventId);
+    }
+  }
+
+  /**
+   * Operator retry: a fresh attempt budget for a failed or stuck event
+   * @returns {Object|null} Updated entry, or null if not found
+   */
+  async retry(eventId) {
+    const record = this.load(eventId);
+    if (!record) return null;
+    if (record.status === 'sent' || record.status === 'superseded') return record;
+
+    record.status = 'pending';
+    record.attempts = 0;
+    record.next_attempt = new Date().toISOString();
+    for (const ack of Object.values(record.relays)) {
+      if (ack.status === 'rejected') ack.status = 'error';
+    }
+    record.updated = record.next_attempt;
+    this.save(record);
+    console.log(`[RELAY] Manual retry of kind ${record.kind} event ${eventId.slice(0, 8)}`);
+    await this.attempt(eventId);
+    return this.load(eventId);
+  }
+
+  /**
+   * Attempt every pending event whose next_attempt is due, then prune old
+   * finished entries
+   * @param {Object} [opts] - {all: true} ignores next_attempt
+   */
+  async processDue(opts = {}) {
+    this.sync();
+    const now = Date.now();
+    const due = [...this.index().pending]
+      .filter(([, p]) => opts.all || p.next_attempt <= now)
+      .map(([id]) => id);
+    for (const eventId of due) {
+      await this.attempt(eventId);
+    }
+    this.prune();
+    return due.length;
+  }
+
+  /**
+   * Keep connections alive and retry the outbox (long-running processes)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.processDue().catch(err => console.error('[RELAY] Outbox error:', err.message));
+    }, this.pollIntervalMs);
+    // Pick up anything left pending from before a restart
+    this.processDue().catch(err => console.error('[RELAY] Outbox error:', err.message));
+  }
+
+  /**
+   * @returns {Object[]} [{url, connected, failures, last_error}] for every relay used so far
+   */
+  status() {
+    return [...this.connections.values()].map(e => ({
+      url: e.url,
+      connected: Boolean(e.relay && e.relay.connected),
+      failures: e.failures,
+      last_error: e.lastError
+    }));
+  }
+
+  /**
+   * Close every connection and stop retrying (pending events stay in the outbox)
+   */
+  close() {
+    this.closed = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const sub of this.subscriptions) {
+      for (const active of sub.active.values()) active.close();
+    }
+    this.subscriptions.clear();
+    for (const entry of this.connections.values()) {
+      clearTimeout(entry.retryTimer);
+      if (entry.relay) entry.relay.close();
+    }
+    this.connections.clear();
+  }
+}
+
+let shared = null;
+
+/**
+ * The process-wide pool, configured from manifest.json
+ */
+function sharedPool() {
+  if (!shared || shared.closed) shared = new RelayPool();
+  return shared;
+}
+
+module.exports = {
+  RelayPool, sharedPool, relayConfig, replaceableAddress, classifyAck,
+  DEFAULT_RELAYS, DEFAULT_QUORUM, MAX_ATTEMPTS
+};
+
+if (require.main === module) {
+  const pool = sharedPool();
+  const records = pool.list();
+  console.log('Nostr relays (manifest.nostr.relays):');
+  for (const url of pool.relays) console.log(`  ${url}`);
+  console.log(`Quorum: ${Math.min(pool.quorum, pool.relays.length)} relay(s)`);
+  const counts = {};
+  for (const r of records) counts[r.status] = (counts[r.status] || 0) + 1;
+  console.log(`Outbox: ${Object.entries(counts).map(([s, n]) => `${n} ${s}`).join(', ') || 'empty'}`);
+  for (const r of records.filter(r => r.status === 'pending' || r.status === 'failed')) {
+    console.log(`  ${r.event_id.slice(0, 16)}... kind ${r.kind} ${r.status}, ${r.accepted}/${r.quorum} relays, ${r.attempts} attempt(s)`);
+  }
+  if (process.argv[2] === '--flush') {
+    pool.processDue({ all: true })
+      .then(n => console.log(`Retried ${n} pending event(s).`))
+      .catch(console.error)
+      .finally(() => pool.close());
+  } else {
+    pool.close();
+  }
+}
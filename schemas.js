@@ -0,0 +1,143 @@
+/**
+ * schemas.js — Per-capability JSON Schema validation (SPEC §2, §8)
+ *
+ * Each manifest capability MAY declare:
+ *   input_schema   — validates the task request's `params`
+ *   output_schema  — validates the `result` posted to /tasks/:id/complete
+ *
+ * Either may be a path relative to the repo (e.g. schemas/code.review.input.json)
+ * or an http(s) URL, fetched once at startup. Capabilities without a schema
+ * accept any params/result, matching v0.1 behaviour.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const FETCH_TIMEOUT_MS = 10_000;
+
+class SchemaRegistry {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || __dirname;
+    // task_type → { input, output, validateInput, validateOutput, error }
+    this.entries = new Map();
+    this.generation = 0;
+  }
+
+  async resolve(ref) {
+    if (/^https?:\/\//.test(ref)) {
+      const res = await fetch(ref, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${ref}`);
+      return res.json();
+    }
+    return JSON.parse(fs.readFileSync(path.resolve(this.baseDir, ref), 'utf8'));
+  }
+
+  /**
+   * Load and compile schemas for every capability that declares them.
+   * The new set replaces the current one only once every schema is done, so
+   * requests keep being validated during a reload. A schema that fails to
+   * load keeps the capability's previous schemas if it had any; otherwise
+   * the capability is marked unavailable instead of silently skipping
+   * validation.
+   * @param {Array} capabilities - manifest.capabilities
+   */
+  async load(capabilities) {
+    const generation = ++this.generation;
+    // A fresh Ajv per load: schemas with an $id can't be compiled twice into one
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+    const entries = new Map();
+    for (const cap of capabilities) {
+      if (!cap.input_schema && !cap.output_schema) continue;
+
+      const entry = { input: null, output: null, validateInput: null, validateOutput: null, error: null };
+      try {
+        if (cap.input_schema) {
+          entry.input = await this.resolve(cap.input_schema);
+          entry.validateInput = ajv.compile(entry.input);
+        }
+        if (cap.output_schema) {
+          entry.output = await this.resolve(cap.output_schema);
+          entry.validateOutput = ajv.compile(entry.output);
+        }
+      } catch (err) {
+        entry.error = err.message;
+        console.error(`[SCHEMA] Failed to load schema for ${cap.type}: ${err.message}`);
+      }
+      const previous = this.entries.get(cap.type);
+      if (entry.error && previous && !previous.error) {
+        console.error(`[SCHEMA] Keeping the previous schemas for ${cap.type}`);
+        entries.set(cap.type, previous);
+      } else {
+        entries.set(cap.type, entry);
+      }
+    }
+    // A newer load started while this one awaited: let it win
+    if (generation !== this.generation) return;
+    this.entries = entries;
+    console.log(`[SCHEMA] Loaded schemas for ${this.entries.size} capabilities`);
+  }
+
+  has(taskType) {
+    return this.entries.has(taskType);
+  }
+
+  /**
+   * @returns {string|null} Load error for this capability's schemas, if any
+   */
+  loadError(taskType) {
+    const entry = this.entries.get(taskType);
+    return entry ? entry.error : null;
+  }
+
+  /**
+   * Validate task params against the capability's input schema
+   * @returns {Object} {valid, errors: [{path, message, keyword}]}
+   */
+  validateParams(taskType, params) {
+    const entry = this.entries.get(taskType);
+    return run(entry && entry.validateInput, params == null ? {} : params);
+  }
+
+  /**
+   * Validate a task result against the capability's output schema
+   * @returns {Object} {valid, errors: [{path, message, keyword}]}
+   */
+  validateResult(taskType, result) {
+    const entry = this.entries.get(taskType);
+    return run(entry && entry.validateOutput, result);
+  }
+
+  /**
+   * Schema document served at /schemas/:task_type.json
+   */
+  document(taskType) {
+    const entry = this.entries.get(taskType);
+    if (!entry || entry.error) return null;
+    return { task_type: taskType, input: entry.input, output: entry.output };
+  }
+}
+
+function run(validate, data) {
+  if (!validate) return { valid: true, errors: [] };
+  if (validate(data)) return { valid: true, errors: [] };
+  return {
+    valid: false,
+    errors: validate.errors.map(e => ({
+      path: errorPath(e),
+      message: e.message,
+      keyword: e.keyword
+    }))
+  };
+}
+
+// Ajv reports missing/unexpected properties on the parent object; point at the property itself
+function errorPath(e) {
+  if (e.keyword === 'required') return `${e.instancePath}/${e.params.missingProperty}`;
+  if (e.keyword === 'additionalProperties') return `${e.instancePath}/${e.params.additionalProperty}`;
+  return e.instancePath || '/';
+}
+
+module.exports = { SchemaRegistry };
@@ -7,34 +7,81 @@
  */
 
 const express = require('express');
-const crypto = require('crypto');
-const nacl = require('tweetnacl');
-const { decodeBase64, encodeBase64 } = require('tweetnacl-util');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { CallbackQueue, callbackUrlError } = require('./callback-queue');
+const { createOperatorAuth, loadOperatorKeys } = require('./operator-auth');
+const { SchemaRegistry } = require('./schemas');
+const { TRANSITIONS, TERMINAL_STATES, canTransition, transition, isOverdue } = require('./task-state');
+const { BondManager } = require('./spam-bond');
+const { L402Bridge } = require('./l402-bridge');
+const { EscrowManager } = require('./escrow');
+const { Store, COLLECTIONS, CursorError, writeJsonAtomic } = require('./store');
+const { NonceCache, NONCE_EXPIRY_MS } = require('./nonces');
+const { receiptSigningData, hashResult } = require('./verify');
+const { SIG_ALG, SIG_VERSION, versioned, verifySignature, schemeError, signMessage: signWithKey } = require('./signing');
+const { revocationFor, rotationChain, verifyBinding } = require('./identity');
+const { ManifestManager, ManifestError } = require('./manifest-manager');
+const { ManifestPublisher, bindNostrIdentity, loadNostrKeys, lastManifestPublish, isPublished } = require('./nostr-publish');
+const { MerkleTree, TREE_ALG, LEAF_FORMAT, receiptLeafHash, rootSigningData } = require('./merkle');
+const { DEFAULT_QUOTE_TTL_S, priceTask, buildQuote, quoteError } = require('./pricing');
+const { DVMBridge, encryptionOf } = require('./dvm-bridge');
+const { NostrInbox } = require('./nostr-inbox');
+const { sharedPool, relayConfig, DEFAULT_RELAYS, DEFAULT_QUORUM } = require('./relay-pool');
 
 // ─── Config ──────────────────────────────────────────────────────────
 const PORT = process.env.AIP_PORT || 3141;
-const TASKS_DIR = path.join(__dirname, 'data', 'tasks');
-const RECEIPTS_DIR = path.join(__dirname, 'data', 'receipts');
+const STORE_FILE = path.join(__dirname, 'data', 'store.log');
+// Pre-store layout (one JSON file per record), imported once at startup
+const LEGACY_TASKS_DIR = path.join(__dirname, 'data', 'tasks');
+const LEGACY_RECEIPTS_DIR = path.join(__dirname, 'data', 'receipts');
 const NONCE_FILE = path.join(__dirname, 'data', 'seen-nonces.json');
 const KEYS_FILE = path.join(__dirname, 'agent-keys.json');
 const MANIFEST_FILE = path.join(__dirname, 'manifest.json');
+const NOSTR_KEY_FILE = path.join(__dirname, 'nostr-keys.json');
+const RECEIPT_ROOT_FILE = path.join(__dirname, 'data', 'receipt-root.json');
+const CALLBACKS_DIR = path.join(__dirname, 'data', 'callbacks');
+const REFUNDS_DIR = path.join(__dirname, 'data', 'refunds');
+const ESCROW_DIR = path.join(__dirname, 'data', 'escrow');
 
 // Rate limiting
 const RATE_WINDOW_MS = 60_000; // 1 minute
 const RATE_MAX_REQUESTS = 10;  // per requester per window
 const rateBuckets = new Map();
 
-// Nonce tracking (replay protection)
-const NONCE_EXPIRY_MS = 300_000; // 5 minutes
-let seenNonces = new Map();
+// Listing (GET /tasks, GET /receipts)
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Receipt Merkle root: re-signed (and published to Nostr) when receipts change
+const RECEIPT_ROOT_INTERVAL_MS = 600_000; // 10 minutes
+let receiptAnchor = { root: null, index: new Map(), tree: null, nextAt: null };
+
+// Negotiation
+const COUNTER_OFFER_TTL_MS = 86_400_000; // counter-offers stand for 24 hours
+
+// Deadline enforcement
+const EXPIRY_SWEEP_MS = 30_000;
+const OPEN_STATES = Object.keys(TRANSITIONS).filter(s => !TERMINAL_STATES.includes(s));
+
+// Queue depth for pricing: tasks admitted and not yet finished
+const QUEUED_STATES = ['pending', 'accepted', 'in-progress'];
+
+// Expired quotes nobody redeemed are deleted from the store this often
+const QUOTE_PRUNE_MS = 600_000; // 10 minutes
+
+// L402 challenges by signed request, so a resubmitted unpaid request gets the
+// same macaroon and invoice instead of a new one:
+// `${requester_id}:${nonce}` → {at, task_id, task_type, challenge}
+const l402Challenges = new Map();
 
 // ─── Bootstrap ───────────────────────────────────────────────────────
-for (const dir of [TASKS_DIR, RECEIPTS_DIR, path.join(__dirname, 'data')]) {
-  fs.mkdirSync(dir, { recursive: true });
-}
+fs.mkdirSync(path.join(__dirname, 'data'), { recursive: true });
+
+// Tasks and receipts: indexed append-only log (see store.js)
+const store = new Store({ file: STORE_FILE });
+store.migrateFromFiles({ tasks: LEGACY_TASKS_DIR, receipts: LEGACY_RECEIPTS_DIR });
 
 // Load agent keys
 if (!fs.existsSync(KEYS_FILE)) {
@@ -43,32 +90,62 @@ if (!fs.existsSync(KEYS_FILE)) {
 }
 const agentKeys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
 
-// Load or create manifest
+const schemaRegistry = new SchemaRegistry();
+
+// Manifest: signed, reloaded when manifest.json changes, editable by
+// operators, republished to Nostr after each change (see manifest-manager.js)
 let manifest;
-if (fs.existsSync(MANIFEST_FILE)) {
-  manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
-} else {
-  manifest = buildDefaultManifest();
-  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
-  console.log('Created default manifest.json');
+let listening = false;
+const manifestPublisher = new ManifestPublisher();
+// One set of relay connections and one publish outbox for every Nostr service
+const relayPool = sharedPool();
+const manifestManager = new ManifestManager({
+  file: MANIFEST_FILE,
+  agentKeys,
+  prepare: prepareManifest,
+  onChange: next => {
+    manifest = next;
+    relayPool.configure(relayConfig(manifest));
+    schemaRegistry.load(manifest.capabilities)
+      .catch(err => console.error(`[SCHEMA] Reload failed: ${err.message}`));
+    if (fs.existsSync(NOSTR_KEY_FILE)) manifestPublisher.schedule(manifest);
+    if (listening) {
+      syncDVMBridge();
+      syncNostrInbox();
+    }
+  }
+});
+try {
+  manifest = manifestManager.load(buildDefaultManifest);
+} catch (err) {
+  console.error(`manifest.json: ${err.message}`);
+  process.exit(1);
 }
-
-// Load persisted nonces
-if (fs.existsSync(NONCE_FILE)) {
-  try {
-    const raw = JSON.parse(fs.readFileSync(NONCE_FILE, 'utf8'));
-    seenNonces = new Map(raw);
-  } catch { seenNonces = new Map(); }
+relayPool.configure(relayConfig(manifest));
+if (manifest.identity && !verifyBinding(manifest.identity, { agentId: agentKeys.publicKey }).valid) {
+  console.warn('[IDENTITY] manifest.identity does not bind our agent key; node nostr-publish.js re-signs it');
 }
+const bondManager = new BondManager({ refundsDir: REFUNDS_DIR });
+const l402 = new L402Bridge();
+const escrowManager = new EscrowManager({ dir: ESCROW_DIR });
+let dvmBridge = null; // NIP-90 job bridge, started with the server if manifest.dvm.enabled
+let nostrInbox = null; // /inbox over Nostr DMs, started if manifest.nostr_inbox.enabled
+
+// Seen request nonces (replay protection)
+const nonces = new NonceCache({ file: NONCE_FILE });
+
+// Outbound callback deliveries (persisted, retried with backoff)
+const callbackQueue = new CallbackQueue({ dir: CALLBACKS_DIR });
 
 // Persist nonces periodically
 setInterval(() => {
   // Prune expired
   const now = Date.now();
-  for (const [nonce, ts] of seenNonces) {
-    if (now - ts > NONCE_EXPIRY_MS * 2) seenNonces.delete(nonce);
+  nonces.prune(now);
+  for (const [key, { at }] of l402Challenges) {
+    if (now - at > NONCE_EXPIRY_MS * 2) l402Challenges.delete(key);
   }
-  fs.writeFileSync(NONCE_FILE, JSON.stringify([...seenNonces]));
+  nonces.save();
 }, 30_000);
 
 // ─── Helpers ─────────────────────────────────────────────────────────
@@ -88,11 +165,13 @@ function buildDefaultManifest() {
       { type: 'writing.creative', description: 'Dark cyberpunk fiction (Dim Lantern Press)', schema_url: null },
       { type: 'data.analysis', description: 'Data analysis and pattern recognition', schema_url: null },
       { type: 'orchestration.delegate', description: 'Can route tasks to sub-agents (PicoClaw/Qwen3)', schema_url: null }
-    ],
+    ].map(c => ({ ...c, input_schema: `schemas/${c.type}.input.json`, output_schema: `schemas/${c.type}.output.json` })),
     pricing: {
       model: 'per-task',
       currency: 'sats',
       min_task_fee: 1000,
+      quote_ttl_seconds: DEFAULT_QUOTE_TTL_S, // POST /quote; see pricing.js for rules, urgency and queue surcharges
+      rules: {}, // per capability: {base_sats, per_kb_sats}; "*" for the rest
       note: 'Pricing varies by task complexity. Submit a request for a quote.'
     },
     payment_methods: ['lightning'],
@@ -100,32 +179,102 @@ function buildDefaultManifest() {
     reputation_url: null,
     nostr: {
       npub: null, // Set when Nostr identity is configured
-      relays: ['wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.nostr.band']
+      relays: [...DEFAULT_RELAYS], // shared by every Nostr publisher (see relay-pool.js)
+      quorum: DEFAULT_QUORUM // relays that must accept an event before the outbox stops retrying it
+    },
+    nostr_inbox: {
+      enabled: false // true: also take /inbox requests as NIP-59 gift-wrapped DMs (see nostr-inbox.js)
     },
     spam_bond: {
+      required: false, // true: /inbox answers 402 with a bond invoice until it is paid
       amount_sats: 1000,
-      policy: 'refunded on accept, burned on reject-as-spam'
+      policy: 'refunded unless the task is rejected as spam'
+    },
+    l402: {
+      required: false, // true: /inbox answers 402 with an L402 macaroon + invoice until paid
+      expiry_seconds: 3600
+    },
+    escrow: {
+      required: false, // true: accepting a task issues a hold invoice, settled on completion
+      invoice_expiry_seconds: 3600,
+      cltv_expiry: 144
     },
+    dvm: {
+      enabled: false, // true: take NIP-90 job requests from nostr.relays as tasks (see dvm-bridge.js)
+      // task_type → NIP-90 job kinds; params renames param tags (null drops them)
+      capabilities: {
+        'writing.technical': { kinds: [5050, 5001], params: { model: null, max_tokens: null } },
+        'code.review': { kinds: [5050], params: { model: null, max_tokens: null, focus_area: 'focus' } },
+        'research.web': { kinds: [5050], params: { model: null, max_tokens: null } },
+        'data.analysis': { kinds: [5000], params: { model: null, max_tokens: null } }
+      }
+    },
+    signing: {
+      sig_alg: SIG_ALG,
+      sig_version: SIG_VERSION,
+      canonicalization: 'jcs', // RFC 8785
+      legacy_until: null // ISO-8601: stop accepting unversioned v0.1 signatures after this
+    },
+    key_history: [], // rotation statements, oldest first (node keygen.js --rotate)
+    revoked_keys: [], // revocation statements (node keygen.js --revoke)
     updated: new Date().toISOString()
   };
 }
 
-function verifySignature(message, signature, publicKey) {
-  try {
-    const msgBytes = new TextEncoder().encode(JSON.stringify(message));
-    const sigBytes = decodeBase64(signature);
-    const pubBytes = decodeBase64(publicKey);
-    return nacl.sign.detached.verify(msgBytes, sigBytes, pubBytes);
-  } catch {
-    return false;
+// Derived manifest fields, filled in before each signature
+function prepareManifest(draft) {
+  // A revoked key must not sign anything new (see identity.js)
+  if (revocationFor(draft.revoked_keys, agentKeys.publicKey)) {
+    throw new ManifestError(409, 'key_revoked', 'agent-keys.json holds a revoked key. Run: node keygen.js --rotate');
   }
+  // Point schema_url at our own /schemas endpoint for capabilities that declare schemas
+  const publicBase = draft.inbox_url ? new URL(draft.inbox_url).origin : '';
+  for (const cap of draft.capabilities) {
+    if (!cap.schema_url && (cap.input_schema || cap.output_schema)) {
+      cap.schema_url = `${publicBase}/schemas/${cap.type}.json`;
+    }
+  }
+  const nostrKeys = loadNostrKeys();
+  if (nostrKeys) bindNostrIdentity(draft, nostrKeys, agentKeys);
+  // Advertise where DM'd task requests go
+  if (draft.nostr_inbox) {
+    if (draft.nostr_inbox.enabled && nostrKeys) draft.nostr_inbox.pubkey = nostrKeys.publicKey;
+    else delete draft.nostr_inbox.pubkey;
+  }
+  return draft;
 }
 
+// Sign as the agent. Callers stamp the message with versioned() first so
+// sig_alg/sig_version travel with (and are covered by) the signature.
 function signMessage(message) {
-  const msgBytes = new TextEncoder().encode(JSON.stringify(message));
-  const secretKey = decodeBase64(agentKeys.secretKey);
-  const sig = nacl.sign.detached(msgBytes, secretKey);
-  return encodeBase64(sig);
+  return signWithKey(message, agentKeys.secretKey);
+}
+
+// End of the window for unversioned v0.1 request signatures (null: still open)
+function legacyUntil() {
+  return (manifest.signing && manifest.signing.legacy_until) || null;
+}
+
+// Why a requester-signed message is refused: its scheme isn't accepted or
+// the signature doesn't verify. Returns {status, error, message} or null.
+function requestError(message, signature, publicKey) {
+  const err = schemeError(message, legacyUntil());
+  if (err) return err;
+  if (!verifySignature(message, signature, publicKey)) {
+    return { status: 401, error: 'invalid_signature', message: 'Signature verification failed' };
+  }
+  return null;
+}
+
+// Check a requester-signed message. Sends the error response and returns
+// false if it is refused (see requestError).
+function verifyRequest(res, message, signature, publicKey) {
+  const err = requestError(message, signature, publicKey);
+  if (err) {
+    res.status(err.status).json({ error: err.error, message: err.message });
+    return false;
+  }
+  return true;
 }
 
 function checkRateLimit(requesterId) {
@@ -140,34 +289,407 @@ function checkRateLimit(requesterId) {
   return true;
 }
 
-function checkNonce(nonce, timestamp) {
+function loadTask(taskId) {
+  return store.get('tasks', taskId);
+}
+
+function saveTask(task) {
+  store.put('tasks', task);
+}
+
+// Task and its receipt land together or not at all
+function saveTaskWithReceipt(task) {
+  store.transaction(tx => {
+    tx.put('tasks', task);
+    tx.put('receipts', task.receipt);
+  });
+}
+
+// Build the next agent-signed counter-offer revision and record it on the task.
+// `terms` may change payment_offer, deadline, params and/or description (scope).
+function issueCounterOffer(task, terms, message) {
+  const offer = versioned({
+    task_id: task.task_id,
+    agent_id: agentKeys.publicKey,
+    revision: task.offers.length,
+    payment_offer: terms.payment_offer !== undefined ? terms.payment_offer : task.payment_offer,
+    deadline: terms.deadline !== undefined ? terms.deadline : task.deadline,
+    params: terms.params !== undefined ? terms.params : task.params,
+    description: terms.description !== undefined ? terms.description : task.description,
+    message: message || null,
+    expires: new Date(Date.now() + COUNTER_OFFER_TTL_MS).toISOString(),
+    timestamp: new Date().toISOString()
+  });
+  const signed = { ...offer, signature: signMessage(offer) };
+
+  task.offers.push({ by: 'agent', ...signed });
+  task.counter_offer = signed;
+  transition(task, 'negotiating', { by: 'agent', reason: offer.message });
+  return signed;
+}
+
+// Fresh pending task record for a request. Revision 0 of the offers is the
+// request itself, as the requester signed it.
+function newTask(request, extra = {}) {
+  const { task_id, requester_id, task_type, description, params, payment_offer, callback_url,
+          deadline, nonce, timestamp, sig_alg, sig_version, signature } = request;
+  const now = new Date().toISOString();
+  return {
+    task_id,
+    requester_id,
+    task_type,
+    description,
+    params: params || null,
+    payment_offer: payment_offer || null,
+    callback_url: callback_url || null,
+    deadline: deadline || null,
+    quote: null,
+    nonce,
+    timestamp,
+    sig_alg,
+    sig_version,
+    signature,
+    payment: null,
+    transport: null, // {type: 'nostr-dm', pubkey} when the request came over a Nostr DM
+    ...extra,
+    status: 'pending',
+    created: now,
+    updated: now,
+    progress: null,
+    result: null,
+    receipt: null,
+    history: [{ from: null, to: 'pending', at: now, by: 'requester', reason: null }],
+    offers: [{
+      by: 'requester',
+      revision: 0,
+      payment_offer: payment_offer || null,
+      deadline: deadline || null,
+      params: params || null,
+      description,
+      timestamp,
+      sig_alg,
+      sig_version,
+      signature
+    }],
+    counter_offer: null
+  };
+}
+
+// Price for a task request: the redeemed quote, else the pricing engine (see pricing.js)
+function taskPrice(task, quote) {
+  if (quote) return { amount: quote.amount, currency: quote.currency };
+  return priceTask(manifest, task, { queueDepth: store.count('tasks', { status: QUEUED_STATES }) });
+}
+
+// Drop unredeemed quotes past their expiry; redeemed ones stay with their task
+function pruneQuotes() {
   const now = Date.now();
-  const ts = new Date(timestamp).getTime();
-  
-  // Reject if timestamp too old or too far in future
-  if (Math.abs(now - ts) > NONCE_EXPIRY_MS) return false;
-  
-  // Reject if nonce already seen
-  if (seenNonces.has(nonce)) return false;
-  
-  seenNonces.set(nonce, now);
-  return true;
+  const expired = store.find('quotes')
+    .filter(q => !q.used_by && new Date(q.expires).getTime() < now)
+    .map(q => q.quote_id);
+  const pruned = store.delete('quotes', expired);
+  if (pruned) console.log(`[QUOTE] Pruned ${pruned} expired quote(s)`);
 }
 
-function loadTask(taskId) {
-  const taskPath = path.join(TASKS_DIR, `${taskId}.json`);
-  if (!fs.existsSync(taskPath)) return null;
-  return JSON.parse(fs.readFileSync(taskPath, 'utf8'));
+// Put a pending task up for evaluation. Offers below our price (the same one
+// POST /quote and L402 charge) get a counter-offer instead of a silent accept.
+// Saves the task and returns the [httpStatus, body] to answer the requester with.
+function admitTask(task, price = taskPrice(task, task.quote)) {
+  const { task_id, payment_offer } = task;
+  const { amount: minFee, currency } = price;
+  const offered = payment_offer && Number(payment_offer.amount);
+
+  // Tasks paid up front over L402 were charged our own price; nothing to negotiate
+  if (minFee && !task.payment && !(offered >= minFee)) {
+    const counter = issueCounterOffer(task, {
+      payment_offer: { ...(payment_offer || {}), amount: minFee, currency }
+    }, task.quote
+      ? `Quoted price for this task is ${minFee} ${currency} (quote ${task.quote.quote_id})`
+      : `Price for this task is ${minFee} ${currency}`);
+    saveTask(task);
+    notifyRequester(task);
+
+    console.log(`[INBOX] Counter-offer on task ${task_id}: offered ${offered || 0}, min ${minFee}`);
+    return [202, {
+      status: 'counter-offer',
+      task_id,
+      message: counter.message,
+      status_url: `/tasks/${task_id}/status`,
+      respond_url: `/tasks/${task_id}/respond`,
+      counter_offer: counter
+    }];
+  }
+
+  saveTask(task);
+  console.log(`[INBOX] New task ${task_id} (${task.task_type}) from ${task.requester_id.slice(0, 12)}...`);
+  return [201, {
+    status: 'accepted',
+    task_id,
+    message: 'Task received and queued for evaluation',
+    status_url: `/tasks/${task_id}/status`,
+    counter_offer: null
+  }];
 }
 
-function saveTask(task) {
-  fs.writeFileSync(path.join(TASKS_DIR, `${task.task_id}.json`), JSON.stringify(task, null, 2));
+// Read one page of a store collection for a list endpoint: parses limit,
+// order, cursor, since and until from the query. Answers 400 itself and
+// returns null on bad input.
+function listPage(res, collection, query, filter) {
+  const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_PAGE_SIZE;
+  if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    res.status(400).json({ error: 'invalid_limit', message: `limit must be 1..${MAX_PAGE_SIZE}` });
+    return null;
+  }
+  for (const field of ['since', 'until']) {
+    if (query[field] && Number.isNaN(new Date(query[field]).getTime())) {
+      res.status(400).json({ error: 'invalid_time', message: `${field} must be an ISO-8601 timestamp` });
+      return null;
+    }
+  }
+
+  try {
+    return store.page(collection, { ...filter, since: query.since, until: query.until }, {
+      order: query.order || 'newest',
+      cursor: query.cursor || null,
+      limit
+    });
+  } catch (err) {
+    if (!(err instanceof CursorError)) throw err;
+    res.status(400).json({ error: 'invalid_cursor', message: err.message });
+    return null;
+  }
 }
 
-function saveReceipt(receipt) {
-  fs.writeFileSync(path.join(RECEIPTS_DIR, `${receipt.task_id}.json`), JSON.stringify(receipt, null, 2));
+function invalidTransition(res, task, to) {
+  return res.status(409).json({
+    error: 'invalid_transition',
+    message: `Cannot move task from ${task.status} to ${to}`,
+    status: task.status
+  });
+}
+
+// Re-read a task after a Lightning round-trip, carrying over the escrow
+// fields we just refreshed. If another request moved the task meanwhile,
+// answers 409 and returns null instead of saving over it.
+function reloadTask(task, res, to) {
+  const current = loadTask(task.task_id);
+  if (current.status !== task.status) {
+    invalidTransition(res, current, to);
+    return null;
+  }
+  return { ...current, escrow: task.escrow };
+}
+
+// Release the escrow of a task already saved in its terminal state, then
+// merge the outcome into the stored copy. Returns the stored copy.
+async function closeEscrow(task) {
+  await escrowManager.closeFor(task);
+  const current = { ...loadTask(task.task_id), escrow: task.escrow };
+  saveTask(current);
+  return current;
+}
+
+// With escrow on, work only starts or completes against locked funds.
+// Returns the re-read task if it may move on to `to`; otherwise answers
+// the request and returns null.
+async function checkEscrow(task, res, to) {
+  if (!task.escrow) {
+    if (!escrowManager.requiredAmount(task, manifest)) return task;
+    res.status(409).json({
+      error: 'escrow_not_funded',
+      message: 'Escrow is required; accept the task to issue the hold invoice',
+      escrow: null
+    });
+    return null;
+  }
+
+  try {
+    await escrowManager.refresh(task);
+  } catch (err) {
+    res.status(503).json({ error: 'escrow_unavailable', message: err.message });
+    return null;
+  }
+  const current = reloadTask(task, res, to);
+  if (!current) return null;
+  if (current.escrow.status === 'held') return current;
+
+  saveTask(current);
+  res.status(409).json({
+    error: 'escrow_not_funded',
+    message: `Escrow is ${current.escrow.status}; the requester must pay the hold invoice first`,
+    escrow: current.escrow
+  });
+  return null;
 }
 
+// Expire every open task whose deadline has passed. The expiry is saved
+// before the escrow cancel goes out, so a /complete landing meanwhile finds
+// the task terminal instead of being overwritten afterwards.
+async function expireOverdueTasks() {
+  const now = Date.now();
+  const overdue = store.find('tasks', { status: OPEN_STATES }).filter(t => isOverdue(t, now)).map(t => t.task_id);
+  for (const taskId of overdue) {
+    // Fresh copy: earlier iterations awaited the network
+    const task = loadTask(taskId);
+    if (!task || !canTransition(task.status, 'expired') || !isOverdue(task, now)) continue;
+
+    transition(task, 'expired', { by: 'system', reason: `Deadline ${task.deadline} passed` });
+    bondManager.settleFor(task);
+    saveTask(task);
+    console.log(`[EXPIRE] Task ${task.task_id} expired (deadline ${task.deadline})`);
+
+    notifyRequester(await closeEscrow(task));
+  }
+}
+
+// Rebuild the Merkle tree over all receipts (ordered by completion time) and
+// sign a new root if it changed. Proofs are served against the latest root.
+function anchorReceipts() {
+  const receipts = store.find('receipts').sort((a, b) =>
+    a.completion_timestamp.localeCompare(b.completion_timestamp) || a.task_id.localeCompare(b.task_id));
+  const leaves = receipts.map(receiptLeafHash);
+  const tree = new MerkleTree(leaves);
+
+  let root = receiptAnchor.root;
+  if (!root && fs.existsSync(RECEIPT_ROOT_FILE)) root = JSON.parse(fs.readFileSync(RECEIPT_ROOT_FILE, 'utf8'));
+  const changed = !root || root.agent_id !== agentKeys.publicKey || root.sig_version !== SIG_VERSION ||
+    root.root_hash !== tree.root() || root.tree_size !== tree.size;
+
+  if (changed) {
+    const rootData = versioned(rootSigningData({
+      agent_id: agentKeys.publicKey,
+      tree_alg: TREE_ALG,
+      leaf_format: LEAF_FORMAT,
+      tree_size: tree.size,
+      root_hash: tree.root(),
+      timestamp: new Date().toISOString()
+    }));
+    root = { ...rootData, signature: signMessage(rootData) };
+    writeJsonAtomic(RECEIPT_ROOT_FILE, root);
+    console.log(`[MERKLE] Signed receipt root ${root.root_hash.slice(0, 16)}... over ${tree.size} receipts`);
+  }
+
+  receiptAnchor = {
+    root,
+    tree,
+    index: new Map(receipts.map((r, i) => [r.task_id, { leaf_index: i, leaf_hash: leaves[i] }])),
+    nextAt: new Date(Date.now() + RECEIPT_ROOT_INTERVAL_MS).toISOString()
+  };
+
+  if (changed && tree.size && fs.existsSync(NOSTR_KEY_FILE)) {
+    require('./nostr-receipts').publishReceiptRoot(root)
+      .catch(err => console.error(`[MERKLE] Nostr publish failed: ${err.message}`));
+  }
+  return root;
+}
+
+function lastTransitionReason(task) {
+  const last = (task.history || []).at(-1);
+  return (last && last.reason) || task.rejection_reason || null;
+}
+
+// Send a signed status notification to the requester: queued for its
+// callback_url and/or DM'd if the task came over Nostr (if either)
+function notifyRequester(task) {
+  if (task.dvm && dvmBridge) {
+    dvmBridge.taskUpdated(task)
+      .catch(err => console.error(`[DVM] Could not report task ${task.task_id} (${task.status}): ${err.message}`));
+  }
+  const dm = task.transport && task.transport.type === 'nostr-dm' && nostrInbox;
+  if (!task.callback_url && !dm) return null;
+
+  const message = versioned({
+    task_id: task.task_id,
+    agent_id: agentKeys.publicKey,
+    status: task.status,
+    task_type: task.task_type,
+    result: task.status === 'completed' ? task.result : null,
+    receipt: task.receipt || null,
+    reason: lastTransitionReason(task),
+    counter_offer: task.status === 'negotiating' ? task.counter_offer : null,
+    escrow: task.escrow || null,
+    timestamp: new Date().toISOString()
+  });
+  const body = { ...message, signature: signMessage(message) };
+  if (dm) {
+    nostrInbox.sendStatus(task.transport.pubkey, body)
+      .catch(err => console.error(`[DM] Could not send ${task.status} for task ${task.task_id}: ${err.message}`));
+  }
+  if (!task.callback_url) return null;
+  return callbackQueue.enqueue(task.task_id, task.callback_url, task.status, body);
+}
+
+// Task system as seen by the NIP-90 bridge (see dvm-bridge.js). A job becomes
+// an ordinary pending task; the Nostr event stands in for the signed request.
+const dvmTasks = {
+  price: draft => taskPrice(draft),
+
+  submit(job, price) {
+    const { event, task_type, description, params } = job;
+    const task_id = `dvm-${event.id}`;
+    const existing = loadTask(task_id);
+    if (existing) return { task: existing, created: false };
+
+    if (!manifest.capabilities.some(c => c.type === task_type)) {
+      throw new Error(`This agent does not support task type: ${task_type}`);
+    }
+    if (schemaRegistry.loadError(task_type)) {
+      throw new Error(`Schema for ${task_type} could not be loaded; refusing unvalidated tasks`);
+    }
+    const paramsCheck = schemaRegistry.validateParams(task_type, params);
+    if (!paramsCheck.valid) {
+      const detail = paramsCheck.errors.map(e => `${e.path} ${e.message}`).join('; ');
+      throw new Error(`params do not match the ${task_type} input schema: ${detail}`);
+    }
+    const requester_id = `nostr:${event.pubkey}`;
+    if (!checkRateLimit(requester_id)) {
+      throw new Error(`Max ${RATE_MAX_REQUESTS} requests per ${RATE_WINDOW_MS / 1000}s per requester`);
+    }
+
+    const task = newTask({
+      task_id,
+      requester_id,
+      task_type,
+      description,
+      params,
+      payment_offer: { amount: price.amount, currency: price.currency },
+      nonce: event.id,
+      timestamp: new Date(event.created_at * 1000).toISOString(),
+      sig_alg: null,
+      sig_version: null,
+      signature: null
+    }, {
+      dvm: {
+        event_id: event.id,
+        pubkey: event.pubkey,
+        kind: event.kind,
+        encryption: encryptionOf(event), // replies are encrypted the same way
+        request: event,
+        invoice: null,
+        result_event_id: null,
+        error_reported: null
+      }
+    });
+    admitTask(task, price);
+    return { task, created: true };
+  },
+
+  update(taskId, dvm) {
+    const task = loadTask(taskId);
+    if (!task) return;
+    task.dvm = { ...task.dvm, ...dvm };
+    saveTask(task);
+  }
+};
+
+// Operator auth (signed requests from keys in the operator set)
+const requireOperator = createOperatorAuth({
+  operators: loadOperatorKeys(agentKeys.publicKey),
+  verifySignature,
+  schemeError: message => schemeError(message, legacyUntil()),
+  checkNonce: (nonce, timestamp) => nonces.check(nonce, timestamp)
+});
+
 // ─── Express App ─────────────────────────────────────────────────────
 const app = express();
 app.use(express.json({ limit: '1mb' }));
@@ -175,8 +697,8 @@ app.use(express.json({ limit: '1mb' }));
 // CORS for dev
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  res.header('Access-Control-Allow-Methods', 'GET, POST');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-AIP-Operator, X-AIP-Nonce, X-AIP-Timestamp, X-AIP-Sig-Alg, X-AIP-Sig-Version, X-AIP-Signature');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE');
   next();
 });
 
@@ -192,6 +714,62 @@ app.get('/manifest', (req, res) => {
   res.json(manifest);
 });
 
+// ─── Manifest admin (operator) ───────────────────────────────────────
+// Each edit is signed as a new manifest sequence, written to manifest.json
+// and republished to Nostr (debounced)
+function editManifest(res, edit, status = 200) {
+  try {
+    res.status(status).json(edit());
+  } catch (err) {
+    if (!(err instanceof ManifestError)) throw err;
+    res.status(err.status).json({ error: err.error, message: err.message });
+  }
+}
+
+// Edit agent_name, agent_description, pricing, spam_bond (objects are merged)
+app.patch('/manifest', requireOperator('manifest.update'), (req, res) => {
+  editManifest(res, () => manifestManager.updateFields(req.body));
+});
+
+app.post('/manifest/capabilities', requireOperator('manifest.capability.add'), (req, res) => {
+  editManifest(res, () => manifestManager.addCapability(req.body || {}), 201);
+});
+
+app.patch('/manifest/capabilities/:type', requireOperator('manifest.capability.update'), (req, res) => {
+  editManifest(res, () => manifestManager.updateCapability(req.params.type, req.body));
+});
+
+app.delete('/manifest/capabilities/:type', requireOperator('manifest.capability.remove'), (req, res) => {
+  editManifest(res, () => manifestManager.removeCapability(req.params.type));
+});
+
+// Last Nostr publish of the manifest, per relay
+app.get('/manifest/publish', requireOperator('manifest.publish_status'), (req, res) => {
+  const enabled = fs.existsSync(NOSTR_KEY_FILE);
+  res.json({
+    sequence: manifest.sequence,
+    nostr_enabled: enabled,
+    pending: enabled && !isPublished(manifest),
+    last_publish: lastManifestPublish()
+  });
+});
+
+// Capability schemas (target of each capability's schema_url)
+app.get('/schemas/:task_type.json', (req, res) => {
+  const doc = schemaRegistry.document(req.params.task_type);
+  if (!doc) return res.status(404).json({ error: 'not_found', message: 'No schema for this task type' });
+  res.json(doc);
+});
+
+// Key history: rotations linking past agent keys to the current one, and revocations
+app.get('/keys', (req, res) => {
+  res.json({
+    agent_id: agentKeys.publicKey,
+    key_history: manifest.key_history || [],
+    revoked_keys: manifest.revoked_keys || []
+  });
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -199,88 +777,314 @@ app.get('/health', (req, res) => {
     agent: manifest.agent_name,
     protocol_version: manifest.protocol_version,
     uptime: process.uptime(),
-    tasks_total: fs.readdirSync(TASKS_DIR).length,
-    receipts_total: fs.readdirSync(RECEIPTS_DIR).length
+    tasks_total: store.count('tasks'),
+    receipts_total: store.count('receipts')
   });
 });
 
 // ─── POST /inbox — Submit a task request ─────────────────────────────
-app.post('/inbox', (req, res) => {
-  const { task_id, requester_id, task_type, description, params,
-          payment_offer, callback_url, deadline, nonce, timestamp, signature } = req.body;
+app.post('/inbox', async (req, res) => {
+  const reply = await receiveTask(req.body, { authorization: req.get('Authorization') });
+  if (reply.headers) res.set(reply.headers);
+  res.status(reply.status).json(reply.body);
+});
+
+// Check and admit a task request, whichever transport it came over (HTTP
+// /inbox or a Nostr DM, see nostr-inbox.js). `transport` is recorded on the
+// task so status updates go back the same way.
+// Returns {status, body, headers} for the requester.
+async function receiveTask(request, { authorization = null, transport = null } = {}) {
+  const { task_id, requester_id, task_type, description, params, payment_offer, callback_url,
+          deadline, quote_id, nonce, timestamp, sig_alg, sig_version, signature } = request || {};
+  const reply = (status, body, headers = null) => ({ status, body, headers });
 
   // Validate required fields
   if (!task_id || !requester_id || !task_type || !description || !nonce || !timestamp || !signature) {
-    return res.status(400).json({
+    return reply(400, {
       error: 'missing_fields',
       message: 'Required: task_id, requester_id, task_type, description, nonce, timestamp, signature'
     });
   }
 
+  if (deadline && !(new Date(deadline).getTime() > Date.now())) {
+    return reply(400, {
+      error: 'invalid_deadline',
+      message: 'deadline must be an ISO-8601 timestamp in the future'
+    });
+  }
+
+  // No callbacks into our own network (SPEC §8, Callback Attacks)
+  const callbackError = callback_url ? callbackUrlError(callback_url) : null;
+  if (callbackError) {
+    return reply(400, { error: 'invalid_callback_url', message: callbackError });
+  }
+
   // Rate limiting
   if (!checkRateLimit(requester_id)) {
-    return res.status(429).json({
+    return reply(429, {
       error: 'rate_limited',
       message: `Max ${RATE_MAX_REQUESTS} requests per ${RATE_WINDOW_MS/1000}s per requester`
     });
   }
 
-  // Replay protection
-  if (!checkNonce(nonce, timestamp)) {
-    return res.status(400).json({
+  // Verify signature
+  const messageToVerify = { task_id, requester_id, task_type, description, params, payment_offer, callback_url, deadline, quote_id, nonce, timestamp, sig_alg, sig_version };
+  const sigErr = requestError(messageToVerify, signature, requester_id);
+  if (sigErr) return reply(sigErr.status, { error: sigErr.error, message: sigErr.message });
+
+  // Check capability match
+  const hasCapability = manifest.capabilities.some(c => c.type === task_type);
+  if (!hasCapability) {
+    return reply(404, {
+      error: 'capability_not_found',
+      message: `This agent does not support task type: ${task_type}`,
+      supported: manifest.capabilities.map(c => c.type)
+    });
+  }
+
+  // Validate params against the capability's input schema
+  if (schemaRegistry.loadError(task_type)) {
+    return reply(503, {
+      error: 'schema_unavailable',
+      message: `Schema for ${task_type} could not be loaded; refusing unvalidated tasks`
+    });
+  }
+  const paramsCheck = schemaRegistry.validateParams(task_type, params);
+  if (!paramsCheck.valid) {
+    return reply(400, {
+      error: 'invalid_params',
+      message: `params do not match the ${task_type} input schema`,
+      schema_url: `/schemas/${task_type}.json`,
+      errors: paramsCheck.errors
+    });
+  }
+
+  // A task_id names one task for good: a resubmission never replaces it
+  if (loadTask(task_id)) {
+    return reply(409, authorization
+      ? { error: 'l402_token_spent', message: `Task ${task_id} was already submitted with this token` }
+      : { error: 'task_exists', message: `Task ${task_id} already exists` });
+  }
+
+  // Replay protection, part one: checked before anything costs us (an L402
+  // invoice, a quote). The nonce is only consumed past the paywall, since
+  // the unpaid request is resubmitted as is with the token.
+  if (!nonces.fresh(nonce, timestamp)) {
+    return reply(400, {
       error: 'invalid_nonce',
       message: 'Nonce already seen or timestamp out of range (±5 minutes)'
     });
   }
 
-  // Verify signature
-  const messageToVerify = { task_id, requester_id, task_type, description, params, payment_offer, callback_url, deadline, nonce, timestamp };
-  if (!verifySignature(messageToVerify, signature, requester_id)) {
-    return res.status(401).json({
-      error: 'invalid_signature',
-      message: 'Signature verification failed'
+  // Referenced quote: ours, unexpired, unused, and for exactly this task
+  let quote = null;
+  if (quote_id) {
+    quote = store.get('quotes', quote_id);
+    const err = quoteError(quote, request, (data, sig) => verifySignature(data, sig, agentKeys.publicKey));
+    if (err) return reply(err.status, { error: err.error, message: err.message });
+  }
+
+  // L402 paywall. One challenge per signed request: a resubmission without
+  // the token gets the same macaroon back. Keyed by requester too, so one
+  // sender's nonce can't pick up another's challenge.
+  const challengeKey = `${requester_id}:${nonce}`;
+  let payment = null;
+  if (manifest.l402 && manifest.l402.required) {
+    if (!authorization) {
+      let issued = l402Challenges.get(challengeKey);
+      if (issued && (issued.task_id !== task_id || issued.task_type !== task_type)) {
+        return reply(400, {
+          error: 'invalid_nonce',
+          message: 'Nonce already used for a different task'
+        });
+      }
+      const fresh = !issued;
+      if (fresh) {
+        issued = {
+          at: Date.now(),
+          task_id,
+          task_type,
+          challenge: l402.challenge({
+            taskId: task_id,
+            taskType: task_type,
+            amount: taskPrice(request, quote).amount,
+            expirySeconds: manifest.l402.expiry_seconds || undefined
+          })
+        };
+        l402Challenges.set(challengeKey, issued);
+      }
+      let challenge;
+      try {
+        challenge = await issued.challenge;
+      } catch (err) {
+        l402Challenges.delete(challengeKey);
+        console.error(`[L402] Could not issue challenge: ${err.message}`);
+        return reply(503, { error: 'payment_unavailable', message: 'Could not create L402 invoice' });
+      }
+      if (fresh) console.log(`[L402] Challenge for task ${task_id}: ${challenge.amount_sats} sats`);
+
+      return reply(402, {
+        status: 'payment-required',
+        task_id,
+        message: `Pay the ${challenge.amount_sats} sat invoice, then resubmit with Authorization: L402 <macaroon>:<preimage>`,
+        l402: {
+          macaroon: challenge.macaroon,
+          invoice: challenge.invoice,
+          payment_hash: challenge.payment_hash,
+          amount_sats: challenge.amount_sats,
+          expires: challenge.expires
+        }
+      }, challenge.headers);
+    }
+
+    const auth = l402.authorize(authorization, { taskId: task_id, taskType: task_type });
+    if (!auth.valid) {
+      return reply(401, { error: 'invalid_l402', message: auth.error });
+    }
+    payment = {
+      method: 'l402',
+      amount_sats: auth.amount_sats,
+      payment_hash: auth.payment_hash,
+      preimage: auth.preimage,
+      paid_at: new Date().toISOString()
+    };
+  }
+
+  // Replay protection, part two: consume the nonce
+  if (!nonces.check(nonce, timestamp)) {
+    return reply(400, {
+      error: 'invalid_nonce',
+      message: 'Nonce already seen or timestamp out of range (±5 minutes)'
     });
   }
 
-  // Check capability match
-  const hasCapability = manifest.capabilities.some(c => c.type === task_type);
-  if (!hasCapability) {
+  l402Challenges.delete(challengeKey);
+
+  const task = newTask(request, {
+    quote: quote ? { quote_id, amount: quote.amount, currency: quote.currency, expires: quote.expires } : null,
+    payment,
+    transport
+  });
+
+  // Spam bond: hold the task until the bond invoice is paid. An L402
+  // payment already costs the sender, so it stands in for the bond.
+  const bondAmount = payment ? 0 : bondManager.requiredAmount(manifest);
+  if (bondAmount) {
+    task.status = 'awaiting-bond';
+    task.history[0].to = 'awaiting-bond';
+    try {
+      await bondManager.issue(task, bondAmount);
+    } catch (err) {
+      console.error(`[BOND] Could not issue bond invoice: ${err.message}`);
+      return reply(503, { error: 'bond_unavailable', message: 'Could not create spam bond invoice' });
+    }
+    // Another request for the same task_id or quote may have landed during the await
+    if (loadTask(task_id)) {
+      return reply(409, { error: 'task_exists', message: `Task ${task_id} already exists` });
+    }
+    if (quote) {
+      // Pruned while we waited: it had expired
+      const current = store.get('quotes', quote_id);
+      if (!current) {
+        return reply(410, { error: 'quote_expired', message: `Quote expired at ${quote.expires}; request a new one` });
+      }
+      if (current.used_by) {
+        return reply(409, { error: 'quote_used', message: `Quote already redeemed by task ${current.used_by}` });
+      }
+    }
+    saveTask(task);
+    redeemQuote(quote, task_id);
+
+    console.log(`[INBOX] Task ${task_id} awaiting ${bondAmount} sat spam bond`);
+    return reply(402, {
+      status: 'bond-required',
+      task_id,
+      message: `Pay the ${bondAmount} sat spam bond, then POST /tasks/${task_id}/bond`,
+      status_url: `/tasks/${task_id}/status`,
+      bond_url: `/tasks/${task_id}/bond`,
+      bond: { amount_sats: task.bond.amount_sats, payment_hash: task.bond.payment_hash, bolt11: task.bond.bolt11 }
+    });
+  }
+
+  const [code, body] = admitTask(task);
+  redeemQuote(quote, task_id);
+  return reply(code, body);
+}
+
+// Spend a quote once its task is saved, so a request that fails on the way
+// (e.g. no bond invoice) leaves it redeemable
+function redeemQuote(quote, taskId) {
+  if (!quote) return;
+  store.put('quotes', { ...quote, used_by: taskId });
+  console.log(`[QUOTE] Quote ${quote.quote_id} redeemed by task ${taskId}`);
+}
+
+// ─── POST /quote — Signed price for a draft task ─────────────────────
+app.post('/quote', (req, res) => {
+  const { requester_id, task_type, description, params, deadline, nonce, timestamp, sig_alg, sig_version, signature } = req.body || {};
+
+  if (!requester_id || !task_type || !description || !nonce || !timestamp || !signature) {
+    return res.status(400).json({
+      error: 'missing_fields',
+      message: 'Required: requester_id, task_type, description, nonce, timestamp, signature'
+    });
+  }
+  if (deadline && !(new Date(deadline).getTime() > Date.now())) {
+    return res.status(400).json({
+      error: 'invalid_deadline',
+      message: 'deadline must be an ISO-8601 timestamp in the future'
+    });
+  }
+  if (!checkRateLimit(requester_id)) {
+    return res.status(429).json({
+      error: 'rate_limited',
+      message: `Max ${RATE_MAX_REQUESTS} requests per ${RATE_WINDOW_MS/1000}s per requester`
+    });
+  }
+
+  const draft = { requester_id, task_type, description, params, deadline, nonce, timestamp, sig_alg, sig_version };
+  if (!verifyRequest(res, draft, signature, requester_id)) return;
+
+  if (!manifest.capabilities.some(c => c.type === task_type)) {
     return res.status(404).json({
       error: 'capability_not_found',
       message: `This agent does not support task type: ${task_type}`,
       supported: manifest.capabilities.map(c => c.type)
     });
   }
+  if (schemaRegistry.loadError(task_type)) {
+    return res.status(503).json({
+      error: 'schema_unavailable',
+      message: `Schema for ${task_type} could not be loaded; refusing unvalidated tasks`
+    });
+  }
+  const paramsCheck = schemaRegistry.validateParams(task_type, params);
+  if (!paramsCheck.valid) {
+    return res.status(400).json({
+      error: 'invalid_params',
+      message: `params do not match the ${task_type} input schema`,
+      schema_url: `/schemas/${task_type}.json`,
+      errors: paramsCheck.errors
+    });
+  }
+  if (!nonces.check(nonce, timestamp)) {
+    return res.status(400).json({
+      error: 'invalid_nonce',
+      message: 'Nonce already seen or timestamp out of range (±5 minutes)'
+    });
+  }
 
-  // Create task record
-  const task = {
-    task_id,
-    requester_id,
-    task_type,
-    description,
-    params: params || null,
-    payment_offer: payment_offer || null,
-    callback_url: callback_url || null,
-    deadline: deadline || null,
-    nonce,
-    timestamp,
-    status: 'pending',
-    created: new Date().toISOString(),
-    updated: new Date().toISOString(),
-    result: null,
-    receipt: null
-  };
-
-  saveTask(task);
-
-  console.log(`[INBOX] New task ${task_id} (${task_type}) from ${requester_id.slice(0, 12)}...`);
+  const quoteData = versioned(buildQuote({
+    agentId: agentKeys.publicKey,
+    draft,
+    price: taskPrice(draft),
+    ttlSeconds: (manifest.pricing && manifest.pricing.quote_ttl_seconds) || DEFAULT_QUOTE_TTL_S
+  }));
+  const quote = { ...quoteData, signature: signMessage(quoteData) };
+  store.put('quotes', { ...quote, used_by: null });
 
-  res.status(201).json({
-    status: 'accepted',
-    task_id,
-    message: 'Task received and queued for evaluation',
-    status_url: `/tasks/${task_id}/status`
-  });
+  console.log(`[QUOTE] ${quote.quote_id}: ${quote.amount} ${quote.currency} for ${task_type} (${requester_id.slice(0, 12)}...)`);
+  res.json(quote);
 });
 
 // ─── GET /tasks/:id/status — Pull-based status ──────────────────────
@@ -296,37 +1100,246 @@ app.get('/tasks/:id/status', (req, res) => {
     task_type: task.task_type,
     created: task.created,
     updated: task.updated,
+    deadline: task.deadline,
+    bond: task.bond || null,
+    payment: task.payment || null,
+    escrow: task.escrow || null,
+    progress: task.progress || null,
     result: task.status === 'completed' ? task.result : null,
-    receipt: task.receipt || null
+    receipt: task.receipt || null,
+    counter_offer: task.status === 'negotiating' ? task.counter_offer : null,
+    offers: task.offers || [],
+    history: task.history || []
   });
 });
 
-// ─── POST /tasks/:id/complete — Agent completes a task (internal) ───
-app.post('/tasks/:id/complete', (req, res) => {
-  // This endpoint is for the agent operator to mark tasks complete
-  // In production, this would be behind auth
+// ─── POST /tasks/:id/bond — Verify spam bond payment ────────────────
+app.post('/tasks/:id/bond', async (req, res) => {
   const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+  if (task.status !== 'awaiting-bond') {
+    return res.status(409).json({ error: 'not_awaiting_bond', status: task.status, bond: task.bond || null });
+  }
+
+  let paid;
+  try {
+    paid = await bondManager.verify(task);
+  } catch (err) {
+    return res.status(503).json({ error: 'bond_unavailable', message: err.message });
+  }
+  if (!paid) {
+    return res.status(402).json({
+      status: 'bond-required',
+      task_id: task.task_id,
+      message: 'Spam bond not paid yet',
+      bond: { amount_sats: task.bond.amount_sats, payment_hash: task.bond.payment_hash, bolt11: task.bond.bolt11 }
+    });
+  }
+
+  transition(task, 'pending', { by: 'system', reason: 'Spam bond paid' });
+  const [code, body] = admitTask(task);
+  res.status(code).json(body);
+});
+
+// ─── POST /tasks/:id/bond/refund — Requester claims a bond refund ───
+app.post('/tasks/:id/bond/refund', async (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+
+  const { bolt11, nonce, timestamp, sig_alg, sig_version, signature } = req.body || {};
+  if (!bolt11 || !nonce || !timestamp || !signature) {
+    return res.status(400).json({ error: 'missing_fields', message: 'Required: bolt11, nonce, timestamp, signature' });
+  }
+
+  // Signature first, so an unsigned body can't burn the requester's nonce
+  const messageToVerify = { task_id: task.task_id, action: 'bond_refund', bolt11, nonce, timestamp, sig_alg, sig_version };
+  if (!verifyRequest(res, messageToVerify, signature, task.requester_id)) return;
+
+  if (!nonces.check(nonce, timestamp)) {
+    return res.status(400).json({
+      error: 'invalid_nonce',
+      message: 'Nonce already seen or timestamp out of range (±5 minutes)'
+    });
+  }
+
+  if (!task.bond || task.bond.outcome !== 'refund_pending') {
+    return res.status(409).json({ error: 'no_refund', bond: task.bond || null });
+  }
+
+  let refund;
+  try {
+    refund = await bondManager.payRefund(task, bolt11);
+  } catch (err) {
+    return res.status(400).json({ error: 'refund_rejected', message: err.message });
+  }
+  saveTask(task);
+
+  res.status(refund.status === 'paid' ? 200 : 502).json({ status: refund.status, task_id: task.task_id, refund });
+});
+
+// ─── POST /tasks/:id/counter-offer — Agent proposes new terms (operator)
+app.post('/tasks/:id/counter-offer', requireOperator('task.counter_offer'), (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+
+  if (!canTransition(task.status, 'negotiating')) return invalidTransition(res, task, 'negotiating');
+
+  const { payment_offer, deadline, params, description, message } = req.body || {};
+  if (payment_offer === undefined && deadline === undefined && params === undefined && description === undefined) {
+    return res.status(400).json({
+      error: 'missing_terms',
+      message: 'Provide at least one of: payment_offer, deadline, params, description'
+    });
+  }
+
+  if (params !== undefined) {
+    const paramsCheck = schemaRegistry.validateParams(task.task_type, params);
+    if (!paramsCheck.valid) {
+      return res.status(400).json({ error: 'invalid_params', errors: paramsCheck.errors });
+    }
+  }
+
+  // Older task records predate offer history
+  task.offers = task.offers || [];
+  const counter = issueCounterOffer(task, { payment_offer, deadline, params, description }, message);
+  saveTask(task);
+  notifyRequester(task);
+
+  console.log(`[NEGOTIATE] Counter-offer r${counter.revision} on task ${task.task_id}`);
+  res.json({ status: 'counter-offer', task_id: task.task_id, counter_offer: counter });
+});
+
+// ─── POST /tasks/:id/respond — Requester accepts/declines a counter-offer
+app.post('/tasks/:id/respond', (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+
+  const { revision, decision, nonce, timestamp, sig_alg, sig_version, signature } = req.body || {};
+  if (revision === undefined || !decision || !nonce || !timestamp || !signature) {
+    return res.status(400).json({
+      error: 'missing_fields',
+      message: 'Required: revision, decision, nonce, timestamp, signature'
+    });
+  }
+  if (!['accept', 'decline'].includes(decision)) {
+    return res.status(400).json({ error: 'invalid_decision', message: 'decision must be "accept" or "decline"' });
+  }
+
+  // Signature first, so an unsigned body can't burn the requester's nonce
+  const messageToVerify = { task_id: task.task_id, revision, decision, nonce, timestamp, sig_alg, sig_version };
+  if (!verifyRequest(res, messageToVerify, signature, task.requester_id)) return;
+
+  if (!nonces.check(nonce, timestamp)) {
+    return res.status(400).json({
+      error: 'invalid_nonce',
+      message: 'Nonce already seen or timestamp out of range (±5 minutes)'
+    });
+  }
+
+  const counter = task.counter_offer;
+  if (task.status !== 'negotiating' || !counter) {
+    return res.status(409).json({ error: 'no_open_offer', message: 'Task has no open counter-offer' });
+  }
+  if (revision !== counter.revision) {
+    return res.status(409).json({
+      error: 'stale_revision',
+      message: `Latest counter-offer is revision ${counter.revision}`,
+      counter_offer: counter
+    });
+  }
+  if (new Date(counter.expires).getTime() < Date.now()) {
+    return res.status(410).json({ error: 'offer_expired', message: `Counter-offer expired at ${counter.expires}` });
+  }
+
+  task.offers.push({
+    by: 'requester',
+    revision: task.offers.length,
+    in_response_to: revision,
+    decision,
+    timestamp,
+    nonce,
+    sig_alg,
+    sig_version,
+    signature
+  });
+  task.counter_offer = null;
+
+  if (decision === 'accept') {
+    task.payment_offer = counter.payment_offer;
+    task.deadline = counter.deadline;
+    task.params = counter.params;
+    task.description = counter.description;
+    transition(task, 'pending', { by: 'requester', reason: `Accepted counter-offer r${revision}` });
+  } else {
+    transition(task, 'declined', { by: 'requester', reason: `Declined counter-offer r${revision}` });
+    bondManager.settleFor(task);
+  }
+  saveTask(task);
+
+  const outcome = decision === 'accept' ? 'accepted' : 'declined';
+  console.log(`[NEGOTIATE] Requester ${outcome} r${revision} on task ${task.task_id}`);
+  res.json({
+    status: outcome,
+    task_id: task.task_id,
+    status_url: `/tasks/${task.task_id}/status`
+  });
+});
+
+// ─── POST /tasks/:id/complete — Agent completes a task (operator) ───
+app.post('/tasks/:id/complete', requireOperator('task.complete'), async (req, res) => {
+  let task = loadTask(req.params.id);
   if (!task) {
     return res.status(404).json({ error: 'not_found' });
   }
+  if (!canTransition(task.status, 'completed')) return invalidTransition(res, task, 'completed');
 
   const { result, payment_proof } = req.body;
   if (!result) {
     return res.status(400).json({ error: 'missing_result' });
   }
 
+  const resultCheck = schemaRegistry.validateResult(task.task_type, result);
+  if (!resultCheck.valid) {
+    return res.status(422).json({
+      error: 'invalid_result',
+      message: `result does not match the ${task.task_type} output schema`,
+      errors: resultCheck.errors
+    });
+  }
+
+  // Claim the escrowed payment; its preimage is the payment proof
+  task = await checkEscrow(task, res, 'completed');
+  if (!task) return;
+  let escrowPreimage = null;
+  if (task.escrow) {
+    try {
+      escrowPreimage = await escrowManager.settle(task);
+    } catch (err) {
+      console.error(`[ESCROW] Settle failed for task ${task.task_id}: ${err.message}`);
+      return res.status(502).json({ error: 'escrow_settle_failed', message: err.message });
+    }
+    const settled = task;
+    task = reloadTask(settled, res, 'completed');
+    if (!task) {
+      // Moved on while we claimed the funds: keep the record of the settle
+      saveTask({ ...loadTask(settled.task_id), escrow: settled.escrow });
+      console.error(`[ESCROW] Task ${settled.task_id} settled after it left ${settled.status}`);
+      return;
+    }
+  }
+
   // Build receipt
-  const resultHash = crypto.createHash('sha256').update(JSON.stringify(result)).digest('hex');
+  const resultHash = hashResult(result);
   
-  const receiptData = {
+  const receiptData = receiptSigningData(versioned({
     task_id: task.task_id,
     requester_id: task.requester_id,
     agent_id: agentKeys.publicKey,
     task_type: task.task_type,
     completion_timestamp: new Date().toISOString(),
     result_hash: resultHash,
-    payment_proof: payment_proof || null
-  };
+    payment_proof: escrowPreimage || payment_proof || (task.payment && task.payment.preimage) || null
+  }));
 
   const receipt = {
     ...receiptData,
@@ -334,16 +1347,15 @@ app.post('/tasks/:id/complete', (req, res) => {
   };
 
   // Update task
-  task.status = 'completed';
   task.result = result;
   task.receipt = receipt;
-  task.updated = new Date().toISOString();
-  saveTask(task);
-  saveReceipt(receipt);
+  transition(task, 'completed', { by: 'agent' });
+  bondManager.settleFor(task);
+  saveTaskWithReceipt(task);
 
   console.log(`[COMPLETE] Task ${task.task_id} completed. Receipt hash: ${resultHash.slice(0, 16)}...`);
 
-  // TODO: POST result to callback_url if set (with retry queue)
+  notifyRequester(task);
 
   res.json({
     status: 'completed',
@@ -352,69 +1364,394 @@ app.post('/tasks/:id/complete', (req, res) => {
   });
 });
 
-// ─── POST /tasks/:id/reject — Reject a task ─────────────────────────
-app.post('/tasks/:id/reject', (req, res) => {
+// ─── POST /tasks/:id/reject — Reject a task (operator) ──────────────
+app.post('/tasks/:id/reject', requireOperator('task.reject'), async (req, res) => {
   const task = loadTask(req.params.id);
   if (!task) return res.status(404).json({ error: 'not_found' });
+  if (!canTransition(task.status, 'rejected')) return invalidTransition(res, task, 'rejected');
 
-  task.status = 'rejected';
-  task.updated = new Date().toISOString();
-  task.rejection_reason = req.body.reason || 'No reason given';
+  // `spam: true` burns the spam bond; any other rejection queues a refund
+  task.rejection_reason = (req.body && req.body.reason) || 'No reason given';
+  task.rejected_as_spam = Boolean(req.body && req.body.spam);
+  transition(task, 'rejected', { by: 'agent', reason: task.rejection_reason });
+  bondManager.settleFor(task);
   saveTask(task);
 
-  console.log(`[REJECT] Task ${task.task_id} rejected: ${task.rejection_reason}`);
-  res.json({ status: 'rejected', task_id: task.task_id, reason: task.rejection_reason });
+  console.log(`[REJECT] Task ${task.task_id} rejected${task.rejected_as_spam ? ' as spam' : ''}: ${task.rejection_reason}`);
+  const current = await closeEscrow(task);
+  notifyRequester(current);
+  res.json({
+    status: 'rejected',
+    task_id: current.task_id,
+    reason: current.rejection_reason,
+    spam: current.rejected_as_spam,
+    bond_outcome: current.bond ? current.bond.outcome : null
+  });
+});
+
+// ─── POST /tasks/:id/accept — Agent commits to the task (operator) ──
+app.post('/tasks/:id/accept', requireOperator('task.accept'), async (req, res) => {
+  let task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+  if (!canTransition(task.status, 'accepted')) return invalidTransition(res, task, 'accepted');
+
+  // Escrow: the requester locks the fee in a hold invoice before work starts
+  const escrowAmount = escrowManager.requiredAmount(task, manifest);
+  if (escrowAmount && !task.escrow) {
+    try {
+      await escrowManager.open(task, escrowAmount, {
+        expiry: manifest.escrow.invoice_expiry_seconds,
+        cltv_expiry: manifest.escrow.cltv_expiry
+      });
+    } catch (err) {
+      console.error(`[ESCROW] Could not issue hold invoice: ${err.message}`);
+      return res.status(503).json({ error: 'escrow_unavailable', message: 'Could not create escrow hold invoice' });
+    }
+    task = reloadTask(task, res, 'accepted');
+    if (!task) return;
+  }
+
+  transition(task, 'accepted', { by: 'agent', reason: (req.body && req.body.message) || null });
+  bondManager.settleFor(task);
+  saveTask(task);
+  notifyRequester(task);
+
+  console.log(`[ACCEPT] Task ${task.task_id} accepted`);
+  res.json({ status: task.status, task_id: task.task_id, escrow: task.escrow || null });
+});
+
+// ─── POST /tasks/:id/escrow — Check whether the escrow is funded ────
+app.post('/tasks/:id/escrow', async (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+  if (!task.escrow) return res.status(404).json({ error: 'no_escrow', message: 'Task has no escrow' });
+
+  try {
+    await escrowManager.refresh(task);
+  } catch (err) {
+    return res.status(503).json({ error: 'escrow_unavailable', message: err.message });
+  }
+  // A transition meanwhile may have cancelled the invoice; don't save over it
+  let current = loadTask(task.task_id);
+  if (current.status === task.status) {
+    current = { ...current, escrow: task.escrow };
+    saveTask(current);
+  }
+  res.json({ task_id: current.task_id, status: current.status, escrow: current.escrow });
+});
+
+// ─── POST /tasks/:id/start — Work begins (operator) ─────────────────
+app.post('/tasks/:id/start', requireOperator('task.start'), async (req, res) => {
+  let task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+  if (!canTransition(task.status, 'in-progress')) return invalidTransition(res, task, 'in-progress');
+  task = await checkEscrow(task, res, 'in-progress');
+  if (!task) return;
+
+  transition(task, 'in-progress', { by: 'agent', reason: (req.body && req.body.message) || null });
+  task.progress = { percent: 0, message: null, at: task.updated };
+  bondManager.settleFor(task);
+  saveTask(task);
+  notifyRequester(task);
+
+  console.log(`[START] Task ${task.task_id} in progress`);
+  res.json({ status: task.status, task_id: task.task_id });
+});
+
+// ─── POST /tasks/:id/progress — Progress update (operator) ──────────
+app.post('/tasks/:id/progress', requireOperator('task.progress'), (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+  if (task.status !== 'in-progress') {
+    return res.status(409).json({
+      error: 'invalid_transition',
+      message: `Progress can only be reported for in-progress tasks (status: ${task.status})`,
+      status: task.status
+    });
+  }
+
+  const { percent, message } = req.body || {};
+  if (percent !== undefined && !(typeof percent === 'number' && percent >= 0 && percent <= 100)) {
+    return res.status(400).json({ error: 'invalid_percent', message: 'percent must be a number between 0 and 100' });
+  }
+
+  task.progress = {
+    percent: percent !== undefined ? percent : (task.progress && task.progress.percent) || 0,
+    message: message || null,
+    at: new Date().toISOString()
+  };
+  task.updated = task.progress.at;
+  saveTask(task);
+
+  res.json({ status: task.status, task_id: task.task_id, progress: task.progress });
+});
+
+// ─── POST /tasks/:id/fail — Work could not be finished (operator) ───
+app.post('/tasks/:id/fail', requireOperator('task.fail'), async (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+  if (!canTransition(task.status, 'failed')) return invalidTransition(res, task, 'failed');
+
+  const reason = (req.body && req.body.reason) || 'No reason given';
+  transition(task, 'failed', { by: 'agent', reason });
+  saveTask(task);
+  notifyRequester(await closeEscrow(task));
+
+  console.log(`[FAIL] Task ${task.task_id} failed: ${reason}`);
+  res.json({ status: task.status, task_id: task.task_id, reason });
+});
+
+// ─── POST /tasks/:id/cancel — Requester withdraws the task (signed) ─
+app.post('/tasks/:id/cancel', async (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+
+  const { reason, nonce, timestamp, sig_alg, sig_version, signature } = req.body || {};
+  if (!nonce || !timestamp || !signature) {
+    return res.status(400).json({ error: 'missing_fields', message: 'Required: nonce, timestamp, signature' });
+  }
+
+  // Signature first, so an unsigned body can't burn the requester's nonce
+  const messageToVerify = { task_id: task.task_id, action: 'cancel', reason: reason || null, nonce, timestamp, sig_alg, sig_version };
+  if (!verifyRequest(res, messageToVerify, signature, task.requester_id)) return;
+
+  if (!nonces.check(nonce, timestamp)) {
+    return res.status(400).json({
+      error: 'invalid_nonce',
+      message: 'Nonce already seen or timestamp out of range (±5 minutes)'
+    });
+  }
+
+  if (!canTransition(task.status, 'cancelled')) return invalidTransition(res, task, 'cancelled');
+
+  transition(task, 'cancelled', { by: 'requester', reason: reason || null });
+  task.counter_offer = null;
+  bondManager.settleFor(task);
+  saveTask(task);
+  notifyRequester(await closeEscrow(task));
+
+  console.log(`[CANCEL] Task ${task.task_id} cancelled by requester`);
+  res.json({ status: task.status, task_id: task.task_id });
+});
+
+// ─── POST /tasks/:id/countersign — Requester co-signs the receipt ───
+app.post('/tasks/:id/countersign', (req, res) => {
+  const task = loadTask(req.params.id);
+  if (!task) return res.status(404).json({ error: 'not_found' });
+  if (task.status !== 'completed' || !task.receipt) {
+    return res.status(409).json({ error: 'no_receipt', message: 'Task has no receipt to countersign' });
+  }
+  if (task.receipt.requester_id === task.receipt.agent_id) {
+    return res.status(409).json({ error: 'self_countersign', message: 'The agent cannot countersign its own receipt' });
+  }
+
+  const { requester_signature } = req.body || {};
+  if (!requester_signature) {
+    return res.status(400).json({ error: 'missing_fields', message: 'Required: requester_signature' });
+  }
+
+  const receiptData = receiptSigningData(task.receipt);
+  if (!verifySignature(receiptData, requester_signature, task.requester_id)) {
+    return res.status(401).json({
+      error: 'invalid_signature',
+      message: 'requester_signature does not verify against requester_id over the receipt data'
+    });
+  }
+
+  if (task.receipt.requester_signature && task.receipt.requester_signature !== requester_signature) {
+    return res.status(409).json({ error: 'already_countersigned', receipt: task.receipt });
+  }
+
+  task.receipt = { ...task.receipt, requester_signature };
+  task.updated = new Date().toISOString();
+  saveTaskWithReceipt(task);
+
+  console.log(`[RECEIPT] Task ${task.task_id} receipt countersigned by requester`);
+  res.json({ status: 'countersigned', task_id: task.task_id, receipt: task.receipt });
 });
 
 // ─── GET /receipts — Reputation query ────────────────────────────────
 app.get('/receipts', (req, res) => {
-  const { agent_id, task_type, limit } = req.query;
-  const files = fs.readdirSync(RECEIPTS_DIR).filter(f => f.endsWith('.json'));
-  
-  let receipts = files.map(f => JSON.parse(fs.readFileSync(path.join(RECEIPTS_DIR, f), 'utf8')));
+  const { agent_id, requester_id, task_type, payment_status, countersigned } = req.query;
+  const filter = { agent_id, requester_id, task_type, payment_status, countersigned };
+  const page = listPage(res, 'receipts', req.query, filter);
+  if (!page) return;
 
-  if (agent_id) receipts = receipts.filter(r => r.agent_id === agent_id);
-  if (task_type) receipts = receipts.filter(r => r.task_type === task_type);
-  
-  receipts.sort((a, b) => new Date(b.completion_timestamp) - new Date(a.completion_timestamp));
-  
-  if (limit) receipts = receipts.slice(0, parseInt(limit));
+  // Dual-signed receipts are strong reputation; agent-only receipts are weak.
+  // Both counts cover every match, not just this page.
+  const matchFilter = { ...filter, since: req.query.since, until: req.query.until };
+  const strong = countersigned === 'false' ? 0 : store.count('receipts', { ...matchFilter, countersigned: 'true' });
 
   res.json({
     agent_id: agentKeys.publicKey,
-    total: receipts.length,
-    receipts
+    total: page.total,
+    count: page.records.length,
+    strong,
+    weak: page.total - strong,
+    has_more: page.has_more,
+    next_cursor: page.next_cursor,
+    receipts: page.records
+  });
+});
+
+// ─── GET /receipts/root — Latest signed Merkle root over all receipts ─
+app.get('/receipts/root', (req, res) => {
+  res.json({ ...receiptAnchor.root, next_root_at: receiptAnchor.nextAt });
+});
+
+// ─── GET /receipts/:task_id/proof — Inclusion proof for one receipt ─
+app.get('/receipts/:task_id/proof', (req, res) => {
+  const receipt = store.get('receipts', req.params.task_id);
+  if (!receipt) return res.status(404).json({ error: 'not_found', message: 'No receipt for this task' });
+
+  // New or just-countersigned receipts wait for the next root
+  const entry = receiptAnchor.index.get(receipt.task_id);
+  if (!entry || entry.leaf_hash !== receiptLeafHash(receipt)) {
+    return res.status(409).json({
+      error: 'not_yet_anchored',
+      message: 'Receipt is not under the current signed root yet',
+      next_root_at: receiptAnchor.nextAt
+    });
+  }
+
+  // Receipts signed before a key rotation link to the root's key via key_history
+  const root = receiptAnchor.root;
+  const keyChain = receipt.agent_id === root.agent_id ? null : rotationChain(manifest.key_history, receipt.agent_id, root.agent_id);
+
+  res.json({
+    task_id: receipt.task_id,
+    leaf_index: entry.leaf_index,
+    leaf_hash: entry.leaf_hash,
+    audit_path: receiptAnchor.tree.proof(entry.leaf_index),
+    receipt,
+    root,
+    ...(keyChain && { key_history: keyChain })
   });
 });
 
 // ─── GET /tasks — List tasks (for agent operator) ───────────────────
-app.get('/tasks', (req, res) => {
-  const { status, limit } = req.query;
-  const files = fs.readdirSync(TASKS_DIR).filter(f => f.endsWith('.json'));
-  
-  let tasks = files.map(f => {
-    const t = JSON.parse(fs.readFileSync(path.join(TASKS_DIR, f), 'utf8'));
-    // Don't leak full result in list view
-    return {
-      task_id: t.task_id,
-      requester_id: t.requester_id,
-      task_type: t.task_type,
-      description: t.description.slice(0, 200),
-      status: t.status,
-      created: t.created,
-      updated: t.updated
-    };
+app.get('/tasks', requireOperator('task.list'), (req, res) => {
+  const { status, requester_id, task_type, payment_status } = req.query;
+  const page = listPage(res, 'tasks', req.query, { status, requester_id, task_type, payment_status });
+  if (!page) return;
+
+  // Don't leak full result in list view
+  const tasks = page.records.map(t => ({
+    task_id: t.task_id,
+    requester_id: t.requester_id,
+    task_type: t.task_type,
+    description: t.description.slice(0, 200),
+    status: t.status,
+    payment_status: COLLECTIONS.tasks.derived.payment_status(t),
+    created: t.created,
+    updated: t.updated
+  }));
+
+  res.json({
+    total: page.total,
+    count: tasks.length,
+    has_more: page.has_more,
+    next_cursor: page.next_cursor,
+    tasks
   });
+});
 
-  if (status) tasks = tasks.filter(t => t.status === status);
-  tasks.sort((a, b) => new Date(b.created) - new Date(a.created));
-  if (limit) tasks = tasks.slice(0, parseInt(limit));
+// ─── GET /callbacks — Inspect callback deliveries (for agent operator) ─
+app.get('/callbacks', requireOperator('callback.list'), (req, res) => {
+  const { status, task_id, limit } = req.query;
+  let deliveries = callbackQueue.list({ status, task_id });
 
-  res.json({ total: tasks.length, tasks });
+  // "stuck" = still pending but has already failed at least once
+  if (req.query.stuck === 'true') deliveries = deliveries.filter(d => d.status === 'pending' && d.attempts > 0);
+  if (limit) deliveries = deliveries.slice(0, parseInt(limit));
+
+  res.json({ total: deliveries.length, deliveries });
+});
+
+// ─── POST /callbacks/:id/retry — Manually retry a delivery ──────────
+app.post('/callbacks/:id/retry', requireOperator('callback.retry'), (req, res) => {
+  const delivery = callbackQueue.retry(req.params.id);
+  if (!delivery) return res.status(404).json({ error: 'not_found' });
+  if (delivery.status === 'delivered') {
+    return res.status(409).json({ error: 'already_delivered', delivery_id: delivery.delivery_id });
+  }
+  res.json({ status: 'requeued', delivery });
+});
+
+// ─── GET /nostr/outbox — Nostr publish outbox and relays (for agent operator) ─
+app.get('/nostr/outbox', requireOperator('nostr.outbox.list'), (req, res) => {
+  const { status, kind, limit } = req.query;
+  let events = relayPool.list({ status, kind });
+  if (limit) events = events.slice(0, parseInt(limit));
+  res.json({
+    relays: relayPool.relays,
+    quorum: relayPool.quorum,
+    connections: relayPool.status(),
+    total: events.length,
+    events
+  });
+});
+
+// ─── POST /nostr/outbox/:id/retry — Retry an event short of its quorum ─
+app.post('/nostr/outbox/:id/retry', requireOperator('nostr.outbox.retry'), async (req, res) => {
+  const record = await relayPool.retry(req.params.id);
+  if (!record) return res.status(404).json({ error: 'not_found' });
+  res.json({ status: record.status === 'sent' ? 'sent' : 'requeued', event: record });
+});
+
+// ─── GET /refunds — Queued spam bond refunds (for agent operator) ────
+app.get('/refunds', requireOperator('refund.list'), (req, res) => {
+  const refunds = bondManager.listRefunds({ status: req.query.status });
+  res.json({ total: refunds.length, refunds });
 });
 
 // ─── Start ───────────────────────────────────────────────────────────
-app.listen(PORT, () => {
+// Start, stop or reconfigure the NIP-90 bridge to match manifest.dvm
+function syncDVMBridge() {
+  const enabled = Boolean(manifest.dvm && manifest.dvm.enabled);
+  if (dvmBridge && !enabled) {
+    dvmBridge.stop();
+    dvmBridge = null;
+  } else if (dvmBridge) {
+    dvmBridge.configure(manifest);
+  } else if (enabled) {
+    const keys = loadNostrKeys();
+    if (!keys) return console.warn('[DVM] manifest.dvm.enabled but no nostr-keys.json. Run: node nostr-publish.js --generate-key');
+    dvmBridge = new DVMBridge(Uint8Array.from(Buffer.from(keys.secretKey, 'hex')), manifest.dvm.relays,
+      { manifest, tasks: dvmTasks, pool: relayPool });
+    dvmBridge.start().catch(err => console.error(`[DVM] Bridge failed to start: ${err.message}`));
+  }
+}
+
+// Start, stop or restart the Nostr DM inbox to match manifest.nostr_inbox
+function syncNostrInbox() {
+  const config = manifest.nostr_inbox || {};
+  const relays = config.relays || relayPool.relays;
+  if (nostrInbox && (!config.enabled || nostrInbox.relays.join() !== relays.join())) {
+    nostrInbox.stop();
+    nostrInbox = null;
+  }
+  if (!config.enabled || nostrInbox) return;
+  const keys = loadNostrKeys();
+  if (!keys) return console.warn('[DM] manifest.nostr_inbox.enabled but no nostr-keys.json. Run: node nostr-publish.js --generate-key');
+  nostrInbox = new NostrInbox(keys.secretKey, relays, { receive: receiveTask, pool: relayPool });
+  nostrInbox.start().catch(err => console.error(`[DM] Inbox failed to start: ${err.message}`));
+}
+
+schemaRegistry.load(manifest.capabilities).then(() => app.listen(PORT, () => {
+  callbackQueue.start();
+  relayPool.start();
+  manifestManager.watch();
+  if (fs.existsSync(NOSTR_KEY_FILE)) manifestPublisher.schedule(manifest);
+  listening = true;
+  syncDVMBridge();
+  syncNostrInbox();
+  anchorReceipts();
+  setInterval(anchorReceipts, RECEIPT_ROOT_INTERVAL_MS);
+  expireOverdueTasks();
+  setInterval(expireOverdueTasks, EXPIRY_SWEEP_MS);
+  pruneQuotes();
+  setInterval(pruneQuotes, QUOTE_PRUNE_MS);
   console.log(`
 ╔══════════════════════════════════════════════════════════════╗
 ║  AIP Server v0.1 — Agent Inbox Protocol                     ║
@@ -423,18 +1760,34 @@ app.listen(PORT, () => {
 ║  Agent:    ${manifest.agent_name.padEnd(48)}║
 ║  Port:     ${String(PORT).padEnd(48)}║
 ║  Key:      ${agentKeys.publicKey.slice(0, 20)}...${' '.repeat(25)}║
-║  Tasks:    ${String(fs.readdirSync(TASKS_DIR).length).padEnd(48)}║
-║  Receipts: ${String(fs.readdirSync(RECEIPTS_DIR).length).padEnd(48)}║
+║  Tasks:    ${String(store.count('tasks')).padEnd(48)}║
+║  Receipts: ${String(store.count('receipts')).padEnd(48)}║
 ╠══════════════════════════════════════════════════════════════╣
 ║  Endpoints:                                                  ║
 ║    GET  /.well-known/agent.json  — Agent manifest            ║
 ║    POST /inbox                   — Submit task request       ║
 ║    GET  /tasks/:id/status        — Check task status         ║
+║    POST /tasks/:id/counter-offer — Propose new terms         ║
+║    POST /tasks/:id/respond       — Accept/decline offer      ║
 ║    GET  /tasks                   — List all tasks            ║
 ║    POST /tasks/:id/complete      — Mark task complete        ║
 ║    POST /tasks/:id/reject        — Reject task               ║
+║    POST /tasks/:id/accept        — Accept task               ║
+║    POST /tasks/:id/start         — Start work                ║
+║    POST /tasks/:id/progress      — Report progress           ║
+║    POST /tasks/:id/fail          — Mark task failed          ║
+║    POST /tasks/:id/cancel        — Requester cancels task    ║
+║    POST /tasks/:id/countersign   — Requester signs receipt   ║
+║    POST /tasks/:id/bond          — Verify spam bond          ║
+║    POST /tasks/:id/bond/refund   — Claim bond refund         ║
+║    GET  /refunds                 — Queued bond refunds       ║
 ║    GET  /receipts                — Query reputation          ║
+║    GET  /callbacks               — Callback delivery queue   ║
+║    POST /callbacks/:id/retry     — Retry a delivery          ║
+║    GET  /nostr/outbox            — Nostr publish outbox      ║
+║    POST /nostr/outbox/:id/retry  — Retry a Nostr event       ║
+║    GET  /schemas/:type.json      — Capability schemas        ║
 ║    GET  /health                  — Health check              ║
 ╚══════════════════════════════════════════════════════════════╝
   `);
-});
+}));
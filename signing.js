@@ -0,0 +1,136 @@
+/**
+ * signing.js — Canonical Ed25519 signatures (SPEC §3)
+ *
+ * Signed messages name their scheme in two fields that are part of the
+ * signed data:
+ *
+ *   sig_alg: "ed25519", sig_version: 1
+ *     → Ed25519 over the RFC 8785 (JCS) canonical form of the message:
+ *       object keys sorted, no whitespace, ES number/string formatting.
+ *       Any client can reproduce the bytes regardless of field order.
+ *
+ * Messages with neither field are v0.1 legacy signatures, over
+ * JSON.stringify(message) in the field order each endpoint documents.
+ * They verify for as long as the agent still accepts them (see
+ * manifest.signing.legacy_until).
+ */
+
+const nacl = require('tweetnacl');
+const { decodeBase64, encodeBase64 } = require('tweetnacl-util');
+
+const SIG_ALG = 'ed25519';
+const SIG_VERSION = 1;
+
+/**
+ * RFC 8785 JSON Canonicalization Scheme. Members that JSON.stringify would
+ * drop (undefined, functions) are dropped here too.
+ * @returns {string}
+ * @throws {Error} on values JSON can't represent (NaN, Infinity, BigInt)
+ */
+function canonicalize(value) {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error('Cannot canonicalize a non-finite number');
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'object' && typeof value.toJSON === 'function') return canonicalize(value.toJSON());
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined || typeof v === 'function' ? 'null' : canonicalize(v))).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    // Default sort compares UTF-16 code units, as JCS requires
+    const members = Object.keys(value).sort()
+      .filter(k => value[k] !== undefined && typeof value[k] !== 'function')
+      .map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`);
+    return `{${members.join(',')}}`;
+  }
+  throw new Error(`Cannot canonicalize a ${typeof value}`);
+}
+
+/**
+ * @returns {boolean} true for an unversioned (v0.1) message
+ */
+function isLegacy(message) {
+  return message.sig_alg === undefined && message.sig_version === undefined;
+}
+
+/**
+ * @returns {boolean} true if the message's scheme is one we can verify
+ */
+function isSupported(message) {
+  return isLegacy(message) || (message.sig_alg === SIG_ALG && message.sig_version === SIG_VERSION);
+}
+
+/**
+ * Stamp a message with the current scheme (before signing it)
+ */
+function versioned(message) {
+  return { ...message, sig_alg: SIG_ALG, sig_version: SIG_VERSION };
+}
+
+/**
+ * The exact bytes a signature covers
+ * @throws {Error} on an unsupported sig_alg/sig_version
+ */
+function signingBytes(message) {
+  if (isLegacy(message)) return new TextEncoder().encode(JSON.stringify(message));
+  if (!isSupported(message)) {
+    throw new Error(`Unsupported signature scheme ${message.sig_alg}/${message.sig_version}`);
+  }
+  return new TextEncoder().encode(canonicalize(message));
+}
+
+/**
+ * Sign a message under the scheme it names (stamp it with versioned() first)
+ * @param {Object} message - Message to sign
+ * @param {string} secretKey - Base64 Ed25519 secret key
+ * @returns {string} Base64 signature
+ */
+function signMessage(message, secretKey) {
+  return encodeBase64(nacl.sign.detached(signingBytes(message), decodeBase64(secretKey)));
+}
+
+/**
+ * Verify an Ed25519 signature under the scheme the message names
+ * @param {Object} message - Signed object
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKey - Base64 public key
+ * @returns {boolean}
+ */
+function verifySignature(message, signature, publicKey) {
+  try {
+    return nacl.sign.detached.verify(signingBytes(message), decodeBase64(signature), decodeBase64(publicKey));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether an incoming request's scheme is acceptable, before verifying it
+ * @param {Object} message - Message as reconstructed from the request
+ * @param {string|null} legacyUntil - ISO-8601 end of the legacy window (null: open)
+ * @returns {Object|null} null if acceptable, else {status, error, message}
+ */
+function schemeError(message, legacyUntil) {
+  if (!isSupported(message)) {
+    return {
+      status: 400,
+      error: 'unsupported_signature',
+      message: `Unsupported sig_alg/sig_version; use sig_alg "${SIG_ALG}", sig_version ${SIG_VERSION}`
+    };
+  }
+  if (isLegacy(message) && legacyUntil && Date.now() > new Date(legacyUntil).getTime()) {
+    return {
+      status: 401,
+      error: 'legacy_signature',
+      message: `Unversioned v0.1 signatures were accepted until ${legacyUntil}; sign with sig_alg "${SIG_ALG}", sig_version ${SIG_VERSION} (JCS)`
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  SIG_ALG, SIG_VERSION,
+  canonicalize, isLegacy, isSupported, versioned, signingBytes,
+  signMessage, verifySignature, schemeError
+};
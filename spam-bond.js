@@ -0,0 +1,189 @@
+/**
+ * spam-bond.js — Spam bond enforcement for the inbox (SPEC §3 rule 6, §7)
+ *
+ * When manifest.spam_bond.required is true, /inbox answers a new task with a
+ * bond invoice instead of queueing it. The task sits in `awaiting-bond` until
+ * the bond payment is verified, then enters normal evaluation.
+ *
+ * Bond outcomes (task.bond.outcome):
+ *   burned          — task rejected as spam; agent keeps the bond
+ *   refund_pending  — accepted, rejected for legitimate reasons, cancelled,
+ *                     declined or expired; queued in data/refunds until the
+ *                     requester submits an invoice to be paid
+ *   refunded        — refund invoice paid
+ *
+ * Older tasks may carry `applied` (accepted before bonds were refunded on
+ * accept); nothing ever credited it, so their next transition queues a refund.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSatoshisAmountFromBolt11 } = require('nostr-tools/nip57');
+const lightning = require('./lightning.js');
+const { writeJsonAtomic } = require('./store');
+
+class BondManager {
+  constructor(options = {}) {
+    this.refundsDir = options.refundsDir || path.join(__dirname, 'data', 'refunds');
+    this.lightning = options.lightning || lightning;
+    fs.mkdirSync(this.refundsDir, { recursive: true });
+  }
+
+  /**
+   * @param {Object} manifest - Current agent manifest
+   * @returns {number} Required bond in sats, or 0 if bonds are not enforced
+   */
+  requiredAmount(manifest) {
+    const bond = manifest.spam_bond;
+    if (!bond || !bond.required) return 0;
+    return bond.amount_sats || 1000;
+  }
+
+  /**
+   * Create a bond invoice and attach it to the task
+   * @returns {Object} task.bond
+   */
+  async issue(task, amount) {
+    const invoice = await this.lightning.createSpamBond(task.task_id, amount);
+    task.bond = {
+      amount_sats: invoice.amount,
+      payment_hash: invoice.hash,
+      bolt11: invoice.bolt11,
+      status: 'unpaid',
+      paid_at: null,
+      outcome: null,
+      outcome_at: null
+    };
+    console.log(`[BOND] Issued ${amount} sat bond invoice for task ${task.task_id}`);
+    return task.bond;
+  }
+
+  /**
+   * Check the bond invoice and mark it paid if it settled
+   * @returns {boolean} true if the bond is paid
+   */
+  async verify(task) {
+    if (!task.bond) return false;
+    if (task.bond.status === 'paid') return true;
+
+    const paid = await this.lightning.verifyPayment(task.bond.payment_hash);
+    if (!paid) return false;
+
+    task.bond.status = 'paid';
+    task.bond.paid_at = new Date().toISOString();
+    console.log(`[BOND] Bond paid for task ${task.task_id}`);
+    return true;
+  }
+
+  /**
+   * Record the bond's fate once the task is decided. No-op if there is no
+   * paid bond or the outcome was already settled.
+   * @param {Object} task - Task record (mutated)
+   * @param {string} outcome - 'burned' | 'refund'
+   * @returns {string|null} The recorded outcome
+   */
+  settle(task, outcome) {
+    if (!task.bond || task.bond.status !== 'paid') return null;
+    if (task.bond.outcome && task.bond.outcome !== 'applied') return null;
+
+    task.bond.outcome = outcome === 'refund' ? 'refund_pending' : outcome;
+    task.bond.outcome_at = new Date().toISOString();
+
+    if (task.bond.outcome === 'refund_pending') {
+      this.saveRefund({
+        task_id: task.task_id,
+        requester_id: task.requester_id,
+        amount_sats: task.bond.amount_sats,
+        bond_payment_hash: task.bond.payment_hash,
+        status: 'pending',
+        bolt11: null,
+        payment: null,
+        error: null,
+        created: task.bond.outcome_at,
+        updated: task.bond.outcome_at
+      });
+    }
+
+    console.log(`[BOND] Task ${task.task_id} bond ${task.bond.outcome}`);
+    return task.bond.outcome;
+  }
+
+  /**
+   * Settle the bond according to the task's (new) status: rejected-as-spam
+   * → burned; acceptance, any other rejection, cancel, decline or expiry →
+   * refund.
+   * @returns {string|null} The recorded outcome
+   */
+  settleFor(task) {
+    switch (task.status) {
+      case 'rejected':
+        return this.settle(task, task.rejected_as_spam ? 'burned' : 'refund');
+      case 'accepted':
+      case 'in-progress':
+      case 'completed':
+      case 'cancelled':
+      case 'declined':
+      case 'expired':
+        return this.settle(task, 'refund');
+      default:
+        return null;
+    }
+  }
+
+  loadRefund(taskId) {
+    const file = path.join(this.refundsDir, `${taskId}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  saveRefund(refund) {
+    writeJsonAtomic(path.join(this.refundsDir, `${refund.task_id}.json`), refund);
+  }
+
+  listRefunds(filter = {}) {
+    let refunds = fs.readdirSync(this.refundsDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => JSON.parse(fs.readFileSync(path.join(this.refundsDir, f), 'utf8')));
+    if (filter.status) refunds = refunds.filter(r => r.status === filter.status);
+    return refunds.sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+
+  /**
+   * Pay a queued refund to an invoice supplied by the requester
+   * @param {Object} task - Task record (mutated on success)
+   * @param {string} bolt11 - Requester's invoice, for at most the bond amount
+   * @returns {Object} Updated refund record
+   */
+  async payRefund(task, bolt11) {
+    const refund = this.loadRefund(task.task_id);
+    if (!refund) throw new Error('No refund queued for this task');
+    if (refund.status !== 'pending') throw new Error(`Refund is ${refund.status}`);
+
+    const amount = getSatoshisAmountFromBolt11(bolt11);
+    if (!amount || amount > refund.amount_sats) {
+      throw new Error(`Invoice must be for 1..${refund.amount_sats} sats (got ${amount || 'no amount'})`);
+    }
+
+    // Persist the in-flight state first so a concurrent claim can't pay twice
+    refund.bolt11 = bolt11;
+    refund.status = 'paying';
+    refund.updated = new Date().toISOString();
+    this.saveRefund(refund);
+    try {
+      refund.payment = await this.lightning.payInvoice(bolt11);
+      refund.status = 'paid';
+      refund.error = null;
+      task.bond.outcome = 'refunded';
+      task.bond.outcome_at = refund.updated;
+      console.log(`[BOND] Refunded ${amount} sats for task ${task.task_id}`);
+    } catch (err) {
+      refund.status = 'pending';
+      refund.error = err.message;
+      console.log(`[BOND] ✗ Refund for task ${task.task_id} failed: ${err.message}`);
+    }
+    this.saveRefund(refund);
+    return refund;
+  }
+}
+
+module.exports = { BondManager };
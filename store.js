@@ -0,0 +1,786 @@
+/**
+ * store.js — Indexed record store for tasks and receipts
+ *
+ * Append-only log (data/store.log) with in-memory indexes, replacing one JSON
+ * file per task. Every write is a transaction: one JSON line holding all of
+ * its records, appended and fsync'd before the call returns. A crash can
+ * only leave a torn last line, which is dropped on the next load, so a
+ * transaction is either fully on disk or not at all.
+ *
+ *   {"at":"...","ops":[{"c":"tasks","s":41,"v":{...}}, {"c":"receipts","s":42,"v":{...}}]}
+ *
+ * A delete op carries the key instead of a record: {"c":"quotes","s":43,"d":"<key>"}.
+ *
+ * `s` is a store-wide write sequence. Reading a collection in `changes`
+ * order walks records by their latest write, which is what incremental
+ * sync (e.g. reputation crawlers on /receipts) resumes from.
+ *
+ * The whole log is replayed into memory on open. Reads never touch disk.
+ * Indexes (exact match on a few fields, plus a sorted time index) make
+ * filtered listing cheap: a selective filter sorts only its own matches. When
+ * superseded lines outnumber live records the log is compacted: live records
+ * are written to a temp file, fsync'd and renamed over the log (atomic on
+ * POSIX), and the directory is fsync'd so the rename survives a crash.
+ *
+ * Only one process may write the log. A writing Store holds data/store.lock
+ * (its pid) until closed or exit; a second writer, such as `--compact` while
+ * the server runs, is refused. A lock left by a dead process is taken over.
+ *
+ * Usage: node store.js [--stats | --compact | --migrate]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const DEFAULT_LOG_FILE = path.join(DATA_DIR, 'store.log');
+const COMPACT_MIN_LINES = 1000;
+const TIME_CHUNK = 512; // Time index chunk size; a chunk splits at twice this
+
+// Collections: primary key, exact-match indexes, and the field for time order.
+// Derived indexes are computed from the record on every write.
+const COLLECTIONS = {
+  tasks: {
+    key: 'task_id',
+    indexes: ['status', 'requester_id', 'task_type', 'payment_status'],
+    time: 'created',
+    derived: { payment_status: taskPaymentStatus }
+  },
+  receipts: {
+    key: 'task_id',
+    indexes: ['requester_id', 'agent_id', 'task_type', 'payment_status', 'countersigned'],
+    time: 'completion_timestamp',
+    derived: {
+      payment_status: r => (r.payment_proof ? 'paid' : 'none'),
+      // Only receipts countersigned by the requester count as strong reputation;
+      // an agent countersigning its own task proves nothing
+      countersigned: r => Boolean(r.requester_signature) && r.requester_id !== r.agent_id
+    }
+  },
+  quotes: {
+    key: 'quote_id',
+    indexes: ['requester_id', 'task_type'],
+    time: 'issued'
+  }
+};
+
+const ESCROW_PAYMENT_STATUS = { unpaid: 'unpaid', held: 'held', settled: 'paid', cancelled: 'cancelled' };
+
+// paid (L402 or settled escrow) | held | unpaid | cancelled | none
+function taskPaymentStatus(task) {
+  if (task.payment) return 'paid';
+  if (task.escrow) return ESCROW_PAYMENT_STATUS[task.escrow.status] || 'unpaid';
+  return 'none';
+}
+
+// Lock files held by this process
+const heldLocks = new Set();
+
+process.once('exit', () => {
+  for (const file of heldLocks) fs.rmSync(file, { force: true });
+});
+
+// Orders a page can be read in: time descending, time ascending, or write
+// order (every put moves a record to the end; for incremental sync)
+const ORDERS = ['newest', 'oldest', 'changes'];
+
+class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+class StoreLockedError extends Error {
+  constructor(file, pid) {
+    super(`${file} is in use by process ${pid}; stop it first`);
+    this.name = 'StoreLockedError';
+    this.pid = pid;
+  }
+}
+
+// Cursors are opaque to clients: base64url JSON of the last position served
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor, order) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new CursorError('Malformed cursor');
+  }
+  if (!position || position.o !== order) throw new CursorError(`Cursor was not issued for order=${order}`);
+  if (order === 'changes' ? !Number.isInteger(position.s) : !(Number.isFinite(position.t) && position.k)) {
+    throw new CursorError('Malformed cursor');
+  }
+  return position;
+}
+
+// Time index order: time, then key (so cursors resume at a fixed point)
+function compareEntry(entry, t, key) {
+  return entry.t - t || (entry.key < key ? -1 : entry.key > key ? 1 : 0);
+}
+
+/**
+ * Sorted list of {t, key} entries in compareEntry order. Stored as a list of
+ * chunks, so an insert or delete shifts one chunk instead of every entry.
+ */
+class TimeIndex {
+  constructor() {
+    this.chunks = [];
+  }
+
+  // Position {c, i} of the first entry >= (t, key)
+  seek(t, key) {
+    const chunks = this.chunks;
+    let lo = 0;
+    let hi = chunks.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (compareEntry(chunks[mid].at(-1), t, key) < 0) lo = mid + 1;
+      else hi = mid;
+    }
+    const chunk = chunks[lo];
+    if (!chunk) return { c: lo, i: 0 };
+    let a = 0;
+    let b = chunk.length;
+    while (a < b) {
+      const mid = (a + b) >>> 1;
+      if (compareEntry(chunk[mid], t, key) < 0) a = mid + 1;
+      else b = mid;
+    }
+    return { c: lo, i: a };
+  }
+
+  insert(t, key) {
+    if (!this.chunks.length) {
+      this.chunks.push([{ t, key }]);
+      return;
+    }
+    let { c, i } = this.seek(t, key);
+    if (c === this.chunks.length) {
+      c--;
+      i = this.chunks[c].length;
+    }
+    const chunk = this.chunks[c];
+    chunk.splice(i, 0, { t, key });
+    if (chunk.length >= 2 * TIME_CHUNK) this.chunks.splice(c + 1, 0, chunk.splice(TIME_CHUNK));
+  }
+
+  remove(t, key) {
+    const { c, i } = this.seek(t, key);
+    const chunk = this.chunks[c];
+    if (!chunk || i === chunk.length || compareEntry(chunk[i], t, key) !== 0) return;
+    chunk.splice(i, 1);
+    if (!chunk.length) this.chunks.splice(c, 1);
+  }
+
+  // Entries >= (t, key), ascending
+  *ascending(t, key) {
+    let { c, i } = this.seek(t, key);
+    for (; c < this.chunks.length; c++, i = 0) {
+      const chunk = this.chunks[c];
+      for (; i < chunk.length; i++) yield chunk[i];
+    }
+  }
+
+  // Entries < (t, key), descending
+  *descending(t, key) {
+    let { c, i } = this.seek(t, key);
+    for (i--; c >= 0; c--, i = c >= 0 ? this.chunks[c].length - 1 : -1) {
+      const chunk = this.chunks[c] || [];
+      for (; i >= 0; i--) yield chunk[i];
+    }
+  }
+}
+
+// fsync a directory, so a rename in it is on disk
+function fsyncDir(dir) {
+  const fd = fs.openSync(dir, 'r');
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write JSON to a file without ever leaving it truncated: write a temp file,
+ * fsync it, then rename over the target.
+ */
+function writeJsonAtomic(file, data, options = {}) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w', options.mode);
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, options.space === undefined ? 2 : options.space));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+class Collection {
+  constructor(name, spec) {
+    this.name = name;
+    this.spec = spec;
+    this.records = new Map();
+    this.seqs = new Map(); // key → seq of its latest write
+    this.indexes = Object.fromEntries(spec.indexes.map(f => [f, new Map()]));
+    this.byTime = new TimeIndex();
+    this.changes = []; // [{s, key}] ascending; entries superseded by a later write are stale
+  }
+
+  // Index keys are strings so query-string filters match booleans and numbers
+  indexValue(record, field) {
+    const derive = this.spec.derived && this.spec.derived[field];
+    const value = derive ? derive(record) : record[field];
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  timeOf(record) {
+    const t = new Date(record[this.spec.time]).getTime();
+    return Number.isFinite(t) ? t : 0;
+  }
+
+  // Index of the first changes entry with s > seq
+  changesAfter(seq) {
+    let lo = 0;
+    let hi = this.changes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this.changes[mid].s <= seq) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  unindex(key, record) {
+    for (const field of this.spec.indexes) {
+      const value = this.indexValue(record, field);
+      const set = this.indexes[field].get(value);
+      if (set) {
+        set.delete(key);
+        if (!set.size) this.indexes[field].delete(value);
+      }
+    }
+    this.byTime.remove(this.timeOf(record), key);
+  }
+
+  remove(key) {
+    const prev = this.records.get(key);
+    if (!prev) return;
+    this.unindex(key, prev);
+    this.records.delete(key);
+    this.seqs.delete(key); // its changes entries are stale from now on
+  }
+
+  apply(record, seq) {
+    const key = record[this.spec.key];
+    const prev = this.records.get(key);
+    if (prev) this.unindex(key, prev);
+
+    this.records.set(key, record);
+    for (const field of this.spec.indexes) {
+      const idx = this.indexes[field];
+      const value = this.indexValue(record, field);
+      if (!idx.has(value)) idx.set(value, new Set());
+      idx.get(value).add(key);
+    }
+    this.byTime.insert(this.timeOf(record), key);
+
+    this.seqs.set(key, seq);
+    this.changes.push({ s: seq, key });
+    if (this.changes.length > 2 * this.records.size + 1000) {
+      this.changes = this.changes.filter(c => this.seqs.get(c.key) === c.s);
+    }
+  }
+
+  // Keys allowed by the exact-match filters (null = no index filter given).
+  // Intersects from the smallest set; a single set is the live index, so
+  // callers only read it.
+  candidates(filter) {
+    const sets = [];
+    for (const field of this.spec.indexes) {
+      const want = filter[field];
+      if (want === undefined || want === null || want === '') continue;
+      const values = Array.isArray(want) ? want : [want];
+      const index = this.indexes[field];
+      if (values.length === 1) {
+        sets.push(index.get(String(values[0])) || new Set());
+        continue;
+      }
+      const matched = new Set();
+      for (const v of values) {
+        for (const key of index.get(String(v)) || []) matched.add(key);
+      }
+      sets.push(matched);
+    }
+    if (!sets.length) return null;
+
+    sets.sort((a, b) => a.size - b.size);
+    const [smallest, ...rest] = sets;
+    if (!rest.length) return smallest;
+    const result = new Set();
+    for (const key of smallest) {
+      if (rest.every(set => set.has(key))) result.add(key);
+    }
+    return result;
+  }
+
+  timeRange(filter) {
+    return {
+      since: filter.since ? new Date(filter.since).getTime() : -Infinity,
+      until: filter.until ? new Date(filter.until).getTime() : Infinity
+    };
+  }
+
+  /**
+   * Walk matching keys in the given order, starting after a cursor position
+   * @param {Object} filter - {<indexed field>: value | value[], since, until}
+   * @param {string} order - newest | oldest | changes
+   * @param {Object} after - Decoded cursor position, or null for the start
+   * @yields {{key, position}}
+   */
+  *scan(filter, order = 'newest', after = null) {
+    const candidates = this.candidates(filter);
+    const { since, until } = this.timeRange(filter);
+
+    // A selective filter: sorting its matches beats walking every record
+    if (candidates && candidates.size * 4 <= this.records.size) {
+      yield* this.scanCandidates(candidates, since, until, order, after);
+      return;
+    }
+    const matches = (t, key) => t >= since && t <= until && (!candidates || candidates.has(key));
+
+    if (order === 'changes') {
+      for (let i = after ? this.changesAfter(after.s) : 0; i < this.changes.length; i++) {
+        const { s, key } = this.changes[i];
+        if (this.seqs.get(key) !== s) continue; // superseded by a later write
+        if (matches(this.timeOf(this.records.get(key)), key)) yield { key, position: { o: order, s } };
+      }
+      return;
+    }
+
+    if (order === 'oldest') {
+      const entries = after && after.t >= since
+        ? this.byTime.ascending(after.t, after.k)
+        : this.byTime.ascending(since, '');
+      for (const { t, key } of entries) {
+        if (t > until) break;
+        if (after && t === after.t && key === after.k) continue;
+        if (matches(t, key)) yield { key, position: { o: order, t, k: key } };
+      }
+      return;
+    }
+
+    const entries = after && after.t <= until
+      ? this.byTime.descending(after.t, after.k)
+      : this.byTime.descending(until + 1, '');
+    for (const { t, key } of entries) {
+      if (t < since) break;
+      if (matches(t, key)) yield { key, position: { o: order, t, k: key } };
+    }
+  }
+
+  // scan() over an explicit key set, in the same order and positions
+  *scanCandidates(candidates, since, until, order, after) {
+    const entries = [];
+    for (const key of candidates) {
+      const t = this.timeOf(this.records.get(key));
+      if (t >= since && t <= until) entries.push({ t, key, s: this.seqs.get(key) });
+    }
+
+    if (order === 'changes') {
+      entries.sort((a, b) => a.s - b.s);
+      for (const { s, key } of entries) {
+        if (!after || s > after.s) yield { key, position: { o: order, s } };
+      }
+      return;
+    }
+
+    const sign = order === 'oldest' ? 1 : -1;
+    entries.sort((a, b) => sign * compareEntry(a, b.t, b.key));
+    for (const entry of entries) {
+      if (after && sign * compareEntry(entry, after.t, after.k) <= 0) continue;
+      yield { key: entry.key, position: { o: order, t: entry.t, k: entry.key } };
+    }
+  }
+
+  /**
+   * Keys matching every given filter, newest first
+   */
+  keys(filter = {}) {
+    return [...this.scan(filter)].map(m => m.key);
+  }
+
+  count(filter = {}) {
+    const candidates = this.candidates(filter);
+    const { since, until } = this.timeRange(filter);
+    const unbounded = since === -Infinity && until === Infinity;
+    if (unbounded) return candidates ? candidates.size : this.records.size;
+
+    let n = 0;
+    if (candidates) {
+      for (const key of candidates) {
+        const t = this.timeOf(this.records.get(key));
+        if (t >= since && t <= until) n++;
+      }
+      return n;
+    }
+    for (const { t } of this.byTime.ascending(since, '')) {
+      if (t > until) break;
+      n++;
+    }
+    return n;
+  }
+}
+
+class Store {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Log file (default data/store.log)
+   * @param {boolean} options.readOnly - Never write, truncate or compact
+   *   (for tools reading the log while the server runs)
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_LOG_FILE;
+    this.readOnly = Boolean(options.readOnly);
+    this.collections = Object.fromEntries(
+      Object.entries(COLLECTIONS).map(([name, spec]) => [name, new Collection(name, spec)])
+    );
+    this.lines = 0;
+    this.seq = 0;
+    this.fd = null;
+    this.lockFile = this.readOnly ? null : path.join(path.dirname(this.file), `${path.basename(this.file, '.log')}.lock`);
+    if (this.lockFile) this.lock();
+    this.load();
+  }
+
+  // Take the writer lock, or throw StoreLockedError if a live process has it
+  lock() {
+    fs.mkdirSync(path.dirname(this.lockFile), { recursive: true });
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+        heldLocks.add(this.lockFile);
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const pid = Number(fs.readFileSync(this.lockFile, 'utf8'));
+      // Our own pid on a lock we don't hold is left from before a restart (containers reuse pids)
+      if (heldLocks.has(this.lockFile) || (pid !== process.pid && processAlive(pid))) {
+        throw new StoreLockedError(this.file, pid);
+      }
+      console.warn(`[STORE] Taking over stale lock ${this.lockFile} (process ${pid} is gone)`);
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+
+  collection(name) {
+    const c = this.collections[name];
+    if (!c) throw new Error(`Unknown collection: ${name}`);
+    return c;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      if (!this.readOnly) fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      return;
+    }
+
+    const buf = fs.readFileSync(this.file);
+    let offset = 0;
+    let goodEnd = 0;
+    while (offset < buf.length) {
+      const nl = buf.indexOf(0x0a, offset);
+      if (nl === -1) break; // torn final line (crash mid-append)
+      const line = buf.subarray(offset, nl).toString('utf8');
+      offset = nl + 1;
+      if (!line.trim()) { goodEnd = offset; continue; }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        console.warn(`[STORE] Skipping corrupt line at byte ${goodEnd} of ${this.file}`);
+        goodEnd = offset;
+        continue;
+      }
+      for (const op of entry.ops) {
+        // Logs written before sequences existed get them in replay order
+        const seq = Number.isInteger(op.s) ? op.s : this.seq + 1;
+        this.seq = Math.max(this.seq, seq);
+        this.applyOp(op, seq);
+      }
+      this.lines++;
+      goodEnd = offset;
+    }
+
+    if (goodEnd < buf.length && !this.readOnly) {
+      console.warn(`[STORE] Dropping ${buf.length - goodEnd} bytes of incomplete write at end of ${this.file}`);
+      fs.truncateSync(this.file, goodEnd);
+    }
+  }
+
+  // Append one transaction line and fsync
+  append(ops) {
+    if (this.readOnly) throw new Error('Store is read-only');
+    if (this.fd === null) this.fd = fs.openSync(this.file, 'a');
+    for (const op of ops) op.s = ++this.seq;
+    fs.writeSync(this.fd, JSON.stringify({ at: new Date().toISOString(), ops }) + '\n');
+    fs.fsyncSync(this.fd);
+    for (const op of ops) this.applyOp(op, op.s);
+    this.lines++;
+    this.maybeCompact();
+  }
+
+  applyOp(op, seq) {
+    if (op.d !== undefined) this.collection(op.c).remove(op.d);
+    else this.collection(op.c).apply(op.v, seq);
+  }
+
+  /**
+   * Fetch one record (a copy; mutate it and put() it back)
+   * @returns {Object|null}
+   */
+  get(name, key) {
+    const record = this.collection(name).records.get(key);
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * Insert or replace a record
+   */
+  put(name, record) {
+    const c = this.collection(name);
+    if (!record[c.spec.key]) throw new Error(`${name} record has no ${c.spec.key}`);
+    this.append([{ c: name, v: structuredClone(record) }]);
+  }
+
+  /**
+   * Delete records by key (one transaction; unknown keys are ignored)
+   * @returns {number} Records deleted
+   */
+  delete(name, keys) {
+    const c = this.collection(name);
+    const ops = keys.filter(k => c.records.has(k)).map(k => ({ c: name, d: k }));
+    if (ops.length) this.append(ops);
+    return ops.length;
+  }
+
+  /**
+   * Write several records atomically: all land on disk or none do.
+   * @param {Function} fn - Receives {put(name, record)}; runs synchronously
+   */
+  transaction(fn) {
+    const ops = [];
+    fn({
+      put: (name, record) => {
+        const c = this.collection(name);
+        if (!record[c.spec.key]) throw new Error(`${name} record has no ${c.spec.key}`);
+        ops.push({ c: name, v: structuredClone(record) });
+      }
+    });
+    if (ops.length) this.append(ops);
+  }
+
+  /**
+   * Records matching a filter, newest first
+   * @param {string} name - Collection
+   * @param {Object} filter - Indexed fields (value or array of values), since, until, limit
+   * @returns {Object[]} Copies of the matching records
+   */
+  find(name, filter = {}) {
+    const c = this.collection(name);
+    let keys = c.keys(filter);
+    if (filter.limit) keys = keys.slice(0, filter.limit);
+    return keys.map(k => structuredClone(c.records.get(k)));
+  }
+
+  /**
+   * One page of matching records plus the full match count
+   * @param {string} name - Collection
+   * @param {Object} filter - Indexed fields (value or array of values), since, until
+   * @param {Object} opts
+   * @param {string} opts.order - newest (default) | oldest | changes
+   * @param {string} opts.cursor - next_cursor from the previous page
+   * @param {number} opts.limit - Page size
+   * @returns {Object} {records, total, has_more, next_cursor}. In `changes`
+   *   order next_cursor is always set (it's the sync resume point).
+   * @throws {CursorError} on a malformed cursor or one issued for another order
+   */
+  page(name, filter = {}, { order = 'newest', cursor = null, limit = 100 } = {}) {
+    if (!ORDERS.includes(order)) throw new CursorError(`order must be one of: ${ORDERS.join(', ')}`);
+    const c = this.collection(name);
+    const after = cursor ? decodeCursor(cursor, order) : null;
+
+    const total = c.count(filter);
+
+    const page = [];
+    let hasMore = false;
+    for (const match of c.scan(filter, order, after)) {
+      if (page.length === limit) { hasMore = true; break; }
+      page.push(match);
+    }
+
+    const last = page.at(-1);
+    let next = null;
+    if (last && (hasMore || order === 'changes')) next = encodeCursor(last.position);
+    else if (!last && order === 'changes') next = cursor || encodeCursor({ o: order, s: 0 });
+
+    return {
+      records: page.map(m => structuredClone(c.records.get(m.key))),
+      total,
+      has_more: hasMore,
+      next_cursor: next
+    };
+  }
+
+  /**
+   * Number of records matching a filter (no copying)
+   */
+  count(name, filter = {}) {
+    const c = this.collection(name);
+    if (!Object.keys(filter).length) return c.records.size;
+    return c.count(filter);
+  }
+
+  size() {
+    return Object.values(this.collections).reduce((n, c) => n + c.records.size, 0);
+  }
+
+  maybeCompact() {
+    if (this.lines >= COMPACT_MIN_LINES && this.lines > this.size() * 2) this.compact();
+  }
+
+  /**
+   * Rewrite the log with one line per live record (temp file + rename)
+   */
+  compact() {
+    if (this.readOnly) throw new Error('Store is read-only');
+    const tmp = `${this.file}.compact.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    const at = new Date().toISOString();
+    let lines = 0;
+    try {
+      // Keep each record's sequence, in sequence order, so sync cursors stay valid
+      const live = Object.entries(this.collections)
+        .flatMap(([name, c]) => [...c.records.entries()].map(([key, v]) => ({ c: name, s: c.seqs.get(key), v })))
+        .sort((a, b) => a.s - b.s);
+      for (const op of live) {
+        fs.writeSync(fd, JSON.stringify({ at, ops: [op] }) + '\n');
+        lines++;
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    fs.renameSync(tmp, this.file);
+    fsyncDir(path.dirname(this.file));
+    console.log(`[STORE] Compacted ${this.lines} log lines to ${lines}`);
+    this.lines = lines;
+  }
+
+  /**
+   * One-shot import of the old one-file-per-record layout. Each directory is
+   * imported in a single transaction, then renamed to <dir>.migrated so it is
+   * never imported twice. Unparseable (truncated) files are skipped and listed.
+   * @param {Object} dirs - {tasks: dir, receipts: dir}
+   * @returns {Object} {tasks: n, receipts: n, skipped: [file]}
+   */
+  migrateFromFiles(dirs) {
+    const summary = { skipped: [] };
+    for (const [name, dir] of Object.entries(dirs)) {
+      summary[name] = 0;
+      if (!dir || !fs.existsSync(dir)) continue;
+
+      const records = [];
+      for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        try {
+          records.push(JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+        } catch {
+          summary.skipped.push(path.join(dir, f));
+        }
+      }
+      // Records already in the store (written after a partial migration) win
+      const fresh = records.filter(r => !this.collection(name).records.has(r[COLLECTIONS[name].key]));
+      this.transaction(tx => fresh.forEach(r => tx.put(name, r)));
+      fs.renameSync(dir, `${dir}.migrated`);
+      summary[name] = fresh.length;
+      console.log(`[STORE] Migrated ${fresh.length} ${name} from ${dir}`);
+    }
+    for (const f of summary.skipped) console.warn(`[STORE] Skipped unreadable ${f}`);
+    return summary;
+  }
+
+  close() {
+    if (this.fd !== null) fs.closeSync(this.fd);
+    this.fd = null;
+    if (this.lockFile && heldLocks.delete(this.lockFile)) fs.rmSync(this.lockFile, { force: true });
+    this.lockFile = null;
+  }
+}
+
+function processAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0); // signal 0: existence check only
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// CLI
+if (require.main === module) {
+  const cmd = process.argv[2];
+
+  // Writing while the server runs would lose its later writes: refuse
+  const openWriter = action => {
+    try {
+      return new Store();
+    } catch (err) {
+      if (!(err instanceof StoreLockedError)) throw err;
+      console.error(`Refusing to ${action}: ${err.message}`);
+      process.exit(1);
+    }
+  };
+
+  if (cmd === '--stats') {
+    const store = new Store({ readOnly: true });
+    console.log(`Log: ${store.file} (${store.lines} lines)`);
+    for (const [name, c] of Object.entries(store.collections)) {
+      console.log(`  ${name}: ${c.records.size}`);
+      if (name === 'tasks') {
+        for (const [status, keys] of c.indexes.status) console.log(`    ${status}: ${keys.size}`);
+      }
+    }
+  } else if (cmd === '--compact') {
+    const store = openWriter('compact');
+    store.compact();
+    store.close();
+  } else if (cmd === '--migrate') {
+    const store = openWriter('migrate');
+    const summary = store.migrateFromFiles({
+      tasks: path.join(DATA_DIR, 'tasks'),
+      receipts: path.join(DATA_DIR, 'receipts')
+    });
+    console.log(`Migrated ${summary.tasks} tasks, ${summary.receipts} receipts (${summary.skipped.length} skipped)`);
+    store.close();
+  } else {
+    console.log('AIP Store');
+    console.log('  --stats     Record counts per collection and task status');
+    console.log('  --compact   Rewrite the log with only live records');
+    console.log('  --migrate   Import data/tasks and data/receipts (server does this at startup)');
+  }
+}
+
+module.exports = { Store, COLLECTIONS, ORDERS, CursorError, StoreLockedError, writeJsonAtomic };
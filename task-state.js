@@ -0,0 +1,86 @@
+/**
+ * task-state.js — AIP task lifecycle state machine (SPEC §4)
+ *
+ *   negotiating ──accept offer──▶ pending ──accept──▶ accepted ──start──▶ in-progress ──▶ completed
+ *        │  ▲                        │                  │                    │
+ *        │  └──── counter-offer ─────┘                  │                    ├──▶ failed
+ *        └──▶ declined                                  │                    │
+ *                                                       ▼                    ▼
+ *   awaiting-bond ──bond paid──▶ pending (spam bond enforced, see spam-bond.js)
+ *
+ *   awaiting-bond | negotiating | pending ──▶ rejected (agent)
+ *   any non-terminal state ──▶ cancelled (requester) | expired (deadline passed)
+ *
+ * Terminal states never transition again. Every transition is appended to
+ * task.history as {from, to, at, by, reason}. Progress updates while
+ * in-progress are not transitions; they only update task.progress.
+ */
+
+const TRANSITIONS = {
+  'awaiting-bond': ['pending', 'rejected', 'cancelled', 'expired'],
+  'negotiating': ['negotiating', 'pending', 'declined', 'rejected', 'cancelled', 'expired'],
+  'pending': ['negotiating', 'accepted', 'in-progress', 'completed', 'rejected', 'cancelled', 'expired'],
+  'accepted': ['in-progress', 'completed', 'failed', 'cancelled', 'expired'],
+  'in-progress': ['completed', 'failed', 'cancelled', 'expired'],
+  'completed': [],
+  'rejected': [],
+  'declined': [],
+  'failed': [],
+  'cancelled': [],
+  'expired': []
+};
+
+const TERMINAL_STATES = Object.keys(TRANSITIONS).filter(s => TRANSITIONS[s].length === 0);
+
+class TransitionError extends Error {
+  constructor(from, to) {
+    super(`Illegal transition: ${from} → ${to}`);
+    this.name = 'TransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATES.includes(status);
+}
+
+/**
+ * Move a task to a new status, recording the transition in its history
+ * @param {Object} task - Task record (mutated)
+ * @param {string} to - Target status
+ * @param {Object} [meta] - {by: 'agent'|'requester'|'system', reason}
+ * @returns {Object} The history entry
+ * @throws {TransitionError} if the transition is not allowed
+ */
+function transition(task, to, meta = {}) {
+  if (!canTransition(task.status, to)) throw new TransitionError(task.status, to);
+
+  const entry = {
+    from: task.status,
+    to,
+    at: new Date().toISOString(),
+    by: meta.by || 'agent',
+    reason: meta.reason || null
+  };
+  task.history = task.history || [];
+  task.history.push(entry);
+  task.status = to;
+  task.updated = entry.at;
+  return entry;
+}
+
+/**
+ * @returns {boolean} true if the task has a deadline in the past and can still expire
+ */
+function isOverdue(task, now = Date.now()) {
+  if (!task.deadline || isTerminal(task.status)) return false;
+  const deadline = new Date(task.deadline).getTime();
+  return !Number.isNaN(deadline) && deadline < now;
+}
+
+module.exports = { TRANSITIONS, TERMINAL_STATES, TransitionError, canTransition, isTerminal, transition, isOverdue };
@@ -0,0 +1,134 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { CallbackQueue, callbackUrlError, checkCallbackUrl } = require('../callback-queue');
+
+// Local receiver answering with the scripted status codes in turn (then 200)
+let server;
+let url;
+let replies;
+let received;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ event: req.headers['x-aip-event'], body: JSON.parse(body) });
+      const status = replies.shift() || 200;
+      res.writeHead(status, status === 302 ? { Location: 'http://169.254.169.254/' } : {});
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/callback`;
+});
+
+after(() => server.close());
+
+let dir;
+let queue;
+
+beforeEach(() => {
+  replies = [];
+  received = [];
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-callbacks-'));
+  // The receiver is on loopback, which the real URL check refuses
+  queue = new CallbackQueue({ dir, baseDelayMs: 1000, maxAttempts: 3, checkUrl: async () => {} });
+});
+
+afterEach(() => {
+  queue.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a delivery is sent verbatim and marked delivered', async () => {
+  const { delivery_id } = queue.enqueue('task-1', url, 'completed', { task_id: 'task-1', signature: 'sig' });
+  await queue.processDue();
+
+  assert.deepEqual(received, [{ event: 'completed', body: { task_id: 'task-1', signature: 'sig' } }]);
+  const delivery = queue.load(delivery_id);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(queue.pending.size, 0);
+});
+
+test('failures back off exponentially, then dead-letter', async () => {
+  replies = [500, 503, 500];
+  const { delivery_id } = queue.enqueue('task-1', url, 'completed', {});
+  assert.deepEqual([1, 2, 3].map(n => queue.backoffMs(n)), [1000, 2000, 4000]);
+
+  const t0 = Date.now();
+  await queue.attempt(delivery_id);
+  let delivery = queue.load(delivery_id);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.last_error, 'HTTP 500');
+  const wait = Date.parse(delivery.next_attempt) - t0;
+  assert.ok(wait >= 1000 && wait < 2000, `retry in ${wait}ms`);
+
+  // Not due yet: a poll leaves it alone
+  await queue.processDue();
+  assert.equal(queue.load(delivery_id).attempts, 1);
+
+  await queue.attempt(delivery_id);
+  delivery = queue.load(delivery_id);
+  assert.ok(Date.parse(delivery.next_attempt) - Date.now() > 1000);
+
+  await queue.attempt(delivery_id);
+  delivery = queue.load(delivery_id);
+  assert.equal(delivery.status, 'dead');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(received.length, 3);
+
+  // An operator retry starts a fresh attempt budget
+  assert.equal(queue.retry(delivery_id).attempts, 0);
+  await queue.processDue();
+  assert.equal(queue.load(delivery_id).status, 'delivered');
+});
+
+test('a redirect is not followed and counts as a failure', async () => {
+  replies = [302];
+  const { delivery_id } = queue.enqueue('task-1', url, 'completed', {});
+  await queue.processDue();
+  assert.equal(queue.load(delivery_id).last_error, 'HTTP 302');
+  assert.equal(received.length, 1);
+});
+
+test('a URL refused at delivery time is never fetched', async () => {
+  const guarded = new CallbackQueue({ dir, maxAttempts: 1 });
+  const { delivery_id } = guarded.enqueue('task-1', url, 'completed', {});
+  await guarded.processDue();
+  assert.equal(guarded.load(delivery_id).status, 'dead');
+  assert.equal(guarded.load(delivery_id).last_error, 'callback_url must be an https URL');
+  assert.equal(received.length, 0);
+});
+
+test('pending deliveries survive a restart; delivered ones are pruned after retention', async () => {
+  replies = [500];
+  const { delivery_id } = queue.enqueue('task-1', url, 'completed', {});
+  await queue.attempt(delivery_id);
+
+  const restarted = new CallbackQueue({ dir, retentionMs: 1, checkUrl: async () => {} });
+  assert.ok(restarted.pending.has(delivery_id));
+  await restarted.attempt(delivery_id);
+  assert.equal(restarted.load(delivery_id).status, 'delivered');
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(restarted.prune(), 1);
+  assert.equal(restarted.load(delivery_id), null);
+});
+
+test('callback URLs must be https to a public host', async () => {
+  assert.equal(callbackUrlError('https://example.com/hook'), null);
+  assert.equal(callbackUrlError('https://93.184.216.34/hook'), null);
+  assert.equal(callbackUrlError('http://example.com/hook'), 'callback_url must be an https URL');
+  assert.equal(callbackUrlError('not a url'), 'callback_url is not a valid URL');
+  for (const host of ['localhost', 'db.internal', 'printer.local', '127.0.0.1', '10.1.2.3', '169.254.169.254',
+    '192.168.1.1', '[::1]', '[fd00::1]', '[::ffff:127.0.0.1]', '0.0.0.0']) {
+    assert.match(callbackUrlError(`https://${host}/hook`), /loopback, private or link-local/, host);
+  }
+  await assert.rejects(checkCallbackUrl('https://[::ffff:10.0.0.1]/'), /loopback, private or link-local/);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lightning = require('../lightning');
+const { EscrowManager } = require('../escrow');
+
+let dir;
+let escrow;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-escrow-'));
+  lightning.setBackend(lightning.createBackend('fake', { state_file: path.join(dir, 'wallet.json') }));
+  escrow = new EscrowManager({ dir: path.join(dir, 'escrow') });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let n = 0;
+async function openTask(status = 'accepted') {
+  const task = { task_id: `task-${++n}`, status, payment_offer: { amount: 2000, currency: 'sats' } };
+  await escrow.open(task, escrow.requiredAmount(task, { escrow: { required: true } }));
+  return task;
+}
+
+test('escrow is required only when on, for the offered amount, unless paid over L402', () => {
+  const task = { payment_offer: { amount: 2000 } };
+  assert.equal(escrow.requiredAmount(task, {}), 0);
+  assert.equal(escrow.requiredAmount(task, { escrow: { required: true } }), 2000);
+  assert.equal(escrow.requiredAmount({}, { escrow: { required: true }, pricing: { min_task_fee: 700 } }), 700);
+  assert.equal(escrow.requiredAmount({ ...task, payment: { method: 'l402' } }, { escrow: { required: true } }), 0);
+});
+
+test('funds lock when paid, and settling reveals the preimage as proof', async () => {
+  const task = await openTask();
+  assert.equal(task.escrow.status, 'unpaid');
+  assert.equal(task.escrow.preimage, null);
+  await assert.rejects(escrow.settle(task), /Escrow is unpaid, not held/);
+
+  await lightning.payInvoice(task.escrow.bolt11);
+  assert.equal(await escrow.refresh(task), 'held');
+
+  const preimage = await escrow.settle(task);
+  assert.equal(crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex'), task.escrow.payment_hash);
+  assert.equal(task.escrow.status, 'settled');
+  assert.equal((await lightning.checkInvoice(task.escrow.payment_hash)).status, 'paid');
+
+  // Settled is final
+  assert.equal(await escrow.closeFor({ ...task, status: 'cancelled' }), 'settled');
+});
+
+test('a task that ends unpaid for the agent releases the held funds', async () => {
+  for (const status of ['rejected', 'failed', 'cancelled', 'declined', 'expired']) {
+    const task = await openTask();
+    await lightning.payInvoice(task.escrow.bolt11);
+    await escrow.refresh(task);
+    task.status = status;
+    assert.equal(await escrow.closeFor(task), 'cancelled', status);
+    assert.equal((await lightning.checkInvoice(task.escrow.payment_hash)).status, 'cancelled');
+  }
+});
+
+test('closeFor leaves open tasks alone', async () => {
+  const task = await openTask('in-progress');
+  assert.equal(await escrow.closeFor(task), 'unpaid');
+  assert.equal(await escrow.closeFor({ status: 'cancelled' }), null);
+});
+
+test('a failed cancel is recorded, not thrown', async () => {
+  const task = await openTask('failed');
+  const broken = new EscrowManager({
+    dir: path.join(dir, 'escrow'),
+    lightning: { cancelHoldInvoice: async () => { throw new Error('node offline'); } }
+  });
+  assert.equal(await broken.closeFor(task), 'unpaid');
+  assert.equal(task.escrow.error, 'node offline');
+});
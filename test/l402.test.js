@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lightning = require('../lightning');
+const { L402Bridge } = require('../l402-bridge');
+
+let dir;
+let l402;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-l402-'));
+  lightning.setBackend(lightning.createBackend('fake', { state_file: path.join(dir, 'wallet.json') }));
+  l402 = new L402Bridge({ rootKey: crypto.randomBytes(32) });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Challenge for a task, paid: the Authorization header the requester sends back
+async function paidToken(taskId, taskType = 'research.web', opts = {}) {
+  const challenge = await l402.challenge({ taskId, taskType, amount: 500, ...opts });
+  const paid = await lightning.payInvoice(challenge.invoice);
+  return { challenge, header: `L402 ${challenge.macaroon}:${paid.preimage}` };
+}
+
+test('a paid token authorizes the task it was issued for', async () => {
+  const { challenge, header } = await paidToken('task-1');
+  const auth = l402.authorize(header, { taskId: 'task-1', taskType: 'research.web' });
+  assert.equal(auth.valid, true);
+  assert.equal(auth.payment_hash, challenge.payment_hash);
+  assert.equal(auth.amount_sats, 500);
+  assert.match(challenge.headers['WWW-Authenticate'], /^L402 macaroon="[^"]+", invoice="[^"]+"$/);
+});
+
+test('a token cannot be replayed for another task or task type', async () => {
+  const { header } = await paidToken('task-2');
+  assert.match(l402.authorize(header, { taskId: 'task-3', taskType: 'research.web' }).error, /task_id=task-2/);
+  assert.match(l402.authorize(header, { taskId: 'task-2', taskType: 'code.review' }).error, /task_type=research.web/);
+});
+
+test('an unpaid or foreign preimage is refused', async () => {
+  const challenge = await l402.challenge({ taskId: 'task-4', taskType: 'research.web', amount: 500 });
+  const guess = crypto.randomBytes(32).toString('hex');
+  const auth = l402.authorize(`L402 ${challenge.macaroon}:${guess}`, { taskId: 'task-4', taskType: 'research.web' });
+  assert.deepEqual(auth, { valid: false, error: 'Preimage does not match payment hash' });
+});
+
+test('a token minted under another root key is refused', async () => {
+  const { header } = await paidToken('task-5');
+  const other = new L402Bridge({ rootKey: crypto.randomBytes(32) });
+  assert.equal(other.authorize(header, { taskId: 'task-5', taskType: 'research.web' }).error, 'Macaroon signature invalid');
+});
+
+test('an expired token is refused', async () => {
+  const { header } = await paidToken('task-6', 'research.web', { expirySeconds: -1 });
+  assert.match(l402.authorize(header, { taskId: 'task-6', taskType: 'research.web' }).error, /^Caveat not satisfied: expires=/);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NonceCache, NONCE_EXPIRY_MS } = require('../nonces');
+
+const now = () => new Date().toISOString();
+
+test('a nonce is accepted once', () => {
+  const nonces = new NonceCache();
+  assert.equal(nonces.check('n1', now()), true);
+  assert.equal(nonces.check('n1', now()), false);
+  assert.equal(nonces.check('n2', now()), true);
+});
+
+test('fresh() checks without spending the nonce', () => {
+  const nonces = new NonceCache();
+  assert.equal(nonces.fresh('n1', now()), true);
+  assert.equal(nonces.fresh('n1', now()), true);
+  assert.equal(nonces.check('n1', now()), true);
+  assert.equal(nonces.fresh('n1', now()), false);
+});
+
+test('timestamps outside ±5 minutes are refused', () => {
+  const nonces = new NonceCache();
+  assert.equal(nonces.check('old', new Date(Date.now() - NONCE_EXPIRY_MS - 1000).toISOString()), false);
+  assert.equal(nonces.check('future', new Date(Date.now() + NONCE_EXPIRY_MS + 1000).toISOString()), false);
+  assert.equal(nonces.check('garbage', 'yesterday'), false);
+  // Refused nonces are not spent
+  assert.equal(nonces.check('old', now()), true);
+});
+
+test('prune() forgets only nonces whose timestamps can no longer pass', () => {
+  const nonces = new NonceCache();
+  nonces.check('a', now());
+  nonces.seen.set('stale', Date.now() - NONCE_EXPIRY_MS * 2 - 1);
+  assert.equal(nonces.prune(), 1);
+  assert.deepEqual([...nonces.seen.keys()], ['a']);
+});
+
+test('seen nonces survive a restart', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-nonces-'));
+  try {
+    const file = path.join(dir, 'seen-nonces.json');
+    const first = new NonceCache({ file });
+    first.check('n1', now());
+    first.save();
+
+    const second = new NonceCache({ file });
+    assert.equal(second.check('n1', now()), false);
+    assert.equal(second.check('n2', now()), true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecretKey, getPublicKey } = require('nostr-tools/pure');
+const nip59 = require('nostr-tools/nip59');
+const { NostrInbox, wrapDM, DM_KIND, REQUEST_TOPIC, RESPONSE_TOPIC, STATUS_TOPIC } = require('../nostr-inbox');
+
+const agentKey = generateSecretKey();
+const agentPubkey = getPublicKey(agentKey);
+const requesterKey = generateSecretKey();
+const requesterPubkey = getPublicKey(requesterKey);
+
+// Relay pool stand-in: records what the inbox publishes
+let published;
+const pool = { publish: async wrap => { published.push(wrap); }, subscribe: () => ({ close() {} }) };
+
+let calls;
+let inbox;
+
+beforeEach(() => {
+  published = [];
+  calls = [];
+  inbox = new NostrInbox(agentKey, ['wss://relay.test'], {
+    pool,
+    receive: async (request, context) => {
+      calls.push({ request, context });
+      return { status: 201, body: { status: 'accepted', task_id: request.task_id } };
+    }
+  });
+});
+
+const tag = (event, name) => (event.tags.find(t => t[0] === name) || [])[1];
+const opened = () => published.map(wrap => nip59.unwrapEvent(wrap, requesterKey));
+
+test('a task request DM runs through the inbox and is answered to the sender', async () => {
+  const { wrap, rumor } = wrapDM(requesterKey, agentPubkey, REQUEST_TOPIC, JSON.stringify({ task_id: 't1' }),
+    [['authorization', 'L402 mac:pre']]);
+  await inbox.handleWrap(wrap);
+
+  assert.deepEqual(calls, [{
+    request: { task_id: 't1' },
+    context: { authorization: 'L402 mac:pre', transport: { type: 'nostr-dm', pubkey: requesterPubkey } }
+  }]);
+  const [reply] = opened();
+  assert.equal(reply.kind, DM_KIND);
+  assert.equal(reply.pubkey, agentPubkey);
+  assert.equal(tag(reply, 't'), RESPONSE_TOPIC);
+  assert.equal(tag(reply, 'e'), rumor.id);
+  assert.equal(tag(reply, 'code'), '201');
+  assert.deepEqual(JSON.parse(reply.content), { status: 'accepted', task_id: 't1' });
+});
+
+test('a wrap delivered by several relays is handled once', async () => {
+  const { wrap } = wrapDM(requesterKey, agentPubkey, REQUEST_TOPIC, JSON.stringify({ task_id: 't1' }));
+  await inbox.handleWrap(wrap);
+  await inbox.handleWrap(wrap);
+  assert.equal(calls.length, 1);
+  assert.equal(published.length, 1);
+});
+
+test('stale requests, other topics and wraps for someone else are dropped silently', async () => {
+  const old = nip59.createRumor({
+    kind: DM_KIND, content: '{}', created_at: Math.floor(Date.now() / 1000) - 600,
+    tags: [['p', agentPubkey], ['t', REQUEST_TOPIC]]
+  }, requesterKey);
+  await inbox.handleWrap(nip59.createWrap(nip59.createSeal(old, requesterKey, agentPubkey), agentPubkey));
+
+  await inbox.handleWrap(wrapDM(requesterKey, agentPubkey, STATUS_TOPIC, '{}').wrap);
+  await inbox.handleWrap(wrapDM(requesterKey, getPublicKey(generateSecretKey()), REQUEST_TOPIC, '{}').wrap);
+
+  assert.equal(calls.length, 0);
+  assert.equal(published.length, 0);
+});
+
+test('a request that is not JSON gets a 400 reply', async () => {
+  await inbox.handleWrap(wrapDM(requesterKey, agentPubkey, REQUEST_TOPIC, 'hello').wrap);
+  assert.equal(calls.length, 0);
+  const [reply] = opened();
+  assert.equal(tag(reply, 'code'), '400');
+  assert.equal(JSON.parse(reply.content).error, 'invalid_json');
+});
+
+test('status notifications go to the requester as status DMs', async () => {
+  await inbox.sendStatus(requesterPubkey, { task_id: 't1', status: 'completed', signature: 'sig' });
+  const [status] = opened();
+  assert.equal(tag(status, 't'), STATUS_TOPIC);
+  assert.equal(tag(status, 'task_id'), 't1');
+  assert.equal(JSON.parse(status.content).status, 'completed');
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const { versioned, signMessage, verifySignature } = require('../signing');
+const { priceTask, buildQuote, quoteError } = require('../pricing');
+
+const agent = nacl.sign.keyPair();
+const agentId = Buffer.from(agent.publicKey).toString('base64');
+const agentSecret = Buffer.from(agent.secretKey).toString('base64');
+const verify = (data, sig) => verifySignature(data, sig, agentId);
+
+const manifest = {
+  capabilities: [{ type: 'research.web', price_sats: 1500 }],
+  pricing: {
+    min_task_fee: 1000,
+    rules: { 'code.review': { base_sats: 2000, per_kb_sats: 100 } },
+    urgency: [{ within_hours: 2, surcharge_percent: 100 }, { within_hours: 24, surcharge_percent: 25 }],
+    queue: { free_slots: 2, surcharge_percent_per_task: 10, max_surcharge_percent: 30 }
+  }
+};
+
+const draft = {
+  requester_id: 'requester-1',
+  task_type: 'research.web',
+  description: 'Summarise the AIP spec',
+  params: { depth: 2 },
+  deadline: null
+};
+
+function signedQuote(overrides = {}) {
+  const data = versioned(buildQuote({ agentId, draft, price: priceTask(manifest, draft), ...overrides }));
+  return { ...data, signature: signMessage(data, agentSecret), used_by: null };
+}
+
+test('prices follow the rule, floor, urgency and queue surcharges', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(priceTask(manifest, draft, { now }).amount, 1500);
+  assert.equal(priceTask(manifest, { ...draft, task_type: 'other' }, { now }).amount, 1000);
+  assert.equal(priceTask(manifest, { ...draft, deadline: '2026-01-01T01:00:00Z' }, { now }).amount, 3000);
+  assert.equal(priceTask(manifest, { ...draft, deadline: '2026-01-01T12:00:00Z' }, { now }).amount, 1875);
+  assert.equal(priceTask(manifest, draft, { now, queueDepth: 3 }).amount, 1650);
+  assert.equal(priceTask(manifest, draft, { now, queueDepth: 50 }).amount, 1950);
+
+  const review = { ...draft, task_type: 'code.review', description: 'x'.repeat(1500), params: null };
+  assert.equal(priceTask(manifest, review, { now }).breakdown.size_sats, 200);
+});
+
+test('a quote redeems for exactly the task it was issued for', () => {
+  const quote = signedQuote();
+  assert.equal(quote.amount, 1500);
+  assert.equal(quoteError(quote, { ...draft, task_id: 't1', quote_id: quote.quote_id }, verify), null);
+
+  for (const change of [{ description: 'Something else' }, { params: { depth: 3 } }, { deadline: '2030-01-01T00:00:00Z' },
+    { task_type: 'code.review' }, { requester_id: 'requester-2' }]) {
+    const err = quoteError(quote, { ...draft, ...change, task_id: 't1' }, verify);
+    assert.equal(err && err.error, 'quote_mismatch', JSON.stringify(change));
+  }
+});
+
+test('a redeemed quote only comes back for the task that used it', () => {
+  const quote = { ...signedQuote(), used_by: 't1' };
+  assert.equal(quoteError(quote, { ...draft, task_id: 't1' }, verify), null);
+  assert.deepEqual(quoteError(quote, { ...draft, task_id: 't2' }, verify),
+    { status: 409, error: 'quote_used', message: 'Quote already redeemed by task t1' });
+});
+
+test('expired, forged and unknown quotes are refused', () => {
+  const expired = signedQuote({ ttlSeconds: -1 });
+  assert.equal(quoteError(expired, { ...draft, task_id: 't1' }, verify).status, 410);
+
+  const forged = { ...signedQuote(), amount: 1 };
+  assert.equal(quoteError(forged, { ...draft, task_id: 't1' }, verify).error, 'quote_invalid');
+
+  assert.equal(quoteError(null, { ...draft, task_id: 't1', quote_id: 'q' }, verify).status, 404);
+});
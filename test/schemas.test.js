@@ -0,0 +1,79 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SchemaRegistry } = require('../schemas');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-schemas-'));
+  write('in.json', {
+    type: 'object',
+    required: ['url'],
+    properties: { url: { type: 'string', format: 'uri' }, depth: { type: 'integer', minimum: 1 } },
+    additionalProperties: false
+  });
+  write('out.json', { type: 'object', required: ['summary'] });
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function write(name, schema) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(schema));
+}
+
+const capability = { type: 'research.web', input_schema: 'in.json', output_schema: 'out.json' };
+
+test('params and results are checked against the capability schemas', async () => {
+  const schemas = new SchemaRegistry({ baseDir: dir });
+  await schemas.load([capability, { type: 'writing.creative' }]);
+
+  assert.deepEqual(schemas.validateParams('research.web', { url: 'https://example.com', depth: 2 }), { valid: true, errors: [] });
+  const bad = schemas.validateParams('research.web', { depth: 0, extra: true });
+  assert.equal(bad.valid, false);
+  assert.deepEqual(bad.errors.map(e => [e.path, e.keyword]).sort(), [
+    ['/depth', 'minimum'], ['/extra', 'additionalProperties'], ['/url', 'required']
+  ]);
+  assert.equal(schemas.validateParams('research.web', { url: 'not a uri' }).errors[0].keyword, 'format');
+  assert.equal(schemas.validateParams('research.web', null).errors[0].path, '/url');
+
+  assert.equal(schemas.validateResult('research.web', { summary: 's' }).valid, true);
+  assert.equal(schemas.validateResult('research.web', 'plain text').valid, false);
+});
+
+test('capabilities without schemas accept anything', async () => {
+  const schemas = new SchemaRegistry({ baseDir: dir });
+  await schemas.load([{ type: 'writing.creative' }]);
+  assert.equal(schemas.has('writing.creative'), false);
+  assert.equal(schemas.validateParams('writing.creative', { anything: 1 }).valid, true);
+  assert.equal(schemas.validateResult('writing.creative', 42).valid, true);
+});
+
+test('a schema that fails to load marks the capability unavailable', async () => {
+  const schemas = new SchemaRegistry({ baseDir: dir });
+  await schemas.load([{ ...capability, input_schema: 'missing.json' }]);
+  assert.match(schemas.loadError('research.web'), /ENOENT/);
+  assert.equal(schemas.document('research.web'), null);
+});
+
+test('a reload keeps the previous schemas when the new ones fail', async () => {
+  const schemas = new SchemaRegistry({ baseDir: dir });
+  await schemas.load([capability]);
+  fs.writeFileSync(path.join(dir, 'in.json'), '{ not json');
+  await schemas.load([capability]);
+
+  assert.equal(schemas.loadError('research.web'), null);
+  assert.equal(schemas.validateParams('research.web', {}).valid, false);
+  assert.deepEqual(Object.keys(schemas.document('research.web')), ['task_type', 'input', 'output']);
+});
+
+test('the shipped manifest schemas all compile', async () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+  const schemas = new SchemaRegistry();
+  await schemas.load(manifest.capabilities);
+  for (const cap of manifest.capabilities.filter(c => c.input_schema || c.output_schema)) {
+    assert.equal(schemas.loadError(cap.type), null, cap.type);
+  }
+});
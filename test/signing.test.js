@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const {
+  SIG_ALG, SIG_VERSION, canonicalize, isLegacy, versioned, signMessage, verifySignature, schemeError
+} = require('../signing');
+
+const pair = nacl.sign.keyPair();
+const publicKey = Buffer.from(pair.publicKey).toString('base64');
+const secretKey = Buffer.from(pair.secretKey).toString('base64');
+
+test('canonical form sorts keys and drops what JSON drops', () => {
+  assert.equal(canonicalize({ b: 1, a: [true, null, undefined], c: { z: 'é', y: undefined } }),
+    '{"a":[true,null,null],"b":1,"c":{"z":"é"}}');
+  assert.equal(canonicalize({ n: 1e21, m: -0, f: 0.1 }), '{"f":0.1,"m":0,"n":1e+21}');
+  assert.equal(canonicalize({ 'é': 1, 'z': 2, 'A': 3 }), '{"A":3,"z":2,"é":1}');
+  assert.equal(canonicalize({ at: new Date('2026-01-01T00:00:00Z') }), '{"at":"2026-01-01T00:00:00.000Z"}');
+  assert.throws(() => canonicalize({ n: NaN }), /non-finite/);
+  assert.throws(() => canonicalize({ n: 1n }), /bigint/);
+});
+
+test('a versioned signature verifies whatever the field order', () => {
+  const message = versioned({ task_id: 't1', nonce: 'n', params: { b: 2, a: 1 } });
+  assert.equal(message.sig_alg, SIG_ALG);
+  assert.equal(message.sig_version, SIG_VERSION);
+  const signature = signMessage(message, secretKey);
+
+  const reordered = { params: { a: 1, b: 2 }, sig_version: 1, nonce: 'n', sig_alg: 'ed25519', task_id: 't1' };
+  assert.equal(verifySignature(reordered, signature, publicKey), true);
+  assert.equal(verifySignature({ ...reordered, nonce: 'other' }, signature, publicKey), false);
+  assert.equal(verifySignature(reordered, signature, Buffer.alloc(32).toString('base64')), false);
+  assert.equal(verifySignature(reordered, 'not base64!', publicKey), false);
+});
+
+test('a legacy signature covers JSON.stringify in the given field order', () => {
+  const message = { task_id: 't1', nonce: 'n' };
+  assert.equal(isLegacy(message), true);
+  const signature = signMessage(message, secretKey);
+  assert.equal(verifySignature({ task_id: 't1', nonce: 'n' }, signature, publicKey), true);
+  assert.equal(verifySignature({ nonce: 'n', task_id: 't1' }, signature, publicKey), false);
+});
+
+test('the scheme is part of the signed data', () => {
+  const message = versioned({ task_id: 't1' });
+  const signature = signMessage(message, secretKey);
+  const { sig_alg, sig_version, ...stripped } = message;
+  assert.equal(verifySignature(stripped, signature, publicKey), false);
+  assert.equal(verifySignature({ ...message, sig_version: 2 }, signature, publicKey), false);
+  assert.throws(() => signMessage({ ...message, sig_version: 2 }, secretKey), /Unsupported signature scheme/);
+});
+
+test('legacy requests are refused once the window closes', () => {
+  const past = '2020-01-01T00:00:00Z';
+  const future = '2999-01-01T00:00:00Z';
+  assert.equal(schemeError(versioned({}), past), null);
+  assert.equal(schemeError({}, future), null);
+  assert.equal(schemeError({}, null), null);
+  assert.equal(schemeError({}, past).error, 'legacy_signature');
+  assert.equal(schemeError({ sig_alg: 'rsa', sig_version: 1 }, null).error, 'unsupported_signature');
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lightning = require('../lightning');
+const { BondManager } = require('../spam-bond');
+
+let dir;
+let bonds;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-bond-'));
+  lightning.setBackend(lightning.createBackend('fake', { state_file: path.join(dir, 'wallet.json') }));
+  bonds = new BondManager({ refundsDir: path.join(dir, 'refunds') });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let n = 0;
+async function bondedTask(status = 'pending') {
+  const task = { task_id: `task-${++n}`, requester_id: 'r1', status };
+  await bonds.issue(task, 1000);
+  await lightning.payInvoice(task.bond.bolt11);
+  assert.equal(await bonds.verify(task), true);
+  return task;
+}
+
+test('the bond is required only when the manifest says so', () => {
+  assert.equal(bonds.requiredAmount({}), 0);
+  assert.equal(bonds.requiredAmount({ spam_bond: { required: false, amount_sats: 500 } }), 0);
+  assert.equal(bonds.requiredAmount({ spam_bond: { required: true } }), 1000);
+  assert.equal(bonds.requiredAmount({ spam_bond: { required: true, amount_sats: 500 } }), 500);
+});
+
+test('an unpaid bond does not verify', async () => {
+  const task = { task_id: 'unpaid', requester_id: 'r1', status: 'awaiting-bond' };
+  await bonds.issue(task, 1000);
+  assert.equal(await bonds.verify(task), false);
+  assert.equal(task.bond.status, 'unpaid');
+  assert.equal(bonds.settleFor({ ...task, status: 'rejected', rejected_as_spam: true }), null);
+});
+
+test('spam burns the bond; every other outcome queues a refund', async () => {
+  const spam = await bondedTask('rejected');
+  spam.rejected_as_spam = true;
+  assert.equal(bonds.settleFor(spam), 'burned');
+  assert.equal(bonds.loadRefund(spam.task_id), null);
+
+  for (const status of ['accepted', 'rejected', 'cancelled', 'declined', 'expired']) {
+    const task = await bondedTask(status);
+    assert.equal(bonds.settleFor(task), 'refund_pending', status);
+    assert.equal(bonds.loadRefund(task.task_id).amount_sats, 1000);
+  }
+});
+
+test('a settled bond is not settled again; a legacy applied bond is', async () => {
+  const task = await bondedTask('accepted');
+  assert.equal(bonds.settleFor(task), 'refund_pending');
+  task.status = 'rejected';
+  task.rejected_as_spam = true;
+  assert.equal(bonds.settleFor(task), null);
+  assert.equal(task.bond.outcome, 'refund_pending');
+
+  const legacy = await bondedTask('completed');
+  legacy.bond.outcome = 'applied';
+  assert.equal(bonds.settleFor(legacy), 'refund_pending');
+});
+
+test('a refund is paid once, for at most the bond', async () => {
+  const task = await bondedTask('cancelled');
+  bonds.settleFor(task);
+
+  const tooBig = await lightning.createInvoice(1001, 'refund');
+  await assert.rejects(bonds.payRefund(task, tooBig.bolt11), /Invoice must be for 1..1000 sats/);
+
+  const invoice = await lightning.createInvoice(1000, 'refund');
+  const refund = await bonds.payRefund(task, invoice.bolt11);
+  assert.equal(refund.status, 'paid');
+  assert.equal(task.bond.outcome, 'refunded');
+  assert.deepEqual(bonds.listRefunds({ status: 'paid' }).map(r => r.task_id), [task.task_id]);
+  await assert.rejects(bonds.payRefund(task, invoice.bolt11), /Refund is paid/);
+});
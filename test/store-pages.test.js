@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Store, CursorError } = require('../store');
+
+const BASE = Date.parse('2026-01-01T00:00:00Z');
+const COUNT = 1500; // enough to split the time index into several chunks
+
+let dir;
+let store;
+let tasks;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-pages-'));
+  store = new Store({ file: path.join(dir, 'store.log') });
+  tasks = [];
+  for (let i = 0; i < COUNT; i++) {
+    // Shuffled times with plenty of ties; one requester in ten is r1
+    const t = {
+      task_id: `t${String(i).padStart(4, '0')}`,
+      status: i % 3 ? 'pending' : 'completed',
+      requester_id: i % 10 ? 'r0' : 'r1',
+      task_type: 'research.web',
+      created: new Date(BASE + ((i * 7919) % 400) * 1000).toISOString()
+    };
+    tasks.push(t);
+  }
+  store.transaction(tx => tasks.forEach(t => tx.put('tasks', t)));
+});
+
+after(() => {
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const byTime = (a, b) => Date.parse(a.created) - Date.parse(b.created) || (a.task_id < b.task_id ? -1 : 1);
+
+function readAll(filter, order, limit) {
+  const ids = [];
+  let cursor = null;
+  for (;;) {
+    const page = store.page('tasks', filter, { order, cursor, limit });
+    ids.push(...page.records.map(t => t.task_id));
+    assert.equal(page.total, store.count('tasks', filter));
+    if (!page.has_more) return ids;
+    cursor = page.next_cursor;
+  }
+}
+
+for (const [name, filter] of Object.entries({
+  'no filter': {},
+  'a common status': { status: 'pending' },
+  'a selective requester': { requester_id: 'r1' },
+  'two fields': { status: 'completed', requester_id: 'r1' },
+  'a time window': { since: new Date(BASE + 100e3).toISOString(), until: new Date(BASE + 150e3).toISOString() }
+})) {
+  test(`pages in every order cover each match once, by ${name}`, () => {
+    const since = filter.since ? Date.parse(filter.since) : -Infinity;
+    const until = filter.until ? Date.parse(filter.until) : Infinity;
+    const want = tasks.filter(t => (!filter.status || t.status === filter.status) &&
+      (!filter.requester_id || t.requester_id === filter.requester_id) &&
+      Date.parse(t.created) >= since && Date.parse(t.created) <= until).sort(byTime).map(t => t.task_id);
+
+    assert.deepEqual(readAll(filter, 'oldest', 37), want);
+    assert.deepEqual(readAll(filter, 'newest', 37), [...want].reverse());
+    assert.deepEqual(readAll(filter, 'changes', 37).sort(), [...want].sort());
+  });
+}
+
+test('a changes cursor resumes with only what was written since', () => {
+  const first = store.page('tasks', { requester_id: 'r1' }, { order: 'changes', limit: 1000 });
+  assert.equal(first.has_more, false);
+  assert.ok(first.next_cursor);
+
+  const empty = store.page('tasks', { requester_id: 'r1' }, { order: 'changes', cursor: first.next_cursor });
+  assert.deepEqual(empty.records, []);
+  assert.equal(empty.next_cursor, first.next_cursor);
+
+  store.put('tasks', { ...tasks[0], status: 'completed' });
+  store.put('tasks', { ...tasks[1], status: 'completed' }); // r0: filtered out
+  const next = store.page('tasks', { requester_id: 'r1' }, { order: 'changes', cursor: first.next_cursor });
+  assert.deepEqual(next.records.map(t => t.task_id), ['t0000']);
+});
+
+test('cursors are checked against their order', () => {
+  const page = store.page('tasks', {}, { order: 'newest', limit: 5 });
+  assert.throws(() => store.page('tasks', {}, { order: 'oldest', cursor: page.next_cursor }), CursorError);
+  assert.throws(() => store.page('tasks', {}, { cursor: 'not-a-cursor' }), CursorError);
+  assert.throws(() => store.page('tasks', {}, { order: 'random' }), CursorError);
+});
@@ -0,0 +1,117 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Store, StoreLockedError } = require('../store');
+
+let dir;
+let file;
+const open = (options = {}) => new Store({ file, ...options });
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aip-store-'));
+  file = path.join(dir, 'store.log');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const task = (id, fields = {}) => ({
+  task_id: id, status: 'pending', requester_id: 'r1', task_type: 'research.web', created: '2026-01-01T00:00:00.000Z', ...fields
+});
+
+test('indexes follow updates and deletes', () => {
+  const store = open();
+  store.put('tasks', task('a'));
+  store.put('tasks', task('b', { requester_id: 'r2' }));
+  store.put('tasks', task('c', { status: 'completed' }));
+
+  assert.equal(store.count('tasks', { status: 'pending' }), 2);
+  store.put('tasks', task('a', { status: 'completed' }));
+  assert.deepEqual(store.find('tasks', { status: 'pending' }).map(t => t.task_id), ['b']);
+  assert.deepEqual(store.find('tasks', { status: 'completed', requester_id: 'r1' }).map(t => t.task_id).sort(), ['a', 'c']);
+  assert.deepEqual(store.find('tasks', { status: ['pending', 'completed'], requester_id: 'r2' }).map(t => t.task_id), ['b']);
+
+  assert.equal(store.delete('tasks', ['c', 'missing']), 1);
+  assert.equal(store.get('tasks', 'c'), null);
+  assert.equal(store.count('tasks', { status: 'completed' }), 1);
+  store.close();
+});
+
+test('derived indexes are computed from the record', () => {
+  const store = open();
+  store.put('tasks', task('a', { escrow: { status: 'held' } }));
+  store.put('tasks', task('b', { payment: { method: 'l402' } }));
+  store.put('tasks', task('c'));
+  assert.deepEqual(store.find('tasks', { payment_status: 'held' }).map(t => t.task_id), ['a']);
+  assert.deepEqual(store.find('tasks', { payment_status: 'paid' }).map(t => t.task_id), ['b']);
+  assert.deepEqual(store.find('tasks', { payment_status: 'none' }).map(t => t.task_id), ['c']);
+  store.close();
+});
+
+test('get() returns a copy', () => {
+  const store = open();
+  store.put('tasks', task('a'));
+  store.get('tasks', 'a').status = 'completed';
+  assert.equal(store.get('tasks', 'a').status, 'pending');
+  store.close();
+});
+
+test('a transaction lands whole, and survives a reopen', () => {
+  const store = open();
+  store.transaction(tx => {
+    tx.put('tasks', task('a', { status: 'completed' }));
+    tx.put('receipts', { task_id: 'a', agent_id: 'me', requester_id: 'r1', completion_timestamp: '2026-01-01T00:00:00.000Z' });
+  });
+  assert.throws(() => store.transaction(tx => {
+    tx.put('tasks', task('b'));
+    tx.put('receipts', { completion_timestamp: 'no key' });
+  }), /receipts record has no task_id/);
+  store.close();
+
+  const again = open();
+  assert.equal(again.get('receipts', 'a').agent_id, 'me');
+  assert.equal(again.get('tasks', 'b'), null);
+  again.close();
+});
+
+test('a torn last line is dropped on load', () => {
+  const store = open();
+  store.put('tasks', task('a'));
+  store.close();
+  fs.appendFileSync(file, '{"at":"2026-01-01","ops":[{"c":"tasks","s":9,"v":{"task_id":"b"');
+
+  const again = open();
+  assert.deepEqual(again.find('tasks').map(t => t.task_id), ['a']);
+  assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 1);
+  again.close();
+});
+
+test('compaction keeps live records and their write sequence', () => {
+  const store = open();
+  for (let i = 0; i < 20; i++) store.put('tasks', task(`t${i % 5}`, { round: i }));
+  store.delete('tasks', ['t4']);
+  const before = store.page('tasks', {}, { order: 'changes' }).records.map(t => [t.task_id, t.round]);
+
+  store.compact();
+  assert.equal(store.lines, 4);
+  store.put('tasks', task('t9'));
+  store.close();
+
+  const again = open();
+  assert.equal(again.lines, 5);
+  const after = again.page('tasks', {}, { order: 'changes' }).records.map(t => [t.task_id, t.round]);
+  assert.deepEqual(after, [...before, ['t9', undefined]]);
+  again.close();
+});
+
+test('a second writer on the same log is refused; a reader is not', () => {
+  const store = open();
+  assert.throws(() => open(), StoreLockedError);
+  const reader = open({ readOnly: true });
+  assert.throws(() => reader.put('tasks', task('a')), /read-only/);
+  store.close();
+
+  const next = open();
+  next.close();
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TRANSITIONS, TERMINAL_STATES, TransitionError, canTransition, isTerminal, transition, isOverdue
+} = require('../task-state');
+
+test('the happy path runs pending → accepted → in-progress → completed', () => {
+  const task = { status: 'pending', history: [] };
+  transition(task, 'accepted', { by: 'agent' });
+  transition(task, 'in-progress', { by: 'agent', reason: 'started' });
+  transition(task, 'completed');
+
+  assert.equal(task.status, 'completed');
+  assert.deepEqual(task.history.map(h => [h.from, h.to]), [
+    ['pending', 'accepted'], ['accepted', 'in-progress'], ['in-progress', 'completed']
+  ]);
+  assert.equal(task.history[1].reason, 'started');
+  assert.equal(task.history[2].by, 'agent');
+  assert.equal(task.updated, task.history[2].at);
+});
+
+test('terminal states never transition again', () => {
+  assert.deepEqual([...TERMINAL_STATES].sort(), ['cancelled', 'completed', 'declined', 'expired', 'failed', 'rejected']);
+  for (const from of TERMINAL_STATES) {
+    assert.ok(isTerminal(from));
+    for (const to of Object.keys(TRANSITIONS)) assert.equal(canTransition(from, to), false, `${from} → ${to}`);
+  }
+});
+
+test('an illegal transition throws and leaves the task untouched', () => {
+  const task = { status: 'completed', history: [] };
+  assert.throws(() => transition(task, 'failed', { by: 'agent' }), err => {
+    assert.ok(err instanceof TransitionError);
+    assert.equal(err.from, 'completed');
+    assert.equal(err.to, 'failed');
+    return true;
+  });
+  assert.equal(task.status, 'completed');
+  assert.equal(task.history.length, 0);
+});
+
+test('only open states can be rejected, cancelled or expired', () => {
+  assert.ok(canTransition('awaiting-bond', 'rejected'));
+  assert.ok(canTransition('negotiating', 'rejected'));
+  assert.ok(canTransition('pending', 'rejected'));
+  assert.equal(canTransition('accepted', 'rejected'), false);
+  assert.equal(canTransition('pending', 'failed'), false);
+
+  for (const from of Object.keys(TRANSITIONS).filter(s => !isTerminal(s))) {
+    assert.ok(canTransition(from, 'cancelled'), `${from} → cancelled`);
+    assert.ok(canTransition(from, 'expired'), `${from} → expired`);
+  }
+  assert.equal(canTransition('unknown', 'pending'), false);
+});
+
+test('a task is overdue once its deadline passes, unless it is terminal', () => {
+  const now = Date.parse('2026-01-01T12:00:00Z');
+  assert.equal(isOverdue({ status: 'pending', deadline: '2026-01-01T11:59:59Z' }, now), true);
+  assert.equal(isOverdue({ status: 'pending', deadline: '2026-01-01T12:00:01Z' }, now), false);
+  assert.equal(isOverdue({ status: 'pending', deadline: null }, now), false);
+  assert.equal(isOverdue({ status: 'pending', deadline: 'not a date' }, now), false);
+  assert.equal(isOverdue({ status: 'completed', deadline: '2025-01-01T00:00:00Z' }, now), false);
+});
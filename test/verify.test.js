@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const { versioned, signMessage } = require('../signing');
+const { receiptSigningData, hashResult, verifyReceipt } = require('../verify');
+
+function keyPair() {
+  const pair = nacl.sign.keyPair();
+  return { id: Buffer.from(pair.publicKey).toString('base64'), secret: Buffer.from(pair.secretKey).toString('base64') };
+}
+
+const agent = keyPair();
+const requester = keyPair();
+const result = { summary: 'done', sources: [] };
+const preimage = crypto.randomBytes(32).toString('hex');
+const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+
+function receipt({ agentKey = agent, requesterKey = requester, countersign = true } = {}) {
+  const data = receiptSigningData(versioned({
+    task_id: 't1',
+    requester_id: requesterKey.id,
+    agent_id: agentKey.id,
+    task_type: 'research.web',
+    completion_timestamp: '2026-01-01T00:00:00.000Z',
+    result_hash: hashResult(result),
+    payment_proof: preimage
+  }));
+  const signed = { ...data, agent_signature: signMessage(data, agentKey.secret) };
+  if (countersign) signed.requester_signature = signMessage(data, requesterKey.secret);
+  return signed;
+}
+
+const status = (report, check) => report.checks.find(c => c.check === check).status;
+
+test('a dual-signed receipt verifies against its result and payment', () => {
+  const report = verifyReceipt(receipt(), { result, paymentHash });
+  assert.equal(report.valid, true);
+  for (const check of ['agent_signature', 'requester_signature', 'result_hash', 'payment_proof']) {
+    assert.equal(status(report, check), 'pass', check);
+  }
+});
+
+test('an agent-only receipt is valid but weak', () => {
+  const report = verifyReceipt(receipt({ countersign: false }));
+  assert.equal(report.valid, true);
+  assert.equal(status(report, 'requester_signature'), 'skip');
+});
+
+test('a receipt the agent countersigned itself fails', () => {
+  const report = verifyReceipt(receipt({ requesterKey: agent }));
+  assert.equal(report.valid, false);
+  assert.equal(status(report, 'agent_signature'), 'pass');
+  assert.equal(report.checks.find(c => c.check === 'requester_signature').message, 'Countersigned by the agent itself');
+});
+
+test('tampering, another result or another payment fails', () => {
+  const tampered = { ...receipt(), task_type: 'code.review' };
+  const report = verifyReceipt(tampered);
+  assert.equal(status(report, 'agent_signature'), 'fail');
+  assert.equal(status(report, 'requester_signature'), 'fail');
+
+  assert.equal(status(verifyReceipt(receipt(), { result: { summary: 'other' } }), 'result_hash'), 'fail');
+  assert.equal(status(verifyReceipt(receipt(), { paymentHash: 'ab'.repeat(32) }), 'payment_proof'), 'fail');
+});
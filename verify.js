@@ -0,0 +1,307 @@
+/**
+ * verify.js — Third-party receipt verification (SPEC §5)
+ *
+ * Checks a receipt without trusting the agent that issued it:
+ *
+ *   agent_signature      Ed25519 by agent_id over the receipt signing data,
+ *                        under the receipt's sig_alg/sig_version (signing.js)
+ *   requester_signature  same data, by requester_id (optional: weak if absent;
+ *                        fails if requester_id is the agent itself)
+ *   result_hash          sha256(JSON.stringify(result)), given the delivered result
+ *   payment_proof        sha256(preimage) === the invoice's payment hash
+ *   key_status           agent_id not revoked as of completion_timestamp (identity.js)
+ *   nostr_event          id/sig of a kind 30079 event carrying the receipt
+ *   merkle_proof         inclusion under the agent's signed root (merkle.js)
+ *
+ * Checks without the needed input (no result, no payment hash, ...) are
+ * skipped rather than failed.
+ *
+ * Usage: node verify.js <receipt.json | event.json | url | -> [options]
+ *   --result <file>         Delivered result (JSON) to check result_hash against
+ *   --payment-hash <hex>    Payment hash of the invoice the requester paid
+ *   --invoice <bolt11>      Same, taken from the BOLT11 invoice
+ *   --keys <file | url>     Agent /keys document or manifest with revoked_keys
+ *                           (default for URL sources: <origin>/keys)
+ *   --nostr                 Also look up key revocations on Nostr relays
+ *   --json                  Machine-readable report
+ * Exit code: 0 all checks passed, 1 a check failed, 2 bad input.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { verifyEvent } = require('nostr-tools');
+const { verifyReceiptProof } = require('./merkle');
+const { verifySignature, isSupported } = require('./signing');
+const { revocationFor, isRevokedAt } = require('./identity');
+
+const AIP_RECEIPT_KIND = 30079;
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// The fields both parties sign. Legacy (v0.1) receipts have no sig_alg or
+// sig_version, so their signing data is the first seven fields in this order.
+function receiptSigningData(receipt) {
+  return {
+    task_id: receipt.task_id,
+    requester_id: receipt.requester_id,
+    agent_id: receipt.agent_id,
+    task_type: receipt.task_type,
+    completion_timestamp: receipt.completion_timestamp,
+    result_hash: receipt.result_hash,
+    payment_proof: receipt.payment_proof,
+    sig_alg: receipt.sig_alg,
+    sig_version: receipt.sig_version
+  };
+}
+
+/**
+ * @returns {string} Hex result_hash of a delivered result
+ */
+function hashResult(result) {
+  return crypto.createHash('sha256').update(JSON.stringify(result)).digest('hex');
+}
+
+/**
+ * Read the payment hash (tagged field `p`) out of a BOLT11 invoice. The
+ * invoice's own signature and checksum are not checked.
+ * @returns {string} Hex payment hash
+ * @throws {Error} if the invoice doesn't parse
+ */
+function bolt11PaymentHash(bolt11) {
+  const str = String(bolt11).trim().toLowerCase().replace(/^lightning:/, '');
+  const sep = str.lastIndexOf('1');
+  if (!str.startsWith('ln') || sep < 0) throw new Error('Not a BOLT11 invoice');
+  const words = [...str.slice(sep + 1)].map(c => {
+    const w = BECH32_CHARSET.indexOf(c);
+    if (w < 0) throw new Error('Invalid BOLT11 character');
+    return w;
+  });
+
+  // 7-word timestamp, tagged fields, then 104-word signature and 6-word checksum
+  const end = words.length - 104 - 6;
+  let pos = 7;
+  while (pos + 3 <= end) {
+    const type = words[pos];
+    const len = words[pos + 1] * 32 + words[pos + 2];
+    pos += 3;
+    if (type === 1 && len === 52) {
+      let bits = 0n;
+      for (const w of words.slice(pos, pos + 52)) bits = (bits << 5n) | BigInt(w);
+      return (bits >> 4n).toString(16).padStart(64, '0');
+    }
+    pos += len;
+  }
+  throw new Error('BOLT11 invoice has no payment hash');
+}
+
+/**
+ * Check a receipt
+ * @param {Object} receipt - AIP receipt
+ * @param {Object} opts
+ * @param {*} [opts.result] - Delivered result (checks result_hash)
+ * @param {string} [opts.paymentHash] - Hex hash of the paid invoice (checks payment_proof)
+ * @param {string} [opts.invoice] - BOLT11 invoice, instead of paymentHash
+ * @param {Object[]} [opts.revocations] - Known key revocations (checks key_status)
+ * @returns {Object} {valid, checks: [{check, status: 'pass'|'fail'|'skip', message}]}
+ */
+function verifyReceipt(receipt, opts = {}) {
+  const checks = [];
+  const add = (check, status, message) => checks.push({ check, status, message });
+
+  if (!receipt || typeof receipt !== 'object' || !receipt.task_id) {
+    add('receipt', 'fail', 'Not an AIP receipt');
+    return { valid: false, checks };
+  }
+  const data = receiptSigningData(receipt);
+  if (!isSupported(data)) {
+    add('sig_version', 'fail', `Unsupported signature scheme ${receipt.sig_alg}/${receipt.sig_version}`);
+    return { valid: false, checks };
+  }
+
+  if (!receipt.agent_signature) add('agent_signature', 'fail', 'Missing');
+  else if (verifySignature(data, receipt.agent_signature, receipt.agent_id)) add('agent_signature', 'pass', `Signed by agent ${receipt.agent_id}`);
+  else add('agent_signature', 'fail', 'Does not verify against agent_id');
+
+  if (!receipt.requester_signature) add('requester_signature', 'skip', 'Not countersigned (weak receipt)');
+  else if (receipt.requester_id === receipt.agent_id) add('requester_signature', 'fail', 'Countersigned by the agent itself');
+  else if (verifySignature(data, receipt.requester_signature, receipt.requester_id)) add('requester_signature', 'pass', `Countersigned by requester ${receipt.requester_id}`);
+  else add('requester_signature', 'fail', 'Does not verify against requester_id');
+
+  if (opts.result === undefined) add('result_hash', 'skip', 'No result supplied');
+  else {
+    const actual = hashResult(opts.result);
+    if (actual === receipt.result_hash) add('result_hash', 'pass', 'Matches the supplied result');
+    else add('result_hash', 'fail', `Receipt has ${receipt.result_hash}, result hashes to ${actual}`);
+  }
+
+  let paymentHash = opts.paymentHash;
+  if (!paymentHash && opts.invoice) {
+    try {
+      paymentHash = bolt11PaymentHash(opts.invoice);
+    } catch (err) {
+      add('payment_proof', 'fail', err.message);
+    }
+  }
+  if (paymentHash) {
+    const proof = receipt.payment_proof;
+    if (!proof) add('payment_proof', 'fail', 'Receipt has no payment_proof');
+    else if (!/^[0-9a-f]{64}$/i.test(proof)) add('payment_proof', 'fail', 'payment_proof is not a 32-byte hex preimage');
+    else {
+      const hash = crypto.createHash('sha256').update(Buffer.from(proof, 'hex')).digest('hex');
+      if (hash === paymentHash.toLowerCase()) add('payment_proof', 'pass', `Preimage of payment hash ${hash}`);
+      else add('payment_proof', 'fail', `Preimage hashes to ${hash}, not ${paymentHash}`);
+    }
+  } else if (!opts.invoice) {
+    add('payment_proof', 'skip', receipt.payment_proof ? 'No payment hash or invoice supplied' : 'Receipt has no payment_proof');
+  }
+
+  if (!opts.revocations) add('key_status', 'skip', 'No revocation list supplied');
+  else {
+    const revocation = revocationFor(opts.revocations, receipt.agent_id);
+    if (!revocation) add('key_status', 'pass', 'Agent key not revoked');
+    else if (isRevokedAt(revocation, receipt.completion_timestamp)) {
+      add('key_status', 'fail', `Agent key revoked${revocation.compromised_since ? ` (compromised since ${revocation.compromised_since})` : ''}`);
+    } else add('key_status', 'pass', `Agent key revoked, but the receipt predates the compromise (${revocation.compromised_since})`);
+  }
+
+  return { valid: checks.every(c => c.status !== 'fail'), checks };
+}
+
+/**
+ * Check a kind 30079 Nostr event and the receipt it carries. The event's
+ * Nostr key is not tied to agent_id; the receipt's own signatures are what
+ * make it trustworthy.
+ * @returns {Object} {valid, receipt, checks}
+ */
+function verifyReceiptEvent(event, opts = {}) {
+  let receipt = null;
+  try {
+    receipt = JSON.parse(event.content);
+  } catch {
+    receipt = null;
+  }
+  const tag = (event.tags || []).find(t => t[0] === 'task_id');
+
+  let eventError = null;
+  if (event.kind !== AIP_RECEIPT_KIND) eventError = `Kind ${event.kind}, expected ${AIP_RECEIPT_KIND}`;
+  else if (!verifyEvent(event)) eventError = 'Event id or signature invalid';
+  else if (!receipt) eventError = 'Event content is not JSON';
+  else if (!tag || tag[1] !== receipt.task_id) eventError = 'task_id tag does not match the receipt';
+
+  const report = verifyReceipt(receipt, opts);
+  report.checks.unshift(eventError
+    ? { check: 'nostr_event', status: 'fail', message: eventError }
+    : { check: 'nostr_event', status: 'pass', message: `Event ${event.id} by ${event.pubkey}` });
+  return { valid: report.valid && !eventError, receipt, checks: report.checks };
+}
+
+/**
+ * Verify whatever a receipt source holds: a receipt, a Nostr event, a
+ * /receipts page, or a /receipts/:task_id/proof bundle
+ * @param {Object} doc - Parsed JSON
+ * @returns {Object[]} One {valid, receipt, checks} report per receipt
+ * @throws {Error} if the document is none of these
+ */
+function verifyDocument(doc, opts = {}) {
+  if (doc && doc.kind !== undefined && doc.sig) return [verifyReceiptEvent(doc, opts)];
+  if (doc && Array.isArray(doc.receipts)) {
+    return doc.receipts.map(receipt => ({ receipt, ...verifyReceipt(receipt, opts) }));
+  }
+  if (doc && doc.receipt && Array.isArray(doc.audit_path)) {
+    const report = verifyReceipt(doc.receipt, opts);
+    const merkle = verifyReceiptProof(doc);
+    report.checks.push(merkle.valid
+      ? { check: 'merkle_proof', status: 'pass', message: `Leaf ${doc.leaf_index} of ${doc.root.tree_size} under signed root ${doc.root.root_hash}` }
+      : { check: 'merkle_proof', status: 'fail', message: merkle.error });
+    return [{ receipt: doc.receipt, valid: report.valid && merkle.valid, checks: report.checks }];
+  }
+  if (doc && doc.task_id && doc.agent_signature !== undefined) return [{ receipt: doc, ...verifyReceipt(doc, opts) }];
+  throw new Error('Input is not a receipt, kind 30079 event, /receipts page or proof bundle');
+}
+
+// Agent keys whose revocations matter for a document
+function agentIdsOf(doc) {
+  if (doc && Array.isArray(doc.receipts)) return [...new Set(doc.receipts.map(r => r.agent_id))];
+  if (doc && doc.receipt) return [doc.receipt.agent_id];
+  if (doc && doc.kind !== undefined) {
+    try {
+      return [JSON.parse(doc.content).agent_id];
+    } catch {
+      return [];
+    }
+  }
+  return doc && doc.agent_id ? [doc.agent_id] : [];
+}
+
+async function readSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`${source}: HTTP ${res.status}`);
+    return res.json();
+  }
+  return JSON.parse(fs.readFileSync(source === '-' ? 0 : source, 'utf8'));
+}
+
+// CLI
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opts = {};
+  let source = null;
+  let keysSource = null;
+  let asJson = false;
+  let useNostr = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--result') opts.result = JSON.parse(fs.readFileSync(args[++i], 'utf8'));
+    else if (args[i] === '--payment-hash') opts.paymentHash = args[++i];
+    else if (args[i] === '--invoice') opts.invoice = args[++i];
+    else if (args[i] === '--keys') keysSource = args[++i];
+    else if (args[i] === '--nostr') useNostr = true;
+    else if (args[i] === '--json') asJson = true;
+    else source = args[i];
+  }
+
+  if (!source) {
+    console.log('Usage: node verify.js <receipt.json | event.json | url | -> [--result <file>] [--payment-hash <hex> | --invoice <bolt11>]');
+    console.log('                      [--keys <file | url>] [--nostr] [--json]');
+    console.log('Example: node verify.js http://localhost:3141/receipts?task_type=research.web');
+    process.exit(2);
+  }
+
+  (async () => {
+    const doc = await readSource(source);
+
+    // Revocations: the agent's own list (explicit, or next to a URL source) plus relays
+    if (!keysSource && /^https?:\/\//.test(source)) keysSource = `${new URL(source).origin}/keys`;
+    if (keysSource) {
+      const keysDoc = await readSource(keysSource).catch(err => {
+        if (args.includes('--keys')) throw err;
+        return null;
+      });
+      if (keysDoc) opts.revocations = keysDoc.revoked_keys || [];
+    }
+    if (useNostr) {
+      const { fetchRevocations } = require('./nostr-publish');
+      opts.revocations = [...(opts.revocations || []), ...await fetchRevocations(agentIdsOf(doc))];
+    }
+
+    const reports = verifyDocument(doc, opts);
+    const ok = reports.every(r => r.valid);
+    if (asJson) {
+      console.log(JSON.stringify({ valid: ok, reports }, null, 2));
+    } else {
+      for (const r of reports) {
+        console.log(`${r.valid ? 'PASS' : 'FAIL'} receipt ${r.receipt ? r.receipt.task_id : '(none)'}`);
+        for (const c of r.checks) console.log(`  ${c.status.toUpperCase().padEnd(4)}  ${c.check}: ${c.message}`);
+      }
+      if (reports.length !== 1) console.log(`${reports.filter(r => r.valid).length}/${reports.length} receipts valid`);
+    }
+    process.exit(ok ? 0 : 1);
+  })().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  receiptSigningData, hashResult, bolt11PaymentHash,
+  verifyReceipt, verifyReceiptEvent, verifyDocument
+};